@@ -0,0 +1,125 @@
+-- 001_init.sql — normalized tables for DB_MODE=postgres (Supabase Postgres or any Postgres 13+)
+--
+-- Amounts are SOL as double precision (same as the app), timestamps are epoch milliseconds.
+-- Token holdings live in one table; coins.holders and profiles.holdings are both read from it.
+
+create table if not exists coins (
+  id                     text primary key,
+  name                   text not null default '',
+  symbol                 text not null default '',
+  story                  text not null default '',
+  logo                   text not null default '',
+  links                  jsonb not null default '{}'::jsonb,
+  creator_wallet         text not null default '',
+  owner                  text not null default '',
+  status                 text not null default 'DRAFT',
+  created_at             bigint not null default 0,
+  updated_at             bigint not null default 0,
+  launched_at            bigint not null default 0,
+  last_trade_at          bigint not null default 0,
+  mc                     double precision not null default 0,
+  ath                    double precision not null default 0,
+  chart                  jsonb not null default '[]'::jsonb,
+  volume_sol             double precision not null default 0,
+  creator_rewards_sol    double precision not null default 0,
+  total_supply           double precision not null default 0,
+  virtual_sol_reserves   double precision not null default 0,
+  virtual_token_reserves double precision not null default 0,
+  real_sol_reserves      double precision not null default 0,
+  mint_address           text not null default '',
+  mint_status            text not null default '',
+  mint_error             text not null default '',
+  mint_decimals          integer not null default 0
+);
+create index if not exists coins_status_idx on coins (status);
+create index if not exists coins_creator_idx on coins (creator_wallet);
+create index if not exists coins_created_idx on coins (created_at desc);
+
+create table if not exists profiles (
+  wallet           text primary key,
+  balance_sol      double precision not null default 0,
+  referrer         text not null default '',
+  rewards          jsonb not null default '{"totalSol":0,"byCoin":{}}'::jsonb,
+  referral_rewards jsonb not null default '{"totalSol":0,"byWallet":{}}'::jsonb,
+  txs              jsonb not null default '[]'::jsonb,
+  last_faucet_at   bigint not null default 0,
+  updated_at       bigint not null default 0
+);
+
+create table if not exists holdings (
+  wallet  text not null,
+  coin_id text not null,
+  symbol  text not null default '',
+  amount  double precision not null default 0,
+  last_at bigint not null default 0,
+  primary key (wallet, coin_id)
+);
+create index if not exists holdings_coin_idx on holdings (coin_id);
+
+create table if not exists trades (
+  id        text primary key,
+  t         bigint not null,
+  coin_id   text not null,
+  wallet    text not null,
+  side      text not null,
+  sol       double precision not null default 0,
+  net_sol   double precision not null default 0,
+  tokens    double precision not null default 0,
+  fee_sol   double precision not null default 0,
+  price_sol double precision not null default 0,
+  mc        double precision not null default 0
+);
+create index if not exists trades_coin_t_idx on trades (coin_id, t desc);
+create index if not exists trades_wallet_t_idx on trades (wallet, t desc);
+
+create table if not exists referrals (
+  wallet     text primary key,
+  referrer   text not null,
+  created_at bigint not null default 0
+);
+
+-- Append-only: the treasury balance per account is the sum of its rows.
+create table if not exists treasury_ledger (
+  id         bigserial primary key,
+  t          bigint not null,
+  account    text not null, -- 'dev' | 'reserve'
+  amount_sol double precision not null
+);
+create index if not exists treasury_ledger_account_idx on treasury_ledger (account);
+
+create table if not exists withdrawals (
+  id            text primary key,
+  wallet        text not null,
+  kind          text not null,
+  to_wallet     text not null,
+  sol           double precision not null,
+  status        text not null,
+  created_at    bigint not null,
+  updated_at    bigint not null,
+  process_after bigint not null default 0,
+  signature     text not null default '',
+  error         text not null default ''
+);
+create index if not exists withdrawals_wallet_idx on withdrawals (wallet, created_at desc);
+create index if not exists withdrawals_status_idx on withdrawals (status);
+
+create table if not exists deposits (
+  key     text primary key, -- "<signature>:<n>"
+  wallet  text not null,
+  sol     double precision not null,
+  t       bigint not null,
+  ignored text not null default ''
+);
+
+create table if not exists logs (
+  id   text primary key,
+  t    bigint not null,
+  type text not null default '',
+  data jsonb not null
+);
+create index if not exists logs_t_idx on logs (t desc);
+
+create table if not exists meta (
+  key   text primary key,
+  value jsonb
+);
@@ -0,0 +1,7 @@
+-- 002_row_versions.sql — optimistic concurrency for rows that are read, changed and written back.
+-- A write only lands if `version` still matches what the transaction read; otherwise the
+-- server retries the whole transaction on fresh rows.
+
+alter table coins add column if not exists version integer not null default 0;
+alter table profiles add column if not exists version integer not null default 0;
+alter table withdrawals add column if not exists version integer not null default 0;
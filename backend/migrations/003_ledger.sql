@@ -0,0 +1,19 @@
+-- 003_ledger.sql — double-entry fee ledger in integer lamports (replaces treasury_ledger).
+-- One row per posting. The postings of one entry (entry_id) sum to zero; an account's balance
+-- is the sum of its postings. Accounts: dev, reserve, creator:<wallet>, referral:<wallet>,
+-- user:<wallet>, unassigned, payouts, opening.
+
+create table if not exists ledger (
+  id            text primary key,
+  entry_id      text not null,
+  t             bigint not null,
+  kind          text not null default '',
+  account       text not null,
+  lamports      bigint not null,
+  wallet        text not null default '',
+  coin_id       text not null default '',
+  withdrawal_id text not null default ''
+);
+create index if not exists ledger_account_t_idx on ledger (account, t desc);
+create index if not exists ledger_entry_idx on ledger (entry_id);
+create index if not exists ledger_coin_idx on ledger (coin_id);
@@ -0,0 +1,4 @@
+-- 004_trade_split.sql — per-trade fee split ({ dev, creator, ref, reserve } in SOL) for the
+-- coin trade feed. Older rows keep an empty object.
+
+alter table trades add column if not exists split jsonb not null default '{}'::jsonb;
@@ -0,0 +1,17 @@
+-- 005_candles.sql — OHLCV buckets per coin and timeframe (1m, 5m, 15m, 1h, 1d), updated on
+-- every fill. id = "<coin_id>:<tf>:<t>"; t is the bucket start (epoch ms), prices are MC in USD
+-- and v is gross SOL volume. Buckets without trades have no row.
+
+create table if not exists candles (
+  id      text primary key,
+  coin_id text not null,
+  tf      text not null,
+  t       bigint not null,
+  o       double precision not null default 0,
+  h       double precision not null default 0,
+  l       double precision not null default 0,
+  c       double precision not null default 0,
+  v       double precision not null default 0,
+  n       integer not null default 0
+);
+create index if not exists candles_coin_tf_t_idx on candles (coin_id, tf, t desc);
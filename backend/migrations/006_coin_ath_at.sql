@@ -0,0 +1,4 @@
+-- 006_coin_ath_at.sql — when a coin set its ATH (epoch ms); backfilled from trades by
+-- migration 6 in server.js.
+
+alter table coins add column if not exists ath_at bigint not null default 0;
@@ -0,0 +1,5 @@
+-- 007_withdrawal_block_height.sql — the last block height a withdrawal's signed transfer can
+-- land at. Together with `signature` (stored before sending) it tells an unconfirmed payout
+-- that may still land apart from one that never can.
+
+alter table withdrawals add column if not exists last_valid_block_height bigint not null default 0;
@@ -0,0 +1,12 @@
+-- 008_coin_edits.sql — creator edits to coin metadata, one row per PATCH /api/coin/:id.
+-- changes = { <field>: { from, to } }. Kept in full (logs are trimmed); migration 8 in
+-- server.js moves the coin_edit entries that were logged before this table existed.
+
+create table if not exists coin_edits (
+  id      text primary key,
+  coin_id text not null,
+  t       bigint not null,
+  wallet  text not null default '',
+  changes jsonb not null default '{}'::jsonb
+);
+create index if not exists coin_edits_coin_t_idx on coin_edits (coin_id, t desc);
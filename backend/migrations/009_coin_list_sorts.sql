@@ -0,0 +1,10 @@
+-- 009_coin_list_sorts.sql — GET /api/coin/list filters and sorts in SQL. change_pct is the last
+-- sparkline step in % (backfilled by migration 9 in server.js); one index per sort, led by
+-- status since the market sections list LIVE coins.
+
+alter table coins add column if not exists change_pct double precision not null default 0;
+
+create index if not exists coins_status_mc_idx on coins (status, mc desc);
+create index if not exists coins_status_volume_idx on coins (status, volume_sol desc);
+create index if not exists coins_status_change_idx on coins (status, change_pct desc);
+create index if not exists coins_status_last_trade_idx on coins (status, last_trade_at desc);
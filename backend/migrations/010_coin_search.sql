@@ -0,0 +1,5 @@
+-- 010_coin_search.sql — GET /api/coin/list?q= matches a substring of search_text, the lowercase
+-- "name symbol" (backfilled by migration 10 in server.js). A plain scan: coins is the smallest
+-- table, and substring search would need pg_trgm for an index.
+
+alter table coins add column if not exists search_text text not null default '';
@@ -0,0 +1,95 @@
+// backend/scripts/migrate-blob.js — one-time copy of the legacy single-row store into the
+// normalized Postgres tables (DB_MODE=postgres).
+//
+//   node scripts/migrate-blob.js                  # read SUPABASE_TABLE row "main"
+//   node scripts/migrate-blob.js --file db.json   # read a db.json instead
+//   node scripts/migrate-blob.js --dry-run        # count rows, write nothing
+//   node scripts/migrate-blob.js --force          # target already has coins: upsert anyway
+//
+// Needs DATABASE_URL (or SUPABASE_DB_URL) for the target. Safe to re-run with --force:
+// every write is an upsert keyed by the document id.
+
+import "dotenv/config";
+import fsp from "fs/promises";
+import { createClient } from "@supabase/supabase-js";
+
+import { COLLECTIONS } from "../storage/index.js";
+import { fromBlob, splitJournalSeq } from "../storage/blob.js";
+import { createPostgresAdapter } from "../storage/postgres.js";
+
+const args = process.argv.slice(2);
+const flag = (name) => args.includes(name);
+const opt = (name) => {
+  const i = args.indexOf(name);
+  return i >= 0 ? args[i + 1] : "";
+};
+
+async function readBlob() {
+  const file = opt("--file");
+  if (file) return splitJournalSeq(JSON.parse(await fsp.readFile(file, "utf-8"))).blob;
+
+  const url = process.env.SUPABASE_URL || "";
+  const key = process.env.SUPABASE_SERVICE_ROLE_KEY || "";
+  const table = process.env.SUPABASE_TABLE || "pumpmini_store";
+  if (!url || !key) throw new Error("SUPABASE_URL / SUPABASE_SERVICE_ROLE_KEY required (or pass --file)");
+
+  const supabase = createClient(url, key, { auth: { persistSession: false } });
+  const { data, error } = await supabase.from(table).select("data").eq("id", "main").maybeSingle();
+  if (error) throw new Error("Supabase read failed: " + error.message);
+  if (!data) throw new Error(`No row "main" in ${table}`);
+  return data.data || {};
+}
+
+// Holdings are stored once, from profiles. Wallets that only appear in coin.holders
+// (older stores) get a holdings entry so the amount is not dropped.
+function mergeHolders(state) {
+  let added = 0;
+  for (const coin of state.coins.values()) {
+    for (const [wallet, amount] of Object.entries(coin.holders || {})) {
+      const p = state.profiles.get(wallet) || { wallet, holdings: [] };
+      p.wallet = p.wallet || wallet;
+      p.holdings = Array.isArray(p.holdings) ? p.holdings : [];
+      if (p.holdings.some((h) => h.coinId === coin.id)) continue;
+      p.holdings.push({ coinId: coin.id, symbol: coin.symbol || "", amount: Number(amount) || 0, lastAt: 0 });
+      state.profiles.set(wallet, p);
+      added++;
+    }
+  }
+  return added;
+}
+
+async function main() {
+  const state = fromBlob(await readBlob());
+  const added = mergeHolders(state);
+
+  const ops = [];
+  for (const col of COLLECTIONS) {
+    for (const [id, doc] of state[col]) {
+      if (col === "profiles") doc.wallet = doc.wallet || id;
+      ops.push({ col, id, doc });
+    }
+  }
+
+  const counts = Object.fromEntries(COLLECTIONS.map((c) => [c, state[c].size]));
+  console.log("Source:", JSON.stringify(counts), added ? `(+${added} holdings from coin.holders)` : "");
+  if (flag("--dry-run")) return;
+
+  const adapter = await createPostgresAdapter(process.env.DATABASE_URL || process.env.SUPABASE_DB_URL || "");
+  try {
+    const { rows } = await adapter.pool.query("select count(*)::int as n from coins");
+    if (rows[0].n > 0 && !flag("--force")) {
+      throw new Error(`Target already has ${rows[0].n} coins; pass --force to upsert over it`);
+    }
+
+    // Fresh reader: treasury is credited as a delta against the ledger's current sum.
+    await adapter.commit(await adapter.begin(), ops);
+    console.log(`Migrated ${ops.length} documents.`);
+  } finally {
+    await adapter.close();
+  }
+}
+
+main().catch((e) => {
+  console.error("migrate-blob failed:", e?.message || e);
+  process.exit(1);
+});
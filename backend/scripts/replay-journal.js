@@ -0,0 +1,126 @@
+// backend/scripts/replay-journal.js — rebuild the file store from the NDJSON journal and diff
+// it against the live db.json.
+//
+//   node scripts/replay-journal.js                       # replay, write db.replay.json, diff
+//   node scripts/replay-journal.js --to 1200             # stop after seq 1200
+//   node scripts/replay-journal.js --out rebuilt.json    # write the rebuilt store elsewhere
+//   node scripts/replay-journal.js --restore             # overwrite db.json (server stopped!)
+//
+// --journal / --db default to JOURNAL_PATH / backend/db.json. Exits 1 if the stores differ
+// (or the journal has gaps), so it can run from cron as an audit.
+
+import "dotenv/config";
+import fsp from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+
+import { COLLECTIONS } from "../storage/index.js";
+import { applyOps, fromBlob, splitJournalSeq, toBlob } from "../storage/blob.js";
+import { readJournal } from "../storage/journal.js";
+
+const ROOT = path.join(path.dirname(fileURLToPath(import.meta.url)), "..");
+
+const args = process.argv.slice(2);
+const flag = (name) => args.includes(name);
+const opt = (name) => {
+  const i = args.indexOf(name);
+  return i >= 0 ? args[i + 1] : "";
+};
+
+const journalPath = opt("--journal") || process.env.JOURNAL_PATH || path.join(ROOT, "db.journal.ndjson");
+const dbPath = opt("--db") || path.join(ROOT, "db.json");
+const outPath = opt("--out") || path.join(ROOT, "db.replay.json");
+const toSeq = Number(opt("--to")) || Infinity;
+
+const MAX_SHOWN = 20;
+
+// Key order differs between a store that went through JSON and one built in memory.
+function stable(v) {
+  if (Array.isArray(v)) return `[${v.map(stable).join(",")}]`;
+  if (v && typeof v === "object") {
+    return `{${Object.keys(v)
+      .sort()
+      .map((k) => `${JSON.stringify(k)}:${stable(v[k])}`)
+      .join(",")}}`;
+  }
+  return JSON.stringify(v ?? null);
+}
+
+async function replay() {
+  let state = fromBlob({});
+  let last = 0;
+  let entries = 0;
+  const gaps = [];
+
+  for await (const entry of readJournal(journalPath)) {
+    if (entry.seq > toSeq) break;
+    if (entry.seq !== last + 1) gaps.push(`${last} -> ${entry.seq}`);
+    last = entry.seq;
+    entries++;
+
+    if (entry.blob) state = fromBlob(entry.blob);
+    else applyOps(state, entry.ops || []);
+  }
+  return { state, last, entries, gaps };
+}
+
+function diffStores(live, rebuilt) {
+  const lines = [];
+  let count = 0;
+  for (const col of COLLECTIONS) {
+    const ids = new Set([...live[col].keys(), ...rebuilt[col].keys()]);
+    for (const id of ids) {
+      const a = live[col].get(id);
+      const b = rebuilt[col].get(id);
+      let what = "";
+      if (a === undefined) what = "only in replay";
+      else if (b === undefined) what = "only in live";
+      else if (stable(a) !== stable(b)) what = "differs";
+      if (!what) continue;
+
+      count++;
+      if (lines.length < MAX_SHOWN) lines.push(`  ${col}/${id}: ${what}`);
+    }
+  }
+  return { count, lines };
+}
+
+async function main() {
+  const { state, last, entries, gaps } = await replay();
+  console.log(`Replayed ${entries} entries (last seq ${last}).`);
+  if (gaps.length) console.log(`Seq gaps: ${gaps.slice(0, MAX_SHOWN).join(", ")}`);
+
+  // Round-trip through the on-disk shape so capped collections are trimmed like db.json.
+  const rebuilt = toBlob(state);
+  await fsp.writeFile(outPath, JSON.stringify({ ...rebuilt, journalSeq: last }), "utf-8");
+  console.log(`Wrote ${outPath}`);
+
+  let differs = 0;
+  if (Number.isFinite(toSeq)) {
+    console.log("--to given: skipping diff against the live store.");
+  } else {
+    const live = fromBlob(splitJournalSeq(JSON.parse(await fsp.readFile(dbPath, "utf-8"))).blob);
+    const { count, lines } = diffStores(live, fromBlob(rebuilt));
+    differs = count;
+    if (!count) console.log(`Matches ${dbPath}.`);
+    else {
+      console.log(`${count} document(s) differ from ${dbPath}:`);
+      lines.forEach((l) => console.log(l));
+      if (count > lines.length) console.log(`  ... and ${count - lines.length} more`);
+    }
+  }
+
+  if (flag("--restore")) {
+    await fsp.copyFile(dbPath, dbPath + ".before-replay").catch(() => {});
+    await fsp.rename(outPath, dbPath);
+    console.log(`Restored ${dbPath} (previous copy: ${dbPath}.before-replay).`);
+    return;
+  }
+
+  if (differs || gaps.length) process.exitCode = 1;
+}
+
+main().catch((e) => {
+  console.error("replay-journal failed:", e?.message || e);
+  process.exit(1);
+});
@@ -11,11 +11,32 @@ import compression from "compression";
 import morgan from "morgan";
 
 import { createClient } from "@supabase/supabase-js";
-import { Connection, PublicKey } from "@solana/web3.js";
+import {
+  Connection,
+  Keypair,
+  LAMPORTS_PER_SOL,
+  PublicKey,
+  SystemProgram,
+  Transaction,
+  sendAndConfirmRawTransaction,
+} from "@solana/web3.js";
+import {
+  AuthorityType,
+  createMint,
+  getMint,
+  getOrCreateAssociatedTokenAccount,
+  mintTo,
+  setAuthority,
+} from "@solana/spl-token";
 
 import { fileURLToPath } from "url";
 import fs from "fs";
-import fsp from "fs/promises";
+
+import sharp from "sharp";
+import bs58 from "bs58";
+
+import { COLLECTIONS, openStorage } from "./storage/index.js";
+import { ASSET_KEY_RE, createAssetStore } from "./storage/assets.js";
 
 const app = express();
 
@@ -29,14 +50,19 @@ app.use(morgan("tiny"));
 app.use(helmet());
 app.use(compression());
 
-const JSON_LIMIT = process.env.JSON_LIMIT || "15mb";
-app.use(express.json({ limit: JSON_LIMIT }));
+// Logos go through /api/upload/logo; JSON only needs room for a legacy data-URL logo (5MB -> ~6.7MB base64).
+const JSON_LIMIT = process.env.JSON_LIMIT || "8mb";
+const jsonParser = express.json({ limit: JSON_LIMIT });
+// Snapshot imports bring their own, larger limit (see ADMIN: EXPORT / IMPORT).
+app.use((req, res, next) => (req.path === "/api/admin/import" ? next() : jsonParser(req, res, next)));
 app.use(express.urlencoded({ extended: true, limit: JSON_LIMIT }));
 
+// Requests per minute per IP (tests and load runs raise it).
+const RATE_LIMIT_MAX = Number(process.env.RATE_LIMIT_MAX || 240);
 app.use(
   rateLimit({
     windowMs: 60 * 1000,
-    max: 240,
+    max: RATE_LIMIT_MAX,
     standardHeaders: true,
     legacyHeaders: false,
   })
@@ -100,6 +126,8 @@ const DB_MODE = DB_MODE_RAW === "local" ? "file" : DB_MODE_RAW;
 const SUPABASE_URL = process.env.SUPABASE_URL || "";
 const SUPABASE_SERVICE_ROLE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY || "";
 const SUPABASE_TABLE = process.env.SUPABASE_TABLE || "pumpmini_store";
+// DB_MODE=postgres: normalized tables (Supabase "Connection string" or a local Postgres URL).
+const DATABASE_URL = process.env.DATABASE_URL || process.env.SUPABASE_DB_URL || "";
 
 const SOLANA_RPC =
   process.env.SOLANA_RPC ||
@@ -112,6 +140,8 @@ const connection = new Connection(SOLANA_RPC, "confirmed");
 const STARTING_MC_USD = Number(process.env.STARTING_MC_USD || 6500);
 const TOTAL_SUPPLY_DEFAULT = Number(process.env.TOTAL_SUPPLY_DEFAULT || 1_000_000_000);
 const CREATOR_PERCENT = Number(process.env.CREATOR_PERCENT || 2);
+// Bonding curve: SOL/USD used to express the constant-product curve price as MC in USD.
+const SOL_PRICE_USD = Number(process.env.SOL_PRICE_USD || 150);
 
 // Fee
 const FEE_PCT = Number(process.env.FEE_PCT || 1);
@@ -130,19 +160,83 @@ const CREATE_RESERVE_PCT = Number(process.env.CREATE_RESERVE_PCT || 10);
 const DEV_WALLET = String(process.env.DEV_WALLET || "DEV_TREASURY").trim();
 const RESERVE_WALLET = String(process.env.RESERVE_WALLET || "RESERVE_TREASURY").trim();
 
+// Demo ledger faucet (in-app SOL only, nothing on-chain). Balances then mix free credit with
+// deposits, so MANUAL withdrawals (balance -> on-chain) are refused while it is on.
+const DEMO_FAUCET_ENABLED = String(process.env.DEMO_FAUCET || "0") === "1";
+const DEMO_FAUCET_SOL = Number(process.env.DEMO_FAUCET_SOL || 5);
+const DEMO_FAUCET_COOLDOWN_MS = Number(process.env.DEMO_FAUCET_COOLDOWN_MS || 60 * 60 * 1000);
+
+// Deposit watcher: SOL sent to DEPOSIT_ADDRESS is credited to the sender's in-app balance
+// (or to the wallet named in a memo, e.g. "funrun:<wallet>").
+const DEPOSIT_ADDRESS = String(process.env.DEPOSIT_ADDRESS || "").trim();
+const DEPOSIT_WATCH_ENABLED = String(process.env.DEPOSIT_WATCH || "0") === "1" && !!DEPOSIT_ADDRESS;
+const DEPOSIT_POLL_MS = Number(process.env.DEPOSIT_POLL_MS || 10000);
+const DEPOSIT_MIN_SOL = Number(process.env.DEPOSIT_MIN_SOL || 0.001);
+
+// Payouts: treasury keypair as a solana-keygen JSON array (inline or file path)
+const TREASURY_SECRET_KEY = String(process.env.TREASURY_SECRET_KEY || "").trim();
+const TREASURY_KEYPAIR_PATH = String(process.env.TREASURY_KEYPAIR_PATH || "").trim();
+
+// SPL mint for LIVE coins (treasury keypair pays and is the temporary mint authority)
+const MINT_ON_LIVE = String(process.env.MINT_ON_LIVE || "0") === "1";
+const TOKEN_DECIMALS = Number(process.env.TOKEN_DECIMALS || 6);
+
+// Withdraw queue
+const WITHDRAW_MIN_SOL = Number(process.env.WITHDRAW_MIN_SOL || 0.01);
+const WITHDRAW_DAILY_CAP_SOL = Number(process.env.WITHDRAW_DAILY_CAP_SOL || 50); // 0 = no cap
+const WITHDRAW_HOLD_MS = Number(process.env.WITHDRAW_HOLD_MS || 30 * 1000); // cancel window
+const WITHDRAW_PROCESS_MS = Number(process.env.WITHDRAW_PROCESS_MS || 5000);
+const WITHDRAW_STALE_MS = Number(process.env.WITHDRAW_STALE_MS || 60 * 1000); // PROCESSING this long = re-check
+
+// Logos: uploaded once, stored by SHA-256 outside the JSON store (see storage/assets.js)
+const ASSET_MODE = String(process.env.ASSET_MODE || "disk").trim(); // disk | supabase
+const ASSET_BUCKET = String(process.env.ASSET_BUCKET || "assets").trim();
+const MAX_LOGO_BYTES = Number(process.env.MAX_LOGO_BYTES || 5 * 1024 * 1024);
+const LOGO_MAX_PX = Number(process.env.LOGO_MAX_PX || 1024);
+const LOGO_THUMB_SIZES = [64, 256];
+
+// Admin endpoints (snapshot export/import); unset = disabled
+const ADMIN_TOKEN = String(process.env.ADMIN_TOKEN || "").trim();
+const ADMIN_JSON_LIMIT = process.env.ADMIN_JSON_LIMIT || "200mb";
+
+// Auth (wallet signature sessions)
+const AUTH_NONCE_TTL_MS = Number(process.env.AUTH_NONCE_TTL_MS || 5 * 60 * 1000);
+const AUTH_SESSION_TTL_MS = Number(process.env.AUTH_SESSION_TTL_MS || 30 * 60 * 1000);
+const AUTH_SESSION_SECRET =
+  process.env.AUTH_SESSION_SECRET || crypto.randomBytes(32).toString("hex");
+
+// Auth (Privy access / identity tokens)
+const PRIVY_APP_ID = String(process.env.PRIVY_APP_ID || "cmld3um1x01w8i50ct60xaywb").trim();
+const PRIVY_APP_SECRET = String(process.env.PRIVY_APP_SECRET || "").trim();
+const PRIVY_VERIFICATION_KEY = String(process.env.PRIVY_VERIFICATION_KEY || "").replace(/\\n/g, "\n");
+const PRIVY_JWKS_PATH = String(process.env.PRIVY_JWKS_PATH || "").trim();
+const PRIVY_API_URL = String(process.env.PRIVY_API_URL || "https://auth.privy.io").replace(/\/+$/, "");
+const PRIVY_API_TIMEOUT_MS = Number(process.env.PRIVY_API_TIMEOUT_MS || 5000);
+
 // -------------------- FILE DB PATH --------------------
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
-const FILE_DB_PATH = path.join(__dirname, "db.json");
+const FILE_DB_PATH = process.env.FILE_DB_PATH || path.join(__dirname, "db.json");
+// Append-only journal of every file-DB commit (scripts/replay-journal.js). JOURNAL_PATH="" turns it off.
+const JOURNAL_PATH = process.env.JOURNAL_PATH ?? path.join(__dirname, "db.journal.ndjson");
+// Rotating copies of db.json (also a recovery source if db.json is found corrupt). BACKUP_DIR="" turns it off.
+const BACKUP_DIR = process.env.BACKUP_DIR ?? path.join(__dirname, "backups");
+const BACKUP_EVERY_MS = Number(process.env.BACKUP_EVERY_MIN || 60) * 60 * 1000;
+const BACKUP_KEEP = Number(process.env.BACKUP_KEEP || 24);
+const SHUTDOWN_TIMEOUT_MS = Number(process.env.SHUTDOWN_TIMEOUT_MS || 10000);
+const SQLITE_PATH = process.env.SQLITE_PATH || path.join(__dirname, "db.sqlite");
+const ASSET_DIR = process.env.ASSET_DIR || path.join(__dirname, "assets");
 
 // -------------------- SUPABASE --------------------
 const supabase =
-  DB_MODE === "supabase" && SUPABASE_URL && SUPABASE_SERVICE_ROLE_KEY
+  (DB_MODE === "supabase" || ASSET_MODE === "supabase") && SUPABASE_URL && SUPABASE_SERVICE_ROLE_KEY
     ? createClient(SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY, {
         auth: { persistSession: false },
       })
     : null;
 
+const assets = createAssetStore(ASSET_MODE, { dir: ASSET_DIR, supabase, bucket: ASSET_BUCKET });
+
 // -------------------- UTIL --------------------
 function nowMs() {
   return Date.now();
@@ -161,43 +255,73 @@ function clampPct(n) {
 function pctToFrac(p) {
   return clampPct(p) / 100;
 }
+// Query-string time: epoch ms or anything Date.parse takes; d when absent, NaN when unreadable.
+function parseTime(v, d) {
+  if (v == null || v === "") return d;
+  const n = Number(v);
+  if (Number.isFinite(n)) return n;
+  const ms = Date.parse(String(v));
+  return Number.isFinite(ms) ? ms : NaN;
+}
 
-function defaultStore() {
-  return {
-    coins: [],
-    profiles: {},
-    referrals: {},
-    treasury: { devSol: 0, reserveSol: 0, updatedAt: nowMs() },
-    logs: [],
-  };
+const LINK_KEYS = ["website", "x", "telegram"];
+
+function ensureLinks(l) {
+  const out = {};
+  for (const k of LINK_KEYS) out[k] = typeof l?.[k] === "string" ? l[k].trim() : "";
+  return out;
 }
 
+// What GET /api/coin/list?q= matches against (a substring of it). Kept on the document so the
+// search runs in storage; recomputed whenever name or symbol change.
+function coinSearchText(c) {
+  return `${c.name} ${c.symbol}`.toLowerCase();
+}
+
+// Read-time guard against malformed documents. A new field also needs a MIGRATIONS entry that
+// backfills stored coins; don't rely on the default here.
 function ensureCoin(c) {
+  const name = String(c?.name || "").trim();
+  const symbol = String(c?.symbol || "").trim().toUpperCase();
   const createdAt = safeNum(c?.createdAt, nowMs());
   const status = c?.status || "DRAFT";
   const mc = safeNum(c?.mc, status === "LIVE" ? STARTING_MC_USD : 0);
   const ath = safeNum(c?.ath, mc || STARTING_MC_USD);
+  const launchedAt = safeNum(c?.launchedAt, status === "LIVE" ? createdAt : 0);
   const chart =
     Array.isArray(c?.chart) && c.chart.length ? c.chart : [mc, mc, mc, mc, mc];
 
   return {
     id: c?.id || uid(),
-    name: String(c?.name || "").trim(),
-    symbol: String(c?.symbol || "").trim().toUpperCase(),
+    name,
+    symbol,
+    searchText: coinSearchText({ name, symbol }),
     story: String(c?.story || "").trim(),
     logo: c?.logo || "",
+    links: ensureLinks(c?.links),
     creatorWallet: c?.creatorWallet || c?.owner || "",
     owner: c?.owner || c?.creatorWallet || "",
     createdAt,
     status,
     mc,
     ath,
+    athAt: safeNum(c?.athAt, launchedAt),
     chart,
+    changePct: safeNum(c?.changePct, chartChangePct(chart)),
     volumeSol: safeNum(c?.volumeSol, 0),
     creatorRewardsSol: safeNum(c?.creatorRewardsSol, 0),
     totalSupply: safeNum(c?.totalSupply, TOTAL_SUPPLY_DEFAULT),
     holders: c?.holders && typeof c.holders === "object" ? c.holders : {},
     lastTradeAt: safeNum(c?.lastTradeAt, 0),
+    updatedAt: safeNum(c?.updatedAt, 0),
+    launchedAt,
+    virtualSolReserves: safeNum(c?.virtualSolReserves, 0),
+    virtualTokenReserves: safeNum(c?.virtualTokenReserves, 0),
+    realSolReserves: safeNum(c?.realSolReserves, 0),
+    mintAddress: String(c?.mintAddress || ""),
+    mintStatus: String(c?.mintStatus || ""), // "" | MINTING | MINTED | FAILED
+    mintError: String(c?.mintError || ""),
+    mintDecimals: safeNum(c?.mintDecimals, 0),
   };
 }
 
@@ -217,55 +341,50 @@ function ensureProfile(p, wallet) {
         ? base.referralRewards
         : { totalSol: 0, byWallet: {} },
     referrer: base.referrer || "",
+    balanceSol: safeNum(base.balanceSol, 0), // in-app (demo) SOL ledger
+    lastFaucetAt: safeNum(base.lastFaucetAt, 0),
     updatedAt: nowMs(),
   };
 }
 
-function logPush(store, item) {
-  store.logs = Array.isArray(store.logs) ? store.logs : [];
-  store.logs.unshift({ t: nowMs(), ...item });
-  store.logs = store.logs.slice(0, 300);
+// Transaction callbacks return the response body; `status` (if set) becomes the HTTP status.
+function sendResult(res, out) {
+  const { status, ...body } = out;
+  return res.status(status || 200).json(body);
 }
 
-function normalizeStore(store) {
-  const merged = { ...defaultStore(), ...(store || {}) };
-  merged.coins = Array.isArray(merged.coins) ? merged.coins.map(ensureCoin) : [];
-  merged.profiles = merged.profiles && typeof merged.profiles === "object" ? merged.profiles : {};
-  merged.referrals = merged.referrals && typeof merged.referrals === "object" ? merged.referrals : {};
-  merged.treasury = merged.treasury && typeof merged.treasury === "object" ? merged.treasury : defaultStore().treasury;
-  merged.logs = Array.isArray(merged.logs) ? merged.logs : [];
-  return merged;
+function logPush(t, item) {
+  t.logs.add({ t: nowMs(), ...item });
 }
 
-function ensureTreasury(store) {
-  store.treasury = store.treasury && typeof store.treasury === "object" ? store.treasury : {};
-  store.treasury.devSol = safeNum(store.treasury.devSol, 0);
-  store.treasury.reserveSol = safeNum(store.treasury.reserveSol, 0);
-  store.treasury.updatedAt = nowMs();
+async function getProfile(t, wallet) {
+  return (await t.profiles.get(wallet)) || ensureProfile(null, wallet);
 }
 
-function creditCreatorReward(store, coin, amountSol) {
+// Both return the wallet credited ("" = nobody; the ledger books that share as unassigned).
+async function creditCreatorReward(t, coin, amountSol) {
   const creator = String(coin?.creatorWallet || coin?.owner || "").trim();
-  if (!creator || amountSol <= 0) return;
+  if (!creator || amountSol <= 0) return "";
 
-  const p = ensureProfile(store.profiles?.[creator], creator);
+  const p = await getProfile(t, creator);
   p.rewards.totalSol = safeNum(p.rewards?.totalSol, 0) + amountSol;
   p.rewards.byCoin = p.rewards.byCoin && typeof p.rewards.byCoin === "object" ? p.rewards.byCoin : {};
   p.rewards.byCoin[coin.id] = safeNum(p.rewards.byCoin[coin.id], 0) + amountSol;
   p.updatedAt = nowMs();
-  store.profiles[creator] = p;
+  t.profiles.put(creator, p);
 
   coin.creatorRewardsSol = safeNum(coin.creatorRewardsSol, 0) + amountSol;
+  return creator;
 }
 
-function creditReferralReward(store, traderWallet, amountSol) {
+async function creditReferralReward(t, traderWallet, amountSol) {
   const w = String(traderWallet || "").trim();
-  if (!w || amountSol <= 0) return;
+  if (!w || amountSol <= 0) return "";
 
-  const ref = String(store.referrals?.[w] || "").trim();
-  if (!ref || ref.length < 20) return;
+  const ref = String((await t.referrals.get(w)) || "").trim();
+  if (!ref || ref.length < 20) return "";
 
-  const rp = ensureProfile(store.profiles?.[ref], ref);
+  const rp = await getProfile(t, ref);
   rp.referralRewards.totalSol = safeNum(rp.referralRewards?.totalSol, 0) + amountSol;
   rp.referralRewards.byWallet =
     rp.referralRewards.byWallet && typeof rp.referralRewards.byWallet === "object"
@@ -273,479 +392,3106 @@ function creditReferralReward(store, traderWallet, amountSol) {
       : {};
   rp.referralRewards.byWallet[w] = safeNum(rp.referralRewards.byWallet[w], 0) + amountSol;
   rp.updatedAt = nowMs();
-  store.profiles[ref] = rp;
+  t.profiles.put(ref, rp);
+  return ref;
 }
 
+// Fees are whole lamports so they split into the ledger without remainder drift.
 function takeFee(solAmount) {
-  const fee = solAmount * pctToFrac(FEE_PCT);
+  const fee = lamportsToSol(toLamports(solAmount * pctToFrac(FEE_PCT)));
   const net = Math.max(0, solAmount - fee);
   return { feeSol: fee, netSol: net };
 }
 
-function findCoin(store, coinId) {
+async function findCoin(t, coinId) {
   const id = String(coinId || "").trim();
-  return (store.coins || []).find((x) => x.id === id) || null;
+  return id ? t.coins.get(id) : null;
 }
 
-// -------------------- FAST FILE DB (CACHE + DEBOUNCED WRITE) --------------------
-let fileCache = null;          // in-memory store
-let fileLoaded = false;
-let writeTimer = null;
-let writeInFlight = false;
-let pendingWrite = false;
+// -------------------- LEDGER (double-entry, integer lamports) --------------------
+// Every fee and reward payout is one entry: postings { account, lamports } that sum to zero
+// (lamports > 0 credits the account, < 0 debits it). Balances are sums of postings; nothing
+// is kept as a running float. Accounts:
+//   dev, reserve                   house fee income
+//   creator:<wallet>               trade fee share, withdrawable (kind CREATOR)
+//   referral:<wallet>              referral fee share, withdrawable (kind REF)
+//   user:<wallet>                  the payer side of fees and of MANUAL withdrawals
+//   unassigned                     shares with no recipient (no referrer / no creator)
+//   pending                        withdrawals requested but not yet SENT / FAILED / CANCELLED
+//   payouts                        the other side of SENT withdrawals
+//   opening                        balances carried over from the float treasury (migration 4)
+// Each posting repeats the entry's references (wallet, coinId, withdrawalId) so entries can
+// be found by coin or wallet as well as by account.
+function toLamports(sol) {
+  return Math.round(safeNum(sol, 0) * LAMPORTS_PER_SOL);
+}
+function lamportsToSol(lamports) {
+  return safeNum(lamports, 0) / LAMPORTS_PER_SOL;
+}
 
-async function loadFileStoreOnce() {
-  if (fileLoaded && fileCache) return fileCache;
+function postLedger(t, kind, lines, { wallet = "", coinId = "", withdrawalId = "" } = {}) {
+  const byAccount = new Map();
+  for (const l of lines) {
+    if (!Number.isSafeInteger(l.lamports)) throw new Error(`Ledger ${kind}: ${l.account} amount is not whole lamports`);
+    byAccount.set(l.account, (byAccount.get(l.account) || 0) + l.lamports);
+  }
+  const sum = [...byAccount.values()].reduce((a, v) => a + v, 0);
+  if (sum !== 0) throw new Error(`Ledger ${kind}: entry does not balance (${sum} lamports)`);
 
-  try {
-    await fsp.access(FILE_DB_PATH, fs.constants.F_OK);
-  } catch {
-    await fsp.writeFile(FILE_DB_PATH, JSON.stringify(defaultStore()));
+  const entryId = uid();
+  const at = nowMs();
+  for (const [account, lamports] of byAccount) {
+    if (lamports) t.ledger.add({ entryId, t: at, kind, account, lamports, wallet, coinId, withdrawalId });
+  }
+  return entryId;
+}
+
+async function ledgerBalance(t, account) {
+  const rows = await t.ledger.list({ where: { account } });
+  return rows.reduce((a, r) => a + safeNum(r.lamports, 0), 0);
+}
+
+// Reward balances come from the ledger; profile rewards are the per-coin / per-wallet view.
+const REWARD_ACCOUNT = { CREATOR: "creator", REF: "referral" };
+
+// The account a withdrawal of this kind is paid from (and refunded to).
+function withdrawSourceAccount(kind, wallet) {
+  return `${REWARD_ACCOUNT[kind] || "user"}:${wallet}`;
+}
+
+// One fee, split by percentage (floored to lamports). Percentages that add up to less than
+// 100 leave the rest unassigned; the rounding remainder goes to reserve, so the entry always
+// balances. Credits the reward copies on profiles and returns the split in SOL for logs.
+async function postFee(t, kind, { wallet, coin = null, feeSol, devPct = 0, creatorPct = 0, refPct = 0, reservePct = 0 }) {
+  const fee = toLamports(feeSol);
+  let left = fee;
+  const take = (pct) => {
+    const x = Math.min(left, Math.floor((fee * clampPct(pct)) / 100));
+    left -= x;
+    return x;
+  };
+  const dev = take(devPct);
+  const creator = take(creatorPct);
+  const ref = take(refPct);
+  let reserve = take(reservePct);
+  const unset = take(100 - [devPct, creatorPct, refPct, reservePct].reduce((a, pct) => a + clampPct(pct), 0));
+  reserve += left;
+
+  const creatorWallet = await creditCreatorReward(t, coin, lamportsToSol(creator));
+  const refWallet = await creditReferralReward(t, wallet, lamportsToSol(ref));
+
+  postLedger(
+    t,
+    kind,
+    [
+      { account: `user:${wallet}`, lamports: -fee },
+      { account: "dev", lamports: dev },
+      { account: "reserve", lamports: reserve },
+      { account: creatorWallet ? `creator:${creatorWallet}` : "unassigned", lamports: creator },
+      { account: refWallet ? `referral:${refWallet}` : "unassigned", lamports: ref },
+      { account: "unassigned", lamports: unset },
+    ],
+    { wallet, coinId: coin?.id || "" }
+  );
+
+  return { dev: lamportsToSol(dev), creator: lamportsToSol(creator), ref: lamportsToSol(ref), reserve: lamportsToSol(reserve) };
+}
+
+// -------------------- BONDING CURVE (constant product, virtual reserves) --------------------
+// virtualSol * virtualTokens = k. The creator allocation sits outside the curve, so the
+// curve starts with the remaining supply and a virtual SOL reserve priced at STARTING_MC_USD.
+function curveInitialReserves(totalSupply) {
+  const supply = Math.max(1, safeNum(totalSupply, TOTAL_SUPPLY_DEFAULT));
+  const virtualTokenReserves = Math.floor(supply * (1 - pctToFrac(CREATOR_PERCENT)));
+  const virtualSolReserves = (STARTING_MC_USD / SOL_PRICE_USD) * (virtualTokenReserves / supply);
+  return { virtualSolReserves, virtualTokenReserves };
+}
+
+function curvePriceSol(coin) {
+  const vt = safeNum(coin?.virtualTokenReserves, 0);
+  return vt > 0 ? safeNum(coin.virtualSolReserves, 0) / vt : 0;
+}
+
+function curveMcUsd(coin) {
+  return curvePriceSol(coin) * safeNum(coin?.totalSupply, 0) * SOL_PRICE_USD;
+}
+
+// Migration for coins created before the curve: derive reserves whose price matches the
+// current mc, with tokens already held outside the creator allocation counted as sold.
+function seedCurveReserves(coin) {
+  const init = curveInitialReserves(coin.totalSupply);
+  const creatorAlloc = Math.floor((coin.totalSupply * CREATOR_PERCENT) / 100);
+  const held = Object.values(coin.holders || {}).reduce((a, n) => a + safeNum(n, 0), 0);
+  const sold = Math.max(0, held - creatorAlloc);
+
+  const mc = safeNum(coin.mc, 0) > 0 ? coin.mc : STARTING_MC_USD;
+  const price = mc / (SOL_PRICE_USD * Math.max(1, coin.totalSupply));
+
+  coin.virtualTokenReserves = Math.max(1, init.virtualTokenReserves - sold);
+  coin.virtualSolReserves = price * coin.virtualTokenReserves;
+  coin.realSolReserves = Math.max(0, coin.virtualSolReserves - init.virtualSolReserves);
+  coin.mc = Math.round(curveMcUsd(coin));
+}
+
+async function migrateCurveReserves(t) {
+  let n = 0;
+  for (const coin of await t.coins.list({ where: { status: "LIVE" } })) {
+    if (coin.virtualTokenReserves > 0) continue;
+    seedCurveReserves(coin);
+    t.coins.put(coin.id, coin);
+    n++;
+  }
+  if (n) logPush(t, { type: "curve_migrate", coins: n });
+  return n;
+}
+
+function curveQuoteBuy(coin, netSol) {
+  const vs = coin.virtualSolReserves;
+  const vt = coin.virtualTokenReserves;
+  const nextSol = vs + netSol;
+  const tokens = Math.max(0, Math.floor(vt - (vs * vt) / nextSol));
+  // Reserves follow the integer token amount so k never shrinks through rounding.
+  return { sol: netSol, tokens, virtualSolReserves: nextSol, virtualTokenReserves: vt - tokens, realSolDelta: netSol };
+}
+
+function curveQuoteSell(coin, tokens) {
+  const vs = coin.virtualSolReserves;
+  const vt = coin.virtualTokenReserves;
+  const nextTokens = vt + tokens;
+  const nextSol = (vs * vt) / nextTokens;
+  const sol = Math.max(0, vs - nextSol);
+  return { sol, tokens, virtualSolReserves: nextSol, virtualTokenReserves: nextTokens, realSolDelta: -sol };
+}
+
+// Tokens a seller must give up to receive `sol` gross from the curve.
+function curveTokensForSol(coin, sol) {
+  const vs = coin.virtualSolReserves;
+  const vt = coin.virtualTokenReserves;
+  if (sol >= vs) return Infinity;
+  return Math.ceil((vs * vt) / (vs - sol) - vt);
+}
+
+function applyCurveQuote(coin, quote) {
+  coin.virtualSolReserves = quote.virtualSolReserves;
+  coin.virtualTokenReserves = quote.virtualTokenReserves;
+  coin.realSolReserves = Math.max(0, safeNum(coin.realSolReserves, 0) + quote.realSolDelta);
+
+  coin.mc = Math.round(curveMcUsd(coin));
+  if (!coin.ath || coin.mc > coin.ath) {
+    coin.ath = coin.mc;
+    coin.athAt = nowMs();
   }
+}
 
-  const raw = await fsp.readFile(FILE_DB_PATH, "utf-8");
-  const parsed = raw ? JSON.parse(raw) : {};
-  fileCache = normalizeStore(parsed);
-  fileLoaded = true;
-  return fileCache;
+// -------------------- CANDLES (OHLCV per timeframe) --------------------
+// Each fill updates one bucket per timeframe in the candles collection (id
+// "<coinId>:<tf>:<bucket start>"); prices are MC in USD like coin.mc, volume is gross SOL.
+// A bucket opens at the MC before its first fill so consecutive candles join up; buckets
+// without trades are not stored. coin.chart is derived from the 5m closes for list sparklines,
+// and coin.changePct from its last step (stored so the market list can filter and sort on it).
+const CANDLE_TFS = {
+  "1m": 60 * 1000,
+  "5m": 5 * 60 * 1000,
+  "15m": 15 * 60 * 1000,
+  "1h": 60 * 60 * 1000,
+  "1d": 24 * 60 * 60 * 1000,
+};
+const SPARK_TF = "5m";
+const SPARK_POINTS = 60;
+const CANDLES_MAX = 1000;
+
+// % change between the last two sparkline points (what the market cards show).
+function chartChangePct(chart) {
+  const arr = Array.isArray(chart) ? chart : [];
+  if (arr.length < 2) return 0;
+  const a = safeNum(arr[arr.length - 2], 0);
+  const b = safeNum(arr[arr.length - 1], 0);
+  return a ? ((b - a) / a) * 100 : 0;
 }
 
-async function flushFileStoreNow() {
-  if (writeInFlight) {
-    pendingWrite = true;
-    return;
+async function recordCandles(t, coin, { at, mcBefore, sol }) {
+  const mc = coin.mc;
+  let sparkOpened = false;
+
+  for (const [tf, ms] of Object.entries(CANDLE_TFS)) {
+    const start = at - (at % ms);
+    const id = `${coin.id}:${tf}:${start}`;
+    const k = await t.candles.get(id);
+    if (k) {
+      k.h = Math.max(k.h, mc);
+      k.l = Math.min(k.l, mc);
+      k.c = mc;
+      k.v = safeNum(k.v, 0) + sol;
+      k.n = safeNum(k.n, 0) + 1;
+      t.candles.put(id, k);
+    } else {
+      t.candles.put(id, {
+        id,
+        coinId: coin.id,
+        tf,
+        t: start,
+        o: mcBefore,
+        h: Math.max(mcBefore, mc),
+        l: Math.min(mcBefore, mc),
+        c: mc,
+        v: sol,
+        n: 1,
+      });
+      if (tf === SPARK_TF) sparkOpened = true;
+    }
   }
-  writeInFlight = true;
-  pendingWrite = false;
 
-  const tmp = FILE_DB_PATH + ".tmp";
-  const data = JSON.stringify(fileCache); // no pretty print (FAST)
-  await fsp.writeFile(tmp, data, "utf-8");
-  await fsp.rename(tmp, FILE_DB_PATH);
+  const chart = Array.isArray(coin.chart) ? coin.chart : [];
+  if (sparkOpened || !chart.length) chart.push(mc);
+  else chart[chart.length - 1] = mc;
+  coin.chart = chart.slice(-SPARK_POINTS);
+  coin.changePct = chartChangePct(coin.chart);
+}
+
+// -------------------- STORAGE --------------------
+const STORE_NORMALIZE = {
+  coins: ensureCoin,
+  profiles: (p, wallet) => ensureProfile(p, wallet),
+};
+
+// DB_MODE: file (db.json, default) | memory | sqlite (node:sqlite, Node 22.5+)
+//          | postgres (normalized tables, see migrations/) | supabase (legacy single row).
+const db = await openStorage(DB_MODE, {
+  filePath: FILE_DB_PATH,
+  journalPath: JOURNAL_PATH,
+  backupDir: BACKUP_DIR,
+  backupEveryMs: BACKUP_EVERY_MS,
+  backupKeep: BACKUP_KEEP,
+  sqlitePath: SQLITE_PATH,
+  databaseUrl: DATABASE_URL,
+  supabase,
+  supabaseTable: SUPABASE_TABLE,
+  normalize: STORE_NORMALIZE,
+});
+
+// -------------------- MIGRATIONS --------------------
+// The store carries `schemaVersion` (meta). Each entry runs once, in order, inside one
+// transaction, and returns how many documents it changed. New or renamed fields arrive here
+// (backfill the stored documents) rather than as another default in ensureCoin/ensureProfile.
+//
+//   node server.js --migrate             # run pending migrations and exit (npm run migrate)
+//   node server.js --migrate --dry-run   # report what would change, write nothing
+//
+// Migrations see documents as stored (no read normalization) and get { dryRun } so side
+// effects outside the store (asset files) can be skipped.
+const sameJson = (a, b) => stableJson(a) === stableJson(b);
+
+function stableJson(v) {
+  if (Array.isArray(v)) return `[${v.map(stableJson).join(",")}]`;
+  if (v && typeof v === "object") {
+    return `{${Object.keys(v)
+      .sort()
+      .map((k) => `${JSON.stringify(k)}:${stableJson(v[k])}`)
+      .join(",")}}`;
+  }
+  return JSON.stringify(v ?? null);
+}
 
-  writeInFlight = false;
-  if (pendingWrite) {
-    await flushFileStoreNow();
+// Writes back every document whose stored shape differs from what `ensure` would make of it.
+async function persistShape(t, col, ensure, ignore = []) {
+  let n = 0;
+  for (const raw of await t[col].list()) {
+    const id = col === "profiles" ? raw.wallet : raw.id;
+    if (!id) continue;
+    const next = ensure(raw, id);
+    const strip = (d) => ({ ...d, ...Object.fromEntries(ignore.map((k) => [k, null])) });
+    if (sameJson(strip(raw), strip(next))) continue;
+    t[col].put(id, next);
+    n++;
   }
+  return n;
 }
 
-function scheduleFileWrite() {
-  if (writeTimer) return;
-  writeTimer = setTimeout(async () => {
-    writeTimer = null;
+const MIGRATIONS = [
+  {
+    version: 1,
+    name: "coin-profile-shapes",
+    // links, launchedAt, updatedAt, mint* and friends were only ever defaulted on read.
+    up: async (t) =>
+      (await persistShape(t, "coins", ensureCoin)) + (await persistShape(t, "profiles", ensureProfile, ["updatedAt"])),
+  },
+  {
+    version: 2,
+    name: "curve-reserves",
+    up: migrateCurveReserves,
+  },
+  {
+    version: 3,
+    name: "inline-logos-to-assets",
+    up: migrateInlineLogos,
+  },
+  {
+    version: 4,
+    name: "treasury-to-ledger",
+    up: migrateTreasuryToLedger,
+  },
+  {
+    version: 5,
+    name: "trade-candles",
+    up: migrateTradeCandles,
+  },
+  {
+    version: 6,
+    name: "coin-ath-at",
+    up: migrateCoinAthAt,
+  },
+  {
+    version: 7,
+    name: "withdrawal-holds",
+    up: migrateWithdrawalHolds,
+  },
+  {
+    version: 8,
+    name: "coin-edits-out-of-logs",
+    up: migrateCoinEdits,
+  },
+  {
+    version: 9,
+    name: "coin-change-pct",
+    up: migrateCoinChangePct,
+  },
+  {
+    version: 10,
+    name: "coin-search-text",
+    up: migrateCoinSearchText,
+  },
+];
+const SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+// data: URL logos (pre-upload endpoint) -> asset URLs. Undecodable ones are cleared.
+async function migrateInlineLogos(t, { dryRun }) {
+  let n = 0;
+  for (const coin of await t.coins.list()) {
+    if (!String(coin.logo || "").startsWith("data:")) continue;
+    let url = "";
     try {
-      await flushFileStoreNow();
+      url = (await ingestLogo(decodeDataUrlImage(coin.logo), { store: !dryRun })).url;
     } catch (e) {
-      console.error("File DB flush failed:", e?.message || e);
+      console.error(`Logo of coin ${coin.id} dropped: ${e?.message || e}`);
     }
-  }, 600); // debounce
+    coin.logo = url;
+    t.coins.put(coin.id, coin);
+    n++;
+  }
+  return n;
 }
 
-// -------------------- DB API --------------------
-async function readDB() {
-  if (DB_MODE === "supabase") {
-    if (!supabase) throw new Error("Supabase not configured");
-
-    const { data, error } = await supabase
-      .from(SUPABASE_TABLE)
-      .select("data")
-      .eq("id", "main")
-      .maybeSingle();
+// The float treasury and the reward totals on profiles become one "opening" ledger entry, so
+// balances (and reward withdrawals) continue from where they were.
+async function migrateTreasuryToLedger(t) {
+  const lines = [];
+  const tr = await t.treasury.get("main");
+  if (tr) {
+    lines.push({ account: "dev", lamports: toLamports(tr.devSol) });
+    lines.push({ account: "reserve", lamports: toLamports(tr.reserveSol) });
+    t.treasury.remove("main");
+  }
+  for (const { id, doc: p } of await t.profiles.entries()) {
+    lines.push({ account: `creator:${id}`, lamports: toLamports(p?.rewards?.totalSol) });
+    lines.push({ account: `referral:${id}`, lamports: toLamports(p?.referralRewards?.totalSol) });
+  }
 
-    if (error) throw new Error("Supabase read failed: " + error.message);
+  const opened = lines.filter((l) => l.lamports);
+  if (!opened.length) return tr ? 1 : 0;
+  postLedger(t, "opening", [...opened, { account: "opening", lamports: -opened.reduce((a, l) => a + l.lamports, 0) }]);
+  return opened.length + (tr ? 1 : 0);
+}
 
-    if (!data) {
-      const init = defaultStore();
-      const { error: upErr } = await supabase
-        .from(SUPABASE_TABLE)
-        .upsert({ id: "main", data: init }, { onConflict: "id" });
-      if (upErr) throw new Error("Supabase init failed: " + upErr.message);
-      return normalizeStore(init);
+// Candles replayed from each coin's stored trades; coins with trades get their chart rebuilt
+// from the 5m closes (the old chart had no timestamps to keep).
+async function migrateTradeCandles(t) {
+  let n = 0;
+  for (const coin of await t.coins.list()) {
+    const trades = (await t.trades.list({ where: { coinId: coin.id } })).sort((a, b) => a.t - b.t);
+    if (!trades.length) continue;
+
+    const mc = coin.mc;
+    coin.chart = [STARTING_MC_USD];
+    let mcBefore = STARTING_MC_USD;
+    for (const tr of trades) {
+      coin.mc = safeNum(tr.mc, mcBefore);
+      await recordCandles(t, coin, { at: tr.t, mcBefore, sol: safeNum(tr.sol, 0) });
+      mcBefore = coin.mc;
     }
+    coin.mc = mc;
+    t.coins.put(coin.id, coin);
+    n++;
+  }
+  return n;
+}
 
-    return normalizeStore(data?.data || defaultStore());
+// athAt = the first trade that reached the stored ATH; coins whose ATH is the starting MC
+// (never traded above it) get their launch time.
+async function migrateCoinAthAt(t) {
+  let n = 0;
+  for (const coin of await t.coins.list()) {
+    const trades = await t.trades.list({ where: { coinId: coin.id }, orderBy: "t" });
+    const top = trades.find((tr) => safeNum(tr.mc, 0) >= safeNum(coin.ath, 0));
+    const launchedAt = safeNum(coin.launchedAt, coin.status === "LIVE" ? safeNum(coin.createdAt, 0) : 0);
+    const athAt = top ? top.t : launchedAt;
+    if (coin.athAt === athAt) continue;
+    coin.athAt = athAt;
+    t.coins.put(coin.id, coin);
+    n++;
   }
+  return n;
+}
 
-  return await loadFileStoreOnce();
+// Open withdrawals from before holds existed reserve their amount now, like a new request would.
+async function migrateWithdrawalHolds(t) {
+  let n = 0;
+  for (const w of await t.withdrawals.list({ where: { status: ["PENDING", "PROCESSING"] } })) {
+    if ((await t.ledger.list({ where: { withdrawalId: w.id, account: "pending" } })).length) continue;
+    const p = await getProfile(t, w.wallet);
+    holdWithdrawal(t, p, w);
+    t.profiles.put(w.wallet, p);
+    n++;
+  }
+  return n;
 }
 
-async function writeDB(store) {
-  if (DB_MODE === "supabase") {
-    if (!supabase) throw new Error("Supabase not configured");
+// coin_edit logs -> coinEdits (same ids), so trimming logs no longer drops edit history.
+async function migrateCoinEdits(t) {
+  let n = 0;
+  for (const { id, doc } of await t.logs.entries({ where: { type: "coin_edit" } })) {
+    t.coinEdits.put(id, { id, coinId: doc.coinId, t: doc.t, wallet: doc.wallet, changes: doc.changes });
+    t.logs.remove(id);
+    n++;
+  }
+  return n;
+}
 
-    const { error } = await supabase
-      .from(SUPABASE_TABLE)
-      .upsert({ id: "main", data: store }, { onConflict: "id" });
+async function migrateCoinChangePct(t) {
+  let n = 0;
+  for (const coin of await t.coins.list()) {
+    const changePct = chartChangePct(coin.chart);
+    if (coin.changePct === changePct) continue;
+    coin.changePct = changePct;
+    t.coins.put(coin.id, coin);
+    n++;
+  }
+  return n;
+}
 
-    if (error) throw new Error("Supabase write failed: " + error.message);
-    return;
+async function migrateCoinSearchText(t) {
+  let n = 0;
+  for (const coin of await t.coins.list()) {
+    const searchText = coinSearchText(coin);
+    if (coin.searchText === searchText) continue;
+    coin.searchText = searchText;
+    t.coins.put(coin.id, coin);
+    n++;
   }
+  return n;
+}
+
+// store: another storage (snapshot imports migrate old snapshots in memory). sideEffects:
+// false keeps migrations from touching anything outside the store (asset files).
+async function runMigrations({ dryRun = false, store = db, sideEffects = !dryRun } = {}) {
+  return store.transaction(
+    async (t) => {
+      const from = safeNum(await t.meta.get("schemaVersion"), 0);
+      if (from > SCHEMA_VERSION) {
+        throw new Error(`Store schemaVersion ${from} is newer than this server (${SCHEMA_VERSION}); refusing to run`);
+      }
+
+      const ran = [];
+      for (const m of MIGRATIONS) {
+        if (m.version <= from) continue;
+        ran.push({ version: m.version, name: m.name, changed: safeNum(await m.up(t, { dryRun: !sideEffects }), 0) });
+      }
+      if (!ran.length) return { from, to: from, ran };
+
+      t.meta.put("schemaVersion", SCHEMA_VERSION);
+      logPush(t, { type: "schema_migrate", from, to: SCHEMA_VERSION, ran });
+      return { from, to: SCHEMA_VERSION, ran };
+    },
+    { dryRun, raw: true }
+  );
+}
 
-  // file mode: update cache + schedule write (FAST)
-  fileCache = normalizeStore(store);
-  fileLoaded = true;
-  scheduleFileWrite();
+function printMigrations({ from, to, ran }, dryRun) {
+  if (!ran.length) return console.log(`✅ Schema v${from} is up to date`);
+  console.log(`${dryRun ? "Would migrate" : "✅ Migrated"} schema v${from} -> v${to}`);
+  for (const m of ran) console.log(`   ${m.version} ${m.name}: ${m.changed} document(s)`);
 }
 
+// `--migrate` runs them from the CLI section instead (with --dry-run).
+if (!process.argv.includes("--migrate")) printMigrations(await runMigrations());
+
 // -------------------- SOLANA HELPERS --------------------
 async function getSolBalance(wallet) {
   try {
     if (!wallet) return 0;
     const pub = new PublicKey(wallet);
     const lamports = await connection.getBalance(pub);
-    return lamports / 1_000_000_000;
+    return lamports / LAMPORTS_PER_SOL;
   } catch (err) {
     console.log("Balance fetch failed, returning 0:", err.message);
     return 0;
   }
 }
 
-// -------------------- ROUTES --------------------
-app.get("/", (req, res) =>
-  res.json({ ok: true, name: "funrun-backend", ts: nowMs(), dbMode: DB_MODE })
-);
+// -------------------- AUTH (wallet signature sessions) --------------------
+// Flow: POST /api/auth/challenge { wallet } -> { nonce, message }
+//       wallet signs message (ed25519) -> POST /api/auth/verify { wallet, nonce, signature }
+//       -> { token } sent as "Authorization: Bearer <token>" on mutating routes.
+const ED25519_SPKI_PREFIX = Buffer.from("302a300506032b6570032100", "hex");
+const authNonces = new Map(); // nonce -> { wallet, message, exp }
+
+function pruneAuthNonces() {
+  const t = nowMs();
+  for (const [k, v] of authNonces) {
+    if (v.exp <= t) authNonces.delete(k);
+  }
+}
 
-app.get("/api/coin/list", async (req, res) => {
+function buildAuthMessage(wallet, nonce, issuedAt) {
+  return [
+    "Fun.Run sign-in",
+    `Wallet: ${wallet}`,
+    `Nonce: ${nonce}`,
+    `Issued At: ${new Date(issuedAt).toISOString()}`,
+  ].join("\n");
+}
+
+function verifyWalletSignature(wallet, message, signatureB64) {
   try {
-    const store = await readDB();
-    const coins = (store.coins || []).map(ensureCoin);
-    coins.sort((a, b) => safeNum(b.createdAt) - safeNum(a.createdAt));
-    res.json({ ok: true, coins });
-  } catch (e) {
-    console.error("coin/list error:", e);
-    res.status(500).json({ ok: false, error: String(e?.message || e) });
+    const pubBytes = new PublicKey(wallet).toBytes();
+    const key = crypto.createPublicKey({
+      key: Buffer.concat([ED25519_SPKI_PREFIX, Buffer.from(pubBytes)]),
+      format: "der",
+      type: "spki",
+    });
+    const sig = Buffer.from(String(signatureB64 || ""), "base64");
+    if (sig.length !== 64) return false;
+    return crypto.verify(null, Buffer.from(message, "utf-8"), key, sig);
+  } catch {
+    return false;
   }
-});
+}
 
-app.get("/api/profile/:wallet", async (req, res) => {
-  try {
-    const wallet = String(req.params.wallet || "").trim();
-    const store = await readDB();
-    const p = ensureProfile(store.profiles?.[wallet], wallet);
+function signSessionPayload(payloadB64) {
+  return crypto.createHmac("sha256", AUTH_SESSION_SECRET).update(payloadB64).digest("base64url");
+}
 
-    if (!p.referrer && store.referrals?.[wallet]) p.referrer = store.referrals[wallet];
+function issueSessionToken(wallet) {
+  const exp = nowMs() + AUTH_SESSION_TTL_MS;
+  const payload = Buffer.from(JSON.stringify({ w: wallet, exp })).toString("base64url");
+  return { token: `${payload}.${signSessionPayload(payload)}`, exp };
+}
 
-    store.profiles[wallet] = p;
-    await writeDB(store); // in file mode: debounced
-    res.json({ ok: true, profile: p });
-  } catch (e) {
-    console.error("profile error:", e);
-    res.status(500).json({ ok: false, error: String(e?.message || e) });
-  }
-});
+function readSessionToken(token) {
+  const [payload, sig] = String(token || "").split(".");
+  if (!payload || !sig) return null;
+
+  const expected = signSessionPayload(payload);
+  const a = Buffer.from(sig);
+  const b = Buffer.from(expected);
+  if (a.length !== b.length || !crypto.timingSafeEqual(a, b)) return null;
 
-app.get("/api/balance/:wallet", async (req, res) => {
   try {
-    const wallet = String(req.params.wallet || "").trim();
-    if (!wallet) return res.json({ ok: false, error: "wallet required" });
-    const sol = await getSolBalance(wallet);
-    res.json({ ok: true, sol });
-  } catch (e) {
-    res.status(500).json({ ok: false, error: String(e?.message || e) });
+    const data = JSON.parse(Buffer.from(payload, "base64url").toString("utf-8"));
+    if (!data?.w || safeNum(data.exp, 0) <= nowMs()) return null;
+    return { wallet: String(data.w), exp: safeNum(data.exp, 0) };
+  } catch {
+    return null;
   }
-});
+}
 
-// -------------------- REFERRAL (immutable set) --------------------
-app.post("/api/referral/set", async (req, res) => {
-  try {
-    const wallet = String(req.body?.wallet || "").trim();
-    const referrer = String(req.body?.referrer || "").trim();
+function bearerToken(req) {
+  const h = String(req.headers?.authorization || "");
+  return h.toLowerCase().startsWith("bearer ") ? h.slice(7).trim() : "";
+}
 
-    if (!wallet || wallet.length < 20) return res.json({ ok: false, error: "wallet required" });
-    if (!referrer || referrer.length < 20) return res.json({ ok: false, error: "referrer invalid" });
-    if (wallet === referrer) return res.json({ ok: false, error: "self referral not allowed" });
+// -------------------- AUTH (Privy JWT) --------------------
+// Privy tokens are ES256 JWTs. The key comes from PRIVY_VERIFICATION_KEY (PEM, as
+// shown in the Privy dashboard) or a local JWKS file, so tests can sign with their own key.
+let privyKeys = null; // [{ kid, key }]
+const privyWalletCache = new Map(); // privy did -> { wallets, exp }
 
-    const store = await readDB();
-    store.referrals = store.referrals && typeof store.referrals === "object" ? store.referrals : {};
+function loadPrivyKeys() {
+  if (privyKeys) return privyKeys;
+  privyKeys = [];
 
-    if (store.referrals[wallet]) {
-      return res.json({ ok: false, error: "immutable: referral already set" });
+  if (PRIVY_VERIFICATION_KEY) {
+    privyKeys.push({ kid: "", key: crypto.createPublicKey(PRIVY_VERIFICATION_KEY) });
+  }
+  if (PRIVY_JWKS_PATH) {
+    const jwks = JSON.parse(fs.readFileSync(PRIVY_JWKS_PATH, "utf-8"));
+    for (const jwk of Array.isArray(jwks?.keys) ? jwks.keys : []) {
+      privyKeys.push({ kid: String(jwk.kid || ""), key: crypto.createPublicKey({ key: jwk, format: "jwk" }) });
     }
+  }
+  return privyKeys;
+}
 
-    store.referrals[wallet] = referrer;
+function isJwt(token) {
+  return String(token || "").split(".").length === 3;
+}
 
-    const p = ensureProfile(store.profiles?.[wallet], wallet);
-    p.referrer = referrer;
-    p.updatedAt = nowMs();
-    store.profiles[wallet] = p;
+function verifyPrivyJwt(token) {
+  const [h, p, sig] = String(token || "").split(".");
+  let header;
+  let claims;
+  try {
+    header = JSON.parse(Buffer.from(h, "base64url").toString("utf-8"));
+    claims = JSON.parse(Buffer.from(p, "base64url").toString("utf-8"));
+  } catch {
+    throw new Error("token malformed");
+  }
+  if (header?.alg !== "ES256") throw new Error("token alg must be ES256");
+
+  const keys = loadPrivyKeys();
+  if (!keys.length) throw new Error("Privy verification key not configured");
+
+  const candidates = header.kid ? keys.filter((k) => !k.kid || k.kid === header.kid) : keys;
+  const data = Buffer.from(`${h}.${p}`);
+  const sigBuf = Buffer.from(sig, "base64url");
+  const valid = candidates.some(({ key }) =>
+    crypto.verify("sha256", data, { key, dsaEncoding: "ieee-p1363" }, sigBuf)
+  );
+  if (!valid) throw new Error("token signature invalid");
+
+  const t = Math.floor(nowMs() / 1000);
+  if (claims?.iss !== "privy.io") throw new Error("token issuer invalid");
+  const aud = Array.isArray(claims?.aud) ? claims.aud : [claims?.aud];
+  if (!aud.includes(PRIVY_APP_ID)) throw new Error("token audience invalid");
+  if (!claims?.sub) throw new Error("token subject missing");
+  if (safeNum(claims?.exp, 0) <= t) throw new Error("token expired");
+  if (safeNum(claims?.nbf, 0) > t + 60) throw new Error("token not yet valid");
+
+  return claims;
+}
 
-    logPush(store, { type: "referral_set", wallet, referrer });
-    await writeDB(store);
+// Every linked Solana wallet, in Privy's order (the first is the user's primary wallet).
+function solanaWalletsFromLinkedAccounts(accounts) {
+  let list = accounts;
+  if (typeof list === "string") {
+    try {
+      list = JSON.parse(list);
+    } catch {
+      list = [];
+    }
+  }
+  return (Array.isArray(list) ? list : [])
+    .filter((a) => a?.type === "wallet" && (a?.chain_type || a?.chainType) === "solana")
+    .map((a) => String(a?.address || "").trim())
+    .filter(Boolean);
+}
 
-    res.json({ ok: true });
-  } catch (e) {
-    console.error("referral/set error:", e);
-    res.status(500).json({ ok: false, error: String(e?.message || e) });
+// Identity tokens carry linked_accounts; plain access tokens need a Privy API lookup.
+async function resolvePrivyWallets(claims) {
+  const did = String(claims.sub);
+
+  const fromClaims = solanaWalletsFromLinkedAccounts(claims.linked_accounts);
+  if (fromClaims.length) {
+    privyWalletCache.set(did, { wallets: fromClaims, exp: nowMs() + 10 * 60 * 1000 });
+    return fromClaims;
   }
-});
 
-// -------------------- CREATE COIN --------------------
-app.post("/api/coin/create", async (req, res) => {
-  try {
-    const name = String(req.body?.name || "").trim();
-    const symbol = String(req.body?.symbol || "").trim().toUpperCase();
-    const story = String(req.body?.story || "").trim();
-    const logo = req.body?.logo || "";
-    const initialSol = safeNum(req.body?.initialSol, 0);
-    const creatorWallet = String(req.body?.creatorWallet || "").trim();
+  const cached = privyWalletCache.get(did);
+  if (cached && cached.exp > nowMs()) return cached.wallets;
 
-    if (!name || !symbol || !creatorWallet) {
-      return res.json({ ok: false, error: "name/symbol/creatorWallet required" });
-    }
+  if (!PRIVY_APP_SECRET) return [];
 
-    const store = await readDB();
-    ensureTreasury(store);
+  // Bounded, so a slow Privy API fails the request instead of hanging it.
+  const r = await fetch(`${PRIVY_API_URL}/api/v1/users/${encodeURIComponent(did)}`, {
+    headers: {
+      Authorization: "Basic " + Buffer.from(`${PRIVY_APP_ID}:${PRIVY_APP_SECRET}`).toString("base64"),
+      "privy-app-id": PRIVY_APP_ID,
+    },
+    signal: AbortSignal.timeout(PRIVY_API_TIMEOUT_MS),
+  });
+  if (!r.ok) throw new Error("Privy user lookup failed: " + r.status);
 
-    const status = initialSol >= 0.01 ? "LIVE" : "DRAFT";
+  const wallets = solanaWalletsFromLinkedAccounts((await r.json())?.linked_accounts);
+  if (wallets.length) privyWalletCache.set(did, { wallets, exp: nowMs() + 10 * 60 * 1000 });
+  return wallets;
+}
 
-    let createFeeSol = 0;
-    if (status === "LIVE" && initialSol > 0) {
-      const f = takeFee(initialSol);
-      createFeeSol = f.feeSol;
+function claimedWallet(req) {
+  return String(req.body?.wallet || req.body?.creatorWallet || "").trim();
+}
 
-      const dev = createFeeSol * pctToFrac(CREATE_DEV_PCT);
-      const ref = createFeeSol * pctToFrac(CREATE_REF_PCT);
-      const reserve = createFeeSol * pctToFrac(CREATE_RESERVE_PCT);
+// Global middleware: a Bearer JWT must be a valid Privy token for the body's wallet.
+// Session tokens (non-JWT) pass through untouched to requireWalletAuth.
+async function privyAuth(req, res, next) {
+  const token = bearerToken(req);
+  if (!isJwt(token)) return next();
 
-      store.treasury.devSol += dev;
-      store.treasury.reserveSol += reserve;
+  try {
+    const claims = verifyPrivyJwt(token);
+    const wallets = await resolvePrivyWallets(claims);
 
-      creditReferralReward(store, creatorWallet, ref);
+    // Any linked wallet may act; without a claimed one the primary is assumed.
+    const claimed = claimedWallet(req);
+    if (claimed && !wallets.length) {
+      return res.status(403).json({ ok: false, error: "no linked Solana wallet" });
+    }
+    if (claimed && !wallets.includes(claimed)) {
+      return res.status(403).json({ ok: false, error: "wallet mismatch" });
+    }
 
-      logPush(store, {
-        type: "create_fee",
-        wallet: creatorWallet,
-        feeSol: createFeeSol,
-        split: { dev, ref, reserve },
-        devWallet: DEV_WALLET,
-        reserveWallet: RESERVE_WALLET,
-      });
+    req.privyUser = { userId: String(claims.sub), wallet: claimed || wallets[0] || "", wallets };
+    next();
+  } catch (e) {
+    // Reads stay public: a stale token on a GET is ignored rather than rejected.
+    if (req.method === "GET" || req.method === "HEAD") return next();
+    return res.status(401).json({ ok: false, error: String(e?.message || e), authRequired: true });
+  }
+}
+
+app.use(privyAuth);
+
+// Middleware: caller must be authenticated (Privy token or wallet session) as the
+// wallet named in req.body[field].
+function requireWalletAuth(field = "wallet") {
+  return (req, res, next) => {
+    const authed = req.privyUser?.wallet || readSessionToken(bearerToken(req))?.wallet || "";
+    if (!authed) {
+      return res.status(401).json({ ok: false, error: "auth required", authRequired: true });
     }
 
-    const coin = ensureCoin({
-      id: uid(),
-      name,
-      symbol,
-      story,
-      logo,
-      creatorWallet,
-      owner: creatorWallet,
-      status,
-      createdAt: nowMs(),
-      mc: status === "LIVE" ? STARTING_MC_USD : 0,
-      ath: status === "LIVE" ? STARTING_MC_USD : 0,
-      chart:
-        status === "LIVE"
-          ? [STARTING_MC_USD, STARTING_MC_USD, STARTING_MC_USD, STARTING_MC_USD, STARTING_MC_USD]
-          : [0, 0, 0, 0, 0],
-      volumeSol: status === "LIVE" ? initialSol : 0,
-      totalSupply: TOTAL_SUPPLY_DEFAULT,
-      holders: {},
-    });
+    const claimed = String(req.body?.[field] || "").trim();
+    if (claimed && claimed !== authed) {
+      return res.status(403).json({ ok: false, error: "wallet mismatch" });
+    }
 
-    const creatorTokens = Math.floor((coin.totalSupply * CREATOR_PERCENT) / 100);
-    coin.holders[creatorWallet] = (coin.holders[creatorWallet] || 0) + creatorTokens;
+    req.authWallet = authed;
+    next();
+  };
+}
 
-    store.coins.unshift(coin);
+app.post("/api/auth/challenge", (req, res) => {
+  const wallet = String(req.body?.wallet || "").trim();
+  try {
+    new PublicKey(wallet);
+  } catch {
+    return res.json({ ok: false, error: "wallet invalid" });
+  }
 
-    const p = ensureProfile(store.profiles?.[creatorWallet], creatorWallet);
-    const existing = p.holdings.find((h) => h.coinId === coin.id);
-    if (existing) existing.amount = (existing.amount || 0) + creatorTokens;
-    else p.holdings.unshift({ coinId: coin.id, symbol: coin.symbol, amount: creatorTokens, lastAt: nowMs() });
+  pruneAuthNonces();
 
-    p.txs.unshift({
-      id: uid(),
-      t: nowMs(),
-      coinId: coin.id,
-      side: "CREATE",
-      sol: initialSol,
-      feeSol: createFeeSol,
-    });
-    store.profiles[creatorWallet] = p;
+  const nonce = crypto.randomBytes(16).toString("hex");
+  const issuedAt = nowMs();
+  const message = buildAuthMessage(wallet, nonce, issuedAt);
+  authNonces.set(nonce, { wallet, message, exp: issuedAt + AUTH_NONCE_TTL_MS });
 
-    logPush(store, { type: "coin_create", coinId: coin.id, creatorWallet, status, initialSol });
-    await writeDB(store);
+  res.json({ ok: true, nonce, message, expiresAt: issuedAt + AUTH_NONCE_TTL_MS });
+});
 
-    res.json({ ok: true, coin });
-  } catch (e) {
-    console.error("coin/create error:", e);
-    res.status(500).json({ ok: false, error: String(e?.message || e) });
+app.post("/api/auth/verify", (req, res) => {
+  const wallet = String(req.body?.wallet || "").trim();
+  const nonce = String(req.body?.nonce || "").trim();
+  const signature = String(req.body?.signature || "").trim();
+
+  if (!wallet || !nonce || !signature) {
+    return res.json({ ok: false, error: "wallet/nonce/signature required" });
+  }
+
+  const entry = authNonces.get(nonce);
+  authNonces.delete(nonce); // single use
+  pruneAuthNonces(); // challenges may be rarer than verifies; don't let stale nonces pile up
+  if (!entry || entry.exp <= nowMs()) return res.status(401).json({ ok: false, error: "nonce expired" });
+  if (entry.wallet !== wallet) return res.status(401).json({ ok: false, error: "nonce wallet mismatch" });
+
+  if (!verifyWalletSignature(wallet, entry.message, signature)) {
+    return res.status(401).json({ ok: false, error: "bad signature" });
   }
+
+  const { token, exp } = issueSessionToken(wallet);
+  res.json({ ok: true, token, wallet, expiresAt: exp });
 });
 
-// -------------------- TRADE CORE --------------------
-async function handleTrade(req, res, forcedSide) {
-  try {
-    const wallet = String(req.body?.wallet || "").trim();
-    const coinId = String(req.body?.coinId || "").trim();
-    const sideRaw = String(forcedSide || req.body?.side || "").trim().toLowerCase();
-    const sol = safeNum(req.body?.sol, 0);
+// -------------------- DEPOSIT WATCHER --------------------
+const MEMO_PROGRAM_IDS = new Set([
+  "MemoSq4gqABAXKb96qnH8TysNcWxMyWCqXgDLGmfcHr",
+  "Memo1UhkJRfHyvLMcVucJwxXeuD728EqVDDwQDxFMNo",
+]);
+let depositTimer = null;
+let depositPolling = false;
 
-    if (!wallet || !coinId || !sideRaw || sol <= 0) {
-      return res.json({ ok: false, error: "wallet/coinId/side/sol required" });
-    }
-    if (sideRaw !== "buy" && sideRaw !== "sell") {
-      return res.json({ ok: false, error: "side must be buy or sell" });
-    }
+function walletFromMemo(memo) {
+  const raw = String(memo || "").trim().replace(/^funrun:/i, "").trim();
+  try {
+    return new PublicKey(raw).toBase58();
+  } catch {
+    return "";
+  }
+}
 
-    const store = await readDB();
-    ensureTreasury(store);
+// Incoming SystemProgram transfers to the deposit address in one parsed transaction.
+function parseDepositTransfers(tx, depositAddress) {
+  const ixs = tx?.transaction?.message?.instructions || [];
+  const memoIx = ixs.find((ix) => MEMO_PROGRAM_IDS.has(String(ix.programId)));
+  const memoWallet = walletFromMemo(typeof memoIx?.parsed === "string" ? memoIx.parsed : "");
 
-    const coin = findCoin(store, coinId);
-    if (!coin) return res.json({ ok: false, error: "Coin not found" });
-    if (coin.status !== "LIVE") return res.json({ ok: false, error: "Coin not LIVE" });
+  const out = [];
+  for (const ix of ixs) {
+    if (ix.program !== "system") continue;
+    const type = ix.parsed?.type;
+    if (type !== "transfer" && type !== "transferWithSeed") continue;
 
-    const p = ensureProfile(store.profiles?.[wallet], wallet);
+    const info = ix.parsed?.info || {};
+    if (info.destination !== depositAddress) continue;
 
-    const { feeSol } = takeFee(sol);
+    const lamports = safeNum(info.lamports, 0);
+    if (lamports <= 0) continue;
 
-    const feeDev = feeSol * pctToFrac(TRADE_DEV_PCT);
-    const feeCreator = feeSol * pctToFrac(TRADE_CREATOR_PCT);
-    const feeRef = feeSol * pctToFrac(TRADE_REF_PCT);
-    const feeReserve = feeSol * pctToFrac(TRADE_RESERVE_PCT);
+    out.push({ from: String(info.source || ""), wallet: memoWallet || String(info.source || ""), lamports });
+  }
+  return out;
+}
 
-    store.treasury.devSol += feeDev;
-    store.treasury.reserveSol += feeReserve;
+async function fetchNewDepositSignatures(address, until) {
+  const all = [];
+  let before;
+  for (;;) {
+    const page = await connection.getSignaturesForAddress(address, { until: until || undefined, before, limit: 100 });
+    all.push(...page);
+    if (page.length < 100) break;
+    before = page[page.length - 1].signature;
+  }
+  return all.reverse(); // oldest first
+}
 
-    creditCreatorReward(store, coin, feeCreator);
-    creditReferralReward(store, wallet, feeRef);
+async function pollDepositsOnce() {
+  const address = new PublicKey(DEPOSIT_ADDRESS);
+  const cursor = String((await db.meta.get("depositCursor")) || "");
+
+  const sigs = await fetchNewDepositSignatures(address, cursor);
+  if (!sigs.length) return 0;
+
+  // Fetch chain data before touching the store, so the read-modify-write window stays short.
+  // A transaction the RPC can't return yet (null) stops the pass: the cursor only moves past
+  // signatures that resolved, so it and everything after it are fetched again next poll.
+  const found = [];
+  let resolved = "";
+  for (const s of sigs) {
+    if (s.err) {
+      resolved = s.signature;
+      continue;
+    }
+    const tx = await connection.getParsedTransaction(s.signature, {
+      commitment: "confirmed",
+      maxSupportedTransactionVersion: 0,
+    });
+    if (!tx) break;
+    resolved = s.signature;
+    if (tx.meta?.err) continue;
+    parseDepositTransfers(tx, DEPOSIT_ADDRESS).forEach((d, i) => {
+      found.push({ ...d, key: `${s.signature}:${i}`, signature: s.signature, blockTime: safeNum(tx.blockTime, 0) * 1000 });
+    });
+  }
 
-    const mc = Math.max(coin.mc || STARTING_MC_USD, 1000);
-    const tokensPerSol = Math.max(1, Math.floor(coin.totalSupply / mc));
-    const tokens = Math.max(1, Math.floor(sol * tokensPerSol));
+  return db.transaction(async (t) => {
+    let credited = 0;
 
-    if (sideRaw === "buy") {
-      coin.holders[wallet] = (coin.holders[wallet] || 0) + tokens;
+    for (const d of found) {
+      const key = d.key;
+      if (await t.deposits.get(key)) continue;
 
-      const h = p.holdings.find((x) => x.coinId === coinId);
-      if (h) {
-        h.amount = safeNum(h.amount, 0) + tokens;
-        h.lastAt = nowMs();
-      } else {
-        p.holdings.unshift({ coinId, symbol: coin.symbol, amount: tokens, lastAt: nowMs() });
+      const sol = d.lamports / LAMPORTS_PER_SOL;
+      if (sol < DEPOSIT_MIN_SOL) {
+        t.deposits.put(key, { wallet: d.wallet, sol, t: nowMs(), ignored: "below minimum" });
+        continue;
       }
 
-      coin.volumeSol = safeNum(coin.volumeSol, 0) + sol;
+      const p = await getProfile(t, d.wallet);
+      p.balanceSol += sol;
+      p.txs.unshift({ id: uid(), t: d.blockTime || nowMs(), coinId: "", side: "DEPOSIT", sol, signature: d.signature, from: d.from });
+      p.updatedAt = nowMs();
+      t.profiles.put(d.wallet, p);
 
-      coin.mc = Math.round(Math.max(1000, coin.mc + sol * 120));
-      coin.ath = Math.max(coin.ath || coin.mc, coin.mc);
-      coin.chart = Array.isArray(coin.chart) ? coin.chart : [];
-      coin.chart.push(coin.mc);
-      coin.chart = coin.chart.slice(-60);
+      t.deposits.put(key, { wallet: d.wallet, sol, t: nowMs() });
+      logPush(t, { type: "deposit", wallet: d.wallet, from: d.from, sol, signature: d.signature });
+      credited++;
+    }
 
-      p.txs.unshift({ id: uid(), t: nowMs(), coinId, side: "BUY", sol, tokens, feeSol });
+    if (resolved) t.meta.put("depositCursor", resolved);
+    return credited;
+  });
+}
 
-      logPush(store, {
-        type: "trade",
-        side: "BUY",
-        wallet,
-        coinId,
-        sol,
-        tokens,
-        feeSol,
-        split: { dev: feeDev, creator: feeCreator, ref: feeRef, reserve: feeReserve },
-      });
-    } else {
-      const h = p.holdings.find((x) => x.coinId === coinId);
-      const have = safeNum(h?.amount, 0);
-      if (!h || have <= 0) return res.json({ ok: false, error: "No tokens to sell" });
+function startDepositWatcher() {
+  if (!DEPOSIT_WATCH_ENABLED || depositTimer) return;
+
+  const tick = async () => {
+    if (!depositPolling) {
+      depositPolling = true;
+      try {
+        const n = await pollDepositsOnce();
+        if (n) console.log(`Deposits credited: ${n}`);
+      } catch (e) {
+        console.error("Deposit poll failed:", e?.message || e);
+      }
+      depositPolling = false;
+    }
+    depositTimer = setTimeout(tick, DEPOSIT_POLL_MS);
+  };
+  depositTimer = setTimeout(tick, 0);
+}
 
-      const sellTokens = Math.min(have, tokens);
-      h.amount = have - sellTokens;
-      h.lastAt = nowMs();
+// -------------------- ROUTES --------------------
+app.get("/", (req, res) =>
+  res.json({
+    ok: true,
+    name: "funrun-backend",
+    ts: nowMs(),
+    dbMode: DB_MODE,
+    demoFaucet: DEMO_FAUCET_ENABLED,
+  })
+);
 
-      coin.holders[wallet] = Math.max(0, safeNum(coin.holders[wallet], 0) - sellTokens);
-      coin.volumeSol = safeNum(coin.volumeSol, 0) + sol;
+// Market listing, one page at a time: GET /api/coin/list?sort=volume&status=LIVE&limit=10
+//   sort       new (default) | mc | volume | change | lastTrade, always highest first;
+//              change = coin.changePct, the last sparkline step (biggest gain first)
+//   status     LIVE | DRAFT;  creator=<wallet>;  minMc / maxMc (USD);  minChange (%, signed)
+//   q          search: part of the name or symbol, any case
+//   ids        a,b,c — just these coins (at most COIN_LIST_PAGE_MAX), e.g. a profile's holdings
+//   cursor     nextCursor of the previous page ("<sort value>:<coin id>")
+//   fields     logo,chart,story,links,holders — left out unless asked for
+// Filters, order and limit all go to storage; coins that tie on the sort value are ordered by
+// id, so a page edge inside a tie loads that whole tie (like the trades feed).
+const COIN_LIST_SORTS = {
+  new: "createdAt",
+  mc: "mc",
+  volume: "volumeSol",
+  change: "changePct",
+  lastTrade: "lastTradeAt",
+};
+const COIN_LIST_HEAVY = ["logo", "chart", "story", "links", "holders"];
+const COIN_LIST_PAGE_DEFAULT = 50;
+const COIN_LIST_PAGE_MAX = 200;
 
-      coin.mc = Math.round(Math.max(1000, coin.mc - sol * 110));
-      coin.chart = Array.isArray(coin.chart) ? coin.chart : [];
-      coin.chart.push(coin.mc);
-      coin.chart = coin.chart.slice(-60);
+app.get("/api/coin/list", async (req, res) => {
+  try {
+    const q = req.query;
+    const sort = String(q.sort || "new");
+    const key = COIN_LIST_SORTS[sort];
+    if (!key) return res.json({ ok: false, error: `sort must be one of ${Object.keys(COIN_LIST_SORTS).join(", ")}` });
+    const limit = Math.max(1, Math.min(COIN_LIST_PAGE_MAX, Math.floor(safeNum(q.limit, COIN_LIST_PAGE_DEFAULT))));
+
+    const where = {};
+    if (q.status) {
+      where.status = String(q.status).trim().toUpperCase();
+      if (where.status !== "LIVE" && where.status !== "DRAFT") return res.json({ ok: false, error: "status must be LIVE or DRAFT" });
+    }
+    if (q.creator) where.creatorWallet = String(q.creator).trim();
+    const search = String(q.q || "").trim().toLowerCase();
+    if (search) where.searchText = { contains: search };
+    if (q.ids) {
+      const ids = [...new Set(String(q.ids).split(",").map((id) => id.trim()).filter(Boolean))];
+      if (ids.length > COIN_LIST_PAGE_MAX) return res.json({ ok: false, error: `ids: at most ${COIN_LIST_PAGE_MAX}` });
+      where.id = ids;
+    }
 
-      p.txs.unshift({ id: uid(), t: nowMs(), coinId, side: "SELL", sol, tokens: sellTokens, feeSol });
+    const given = (v) => v != null && v !== "";
+    const mc = {};
+    if (given(q.minMc)) mc.gte = Number(q.minMc);
+    if (given(q.maxMc)) mc.lte = Number(q.maxMc);
+    const minChange = given(q.minChange) ? Number(q.minChange) : null;
+    if (Object.values(mc).some((v) => !Number.isFinite(v)) || (minChange != null && !Number.isFinite(minChange))) {
+      return res.json({ ok: false, error: "minMc/maxMc/minChange invalid" });
+    }
+    if (Object.keys(mc).length) where.mc = mc;
+    if (minChange != null) where.changePct = { gte: minChange };
+
+    let cursor = null;
+    if (q.cursor) {
+      const raw = String(q.cursor);
+      const i = raw.indexOf(":");
+      cursor = { v: Number(raw.slice(0, i)), id: raw.slice(i + 1) };
+      if (i < 1 || !Number.isFinite(cursor.v) || !cursor.id) return res.json({ ok: false, error: "cursor invalid" });
+    }
 
-      logPush(store, {
-        type: "trade",
-        side: "SELL",
-        wallet,
-        coinId,
-        sol,
-        tokens: sellTokens,
-        feeSol,
-        split: { dev: feeDev, creator: feeCreator, ref: feeRef, reserve: feeReserve },
-      });
+    const value = (c) => safeNum(c[key], 0);
+    const byValueThenId = (a, b) => value(b) - value(a) || (a.id < b.id ? 1 : a.id > b.id ? -1 : 0);
+    const tie = (v) => db.coins.list({ where: { ...where, [key]: v } });
+
+    // Rest of the cursor's tie first, then everything below it; one extra row tells if there's more.
+    const rows = cursor ? (await tie(cursor.v)).filter((c) => c.id < cursor.id) : [];
+    const want = limit + 1 - rows.length;
+    if (want > 0) {
+      const below = cursor ? { ...where, [key]: { ...where[key], lt: cursor.v } } : where;
+      const more = await db.coins.list({ where: below, orderBy: key, desc: true, limit: want });
+      const edge = more.length === want ? value(more[more.length - 1]) : null;
+      rows.push(...(edge == null ? more : [...more.filter((c) => value(c) !== edge), ...(await tie(edge))]));
     }
+    rows.sort(byValueThenId);
 
-    coin.lastTradeAt = nowMs();
-    p.updatedAt = nowMs();
-    store.profiles[wallet] = p;
+    const page = rows.slice(0, limit);
+    const last = page[page.length - 1];
+    const nextCursor = rows.length > limit ? `${value(last)}:${last.id}` : null;
 
-    await writeDB(store);
+    const fields = new Set(String(q.fields || "").split(",").map((f) => f.trim()));
+    const coins = page.map((c) => {
+      const out = { ...c };
+      for (const f of COIN_LIST_HEAVY) if (!fields.has(f)) delete out[f];
+      return out;
+    });
 
-    res.json({ ok: true, coin: ensureCoin(coin), profile: store.profiles[wallet] });
+    res.json({ ok: true, coins, nextCursor });
   } catch (e) {
-    console.error("trade error:", e);
+    console.error("coin/list error:", e);
     res.status(500).json({ ok: false, error: String(e?.message || e) });
   }
-}
+});
 
-app.post("/api/coin/buy", (req, res) => handleTrade(req, res, "buy"));
-app.post("/api/coin/sell", (req, res) => handleTrade(req, res, "sell"));
-app.post("/api/trade", (req, res) => handleTrade(req, res, null));
-app.get("/api/coin/buy", (req, res) => res.json({ ok: true, note: "BUY route is LIVE. Use POST." }));
+app.get("/api/profile/:wallet", async (req, res) => {
+  try {
+    const wallet = String(req.params.wallet || "").trim();
+    const out = await db.transaction(async (t) => {
+      const p = await getProfile(t, wallet);
+
+      // Read-only: polled constantly, so nothing here may write (or journal) a document.
+      const referrer = await t.referrals.get(wallet);
+      if (!p.referrer && referrer) p.referrer = referrer;
+
+      const withdrawals = await t.withdrawals.list({ where: { wallet }, orderBy: "createdAt", desc: true, limit: 20 });
+      return { ok: true, profile: p, withdrawals };
+    });
+    res.json(out);
+  } catch (e) {
+    console.error("profile error:", e);
+    res.status(500).json({ ok: false, error: String(e?.message || e) });
+  }
+});
+
+app.get("/api/deposit/info", (req, res) => {
+  res.json({
+    ok: true,
+    enabled: DEPOSIT_WATCH_ENABLED,
+    address: DEPOSIT_WATCH_ENABLED ? DEPOSIT_ADDRESS : "",
+    minSol: DEPOSIT_MIN_SOL,
+    memoPrefix: "funrun:",
+  });
+});
+
+app.get("/api/balance/:wallet", async (req, res) => {
+  try {
+    const wallet = String(req.params.wallet || "").trim();
+    if (!wallet) return res.json({ ok: false, error: "wallet required" });
+    const sol = await getSolBalance(wallet);
+    res.json({ ok: true, sol });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: String(e?.message || e) });
+  }
+});
+
+// -------------------- REFERRAL (immutable set) --------------------
+app.post("/api/referral/set", requireWalletAuth("wallet"), async (req, res) => {
+  try {
+    const wallet = String(req.body?.wallet || "").trim();
+    const referrer = String(req.body?.referrer || "").trim();
+
+    if (!wallet || wallet.length < 20) return res.json({ ok: false, error: "wallet required" });
+    if (!referrer || referrer.length < 20) return res.json({ ok: false, error: "referrer invalid" });
+    if (wallet === referrer) return res.json({ ok: false, error: "self referral not allowed" });
+
+    const out = await db.transaction(async (t) => {
+      if (await t.referrals.get(wallet)) {
+        return { ok: false, error: "immutable: referral already set" };
+      }
+
+      t.referrals.put(wallet, referrer);
+
+      const p = await getProfile(t, wallet);
+      p.referrer = referrer;
+      p.updatedAt = nowMs();
+      t.profiles.put(wallet, p);
+
+      logPush(t, { type: "referral_set", wallet, referrer });
+      return { ok: true };
+    }, { lock: ["wallet:" + wallet] });
+
+    res.json(out);
+  } catch (e) {
+    console.error("referral/set error:", e);
+    res.status(500).json({ ok: false, error: String(e?.message || e) });
+  }
+});
+
+// -------------------- LOGOS --------------------
+// An upload is sniffed by magic bytes (the declared type is ignored), re-encoded to WebP with
+// EXIF/ICC metadata dropped (sharp writes none unless asked), capped at LOGO_MAX_PX, and stored
+// with 64/256 px thumbnails under the SHA-256 of the re-encoded image:
+//   <hash>, <hash>_64, <hash>_256  ->  /api/asset/<hash>[?size=64|256]
+// coin.logo holds that URL path; the frontend prefixes its API base.
+const ASSET_URL_RE = /^\/api\/asset\/([a-f0-9]{64})$/;
+
+function sniffImageType(buf) {
+  if (buf.length < 12) return "";
+  if (buf[0] === 0x89 && buf.subarray(1, 4).toString("latin1") === "PNG") return "png";
+  if (buf[0] === 0xff && buf[1] === 0xd8 && buf[2] === 0xff) return "jpeg";
+  if (buf.subarray(0, 4).toString("latin1") === "RIFF" && buf.subarray(8, 12).toString("latin1") === "WEBP") return "webp";
+  return "";
+}
+
+// Throws with a user-facing message; `store: false` only computes the hash (dry runs).
+async function ingestLogo(buf, { store = true } = {}) {
+  if (!buf?.length) throw new Error("Logo required");
+  if (buf.length > MAX_LOGO_BYTES) throw new Error(`Logo max ${Math.floor(MAX_LOGO_BYTES / 1024 / 1024)}MB`);
+  if (!sniffImageType(buf)) throw new Error("Logo must be PNG, JPEG or WEBP");
+
+  let full;
+  const thumbs = {};
+  try {
+    const img = sharp(buf, { limitInputPixels: 64 * 1024 * 1024 }).rotate(); // apply EXIF orientation, then drop it
+    full = await img
+      .clone()
+      .resize(LOGO_MAX_PX, LOGO_MAX_PX, { fit: "inside", withoutEnlargement: true })
+      .webp({ quality: 90 })
+      .toBuffer();
+    for (const px of LOGO_THUMB_SIZES) {
+      thumbs[px] = await img.clone().resize(px, px, { fit: "cover" }).webp({ quality: 85 }).toBuffer();
+    }
+  } catch {
+    throw new Error("Logo image unreadable");
+  }
+
+  const hash = crypto.createHash("sha256").update(full).digest("hex");
+  if (store) {
+    for (const px of LOGO_THUMB_SIZES) await assets.put(`${hash}_${px}`, thumbs[px], "image/webp");
+    await assets.put(hash, full, "image/webp"); // last: its presence means the set is complete
+  }
+  return { hash, url: `/api/asset/${hash}` };
+}
+
+function decodeDataUrlImage(s) {
+  const m = /^data:image\/[a-z+.-]+;base64,(.+)$/is.exec(String(s || ""));
+  return m ? Buffer.from(m[1], "base64") : null;
+}
+
+// Logo field on create / edit: an uploaded asset URL, or (older clients) an inline data URL
+// that is ingested here. Returns { logo } or { error }.
+async function resolveLogo(value) {
+  const v = String(value || "").trim();
+  if (!v) return { logo: "" };
+
+  const m = ASSET_URL_RE.exec(v);
+  if (m) return (await assets.has(m[1])) ? { logo: v } : { error: "Logo not found, upload again" };
+
+  const buf = decodeDataUrlImage(v);
+  if (!buf) return { error: "Logo must be an uploaded image" };
+  try {
+    return { logo: (await ingestLogo(buf)).url };
+  } catch (e) {
+    return { error: String(e?.message || e) };
+  }
+}
+
+app.post(
+  "/api/upload/logo",
+  express.raw({ type: () => true, limit: MAX_LOGO_BYTES }),
+  requireWalletAuth("wallet"),
+  async (req, res) => {
+    try {
+      const buf = Buffer.isBuffer(req.body) ? req.body : null;
+      const { hash, url } = await ingestLogo(buf);
+      res.json({
+        ok: true,
+        hash,
+        url,
+        thumbs: Object.fromEntries(LOGO_THUMB_SIZES.map((px) => [px, `${url}?size=${px}`])),
+      });
+    } catch (e) {
+      res.json({ ok: false, error: String(e?.message || e) });
+    }
+  }
+);
+
+app.get("/api/asset/:hash", async (req, res) => {
+  try {
+    const hash = String(req.params.hash || "");
+    const size = Number(req.query.size || 0);
+    if (!ASSET_KEY_RE.test(hash) || hash.includes("_")) return res.status(404).json({ ok: false, error: "Not found" });
+    if (size && !LOGO_THUMB_SIZES.includes(size)) return res.status(400).json({ ok: false, error: "size must be 64 or 256" });
+
+    const key = size ? `${hash}_${size}` : hash;
+    const etag = `"${key}"`;
+    res.set({
+      "Cache-Control": "public, max-age=31536000, immutable",
+      "Cross-Origin-Resource-Policy": "cross-origin", // the frontend is on another origin
+      ETag: etag,
+    });
+    if (req.headers["if-none-match"] === etag) return res.status(304).end();
+
+    const buf = await assets.get(key);
+    if (!buf) {
+      res.set("Cache-Control", "no-store");
+      return res.status(404).json({ ok: false, error: "Not found" });
+    }
+    res.type("image/webp").send(buf);
+  } catch (e) {
+    console.error("asset error:", e);
+    res.status(500).json({ ok: false, error: String(e?.message || e) });
+  }
+});
+
+// -------------------- CREATE COIN --------------------
+// Fee on a paid create/launch, split dev/ref/reserve. The rest is the creator's first buy.
+async function applyCreateFee(t, creatorWallet, sol) {
+  const { feeSol, netSol } = takeFee(sol);
+
+  const { dev, ref, reserve } = await postFee(t, "create_fee", {
+    wallet: creatorWallet,
+    feeSol,
+    devPct: CREATE_DEV_PCT,
+    refPct: CREATE_REF_PCT,
+    reservePct: CREATE_RESERVE_PCT,
+  });
+
+  logPush(t, {
+    type: "create_fee",
+    wallet: creatorWallet,
+    feeSol,
+    split: { dev, ref, reserve },
+    devWallet: DEV_WALLET,
+    reserveWallet: RESERVE_WALLET,
+  });
+
+  return { feeSol, netSol, split: { dev, ref, reserve } };
+}
+
+function curveFirstBuy(coin, netSol) {
+  const quote = curveQuoteBuy(coin, netSol);
+  applyCurveQuote(coin, quote);
+  return quote.tokens;
+}
+
+function creditCreatorTokens(coin, p, tokens) {
+  coin.holders[p.wallet] = (coin.holders[p.wallet] || 0) + tokens;
+
+  const existing = p.holdings.find((h) => h.coinId === coin.id);
+  if (existing) {
+    existing.amount = (existing.amount || 0) + tokens;
+    existing.lastAt = nowMs();
+  } else {
+    p.holdings.unshift({ coinId: coin.id, symbol: coin.symbol, amount: tokens, lastAt: nowMs() });
+  }
+}
+
+app.post("/api/coin/create", requireWalletAuth("creatorWallet"), async (req, res) => {
+  try {
+    const name = String(req.body?.name || "").trim();
+    const symbol = String(req.body?.symbol || "").trim().toUpperCase();
+    const story = String(req.body?.story || "").trim();
+    const initialSol = safeNum(req.body?.initialSol, 0);
+    const creatorWallet = String(req.body?.creatorWallet || "").trim();
+
+    if (!name || !symbol || !creatorWallet) {
+      return res.json({ ok: false, error: "name/symbol/creatorWallet required" });
+    }
+
+    const { logo, error: logoError } = await resolveLogo(req.body?.logo);
+    if (logoError) return res.json({ ok: false, error: logoError });
+
+    const status = initialSol >= 0.01 ? "LIVE" : "DRAFT";
+
+    const out = await db.transaction(async (t) => {
+      const p = await getProfile(t, creatorWallet);
+      if (status === "LIVE" && initialSol > p.balanceSol + 1e-9) {
+        return { ok: false, error: "Insufficient balance", maxSol: p.balanceSol };
+      }
+
+      let createFeeSol = 0;
+      let firstBuySol = 0;
+      let createSplit = null;
+      if (status === "LIVE" && initialSol > 0) {
+        const f = await applyCreateFee(t, creatorWallet, initialSol);
+        createFeeSol = f.feeSol;
+        firstBuySol = f.netSol;
+        createSplit = f.split;
+      }
+
+      const coin = ensureCoin({
+        id: uid(),
+        name,
+        symbol,
+        story,
+        logo,
+        creatorWallet,
+        owner: creatorWallet,
+        status,
+        createdAt: nowMs(),
+        mc: status === "LIVE" ? STARTING_MC_USD : 0,
+        ath: status === "LIVE" ? STARTING_MC_USD : 0,
+        chart:
+          status === "LIVE"
+            ? [STARTING_MC_USD, STARTING_MC_USD, STARTING_MC_USD, STARTING_MC_USD, STARTING_MC_USD]
+            : [0, 0, 0, 0, 0],
+        volumeSol: status === "LIVE" ? initialSol : 0,
+        totalSupply: TOTAL_SUPPLY_DEFAULT,
+        holders: {},
+        ...curveInitialReserves(TOTAL_SUPPLY_DEFAULT),
+      });
+
+      // Create = first buy: what's left of initialSol after the create fee goes into the curve.
+      let creatorTokens = Math.floor((coin.totalSupply * CREATOR_PERCENT) / 100);
+      if (firstBuySol > 0) {
+        const tokens = curveFirstBuy(coin, firstBuySol);
+        creatorTokens += tokens;
+        await recordTrade(t, coin, {
+          wallet: creatorWallet,
+          side: "BUY",
+          sol: initialSol,
+          netSol: firstBuySol,
+          tokens,
+          feeSol: createFeeSol,
+          split: createSplit,
+          mcBefore: STARTING_MC_USD,
+        });
+      }
+
+      if (status === "LIVE") p.balanceSol = Math.max(0, p.balanceSol - initialSol);
+      creditCreatorTokens(coin, p, creatorTokens);
+
+      p.txs.unshift({
+        id: uid(),
+        t: nowMs(),
+        coinId: coin.id,
+        side: "CREATE",
+        sol: initialSol,
+        feeSol: createFeeSol,
+      });
+      t.coins.put(coin.id, coin);
+      t.profiles.put(creatorWallet, p);
+
+      logPush(t, { type: "coin_create", coinId: coin.id, creatorWallet, status, initialSol });
+      return { ok: true, coin };
+    }, { lock: ["wallet:" + creatorWallet] });
+
+    if (out.ok && status === "LIVE") queueCoinMint(out.coin.id);
+
+    res.json(out);
+  } catch (e) {
+    console.error("coin/create error:", e);
+    res.status(500).json({ ok: false, error: String(e?.message || e) });
+  }
+});
+
+// -------------------- EDIT COIN --------------------
+const LINK_HOSTS = {
+  website: null, // any host
+  x: ["x.com", "twitter.com"],
+  telegram: ["t.me", "telegram.me"],
+};
+
+// "" clears a link. Otherwise an http(s) URL, on the right host for x/telegram.
+function validateLink(key, value) {
+  const v = String(value ?? "").trim();
+  if (!v) return { ok: true, value: "" };
+  if (v.length > 200) return { ok: false, error: `${key} link too long` };
+
+  let u;
+  try {
+    u = new URL(v);
+  } catch {
+    return { ok: false, error: `${key} link invalid` };
+  }
+  if (u.protocol !== "https:" && u.protocol !== "http:") {
+    return { ok: false, error: `${key} link must be http(s)` };
+  }
+
+  const hosts = LINK_HOSTS[key];
+  const host = u.hostname.toLowerCase().replace(/^www\./, "");
+  if (hosts && !hosts.includes(host)) {
+    return { ok: false, error: `${key} link must be on ${hosts.join(" / ")}` };
+  }
+  return { ok: true, value: u.toString() };
+}
+
+app.patch("/api/coin/:id", requireWalletAuth("wallet"), async (req, res) => {
+  try {
+    const wallet = String(req.body?.wallet || "").trim();
+    if (!wallet) return res.json({ ok: false, error: "wallet required" });
+
+    // Resolved up front: a legacy data URL is ingested (I/O) outside the transaction.
+    let newLogo = null;
+    if (req.body?.logo != null) {
+      const r = await resolveLogo(req.body.logo);
+      if (r.error || !r.logo) return res.json({ ok: false, error: r.error || "Logo must be an uploaded image" });
+      newLogo = r.logo;
+    }
+
+    const out = await db.transaction(async (t) => {
+      const coin = await findCoin(t, req.params.id);
+      if (!coin) return { ok: false, error: "Coin not found" };
+      if (coin.creatorWallet !== wallet) return { ok: false, error: "creator only", status: 403 };
+
+      const body = req.body || {};
+      const next = {};
+
+      if (body.symbol != null) {
+        const symbol = String(body.symbol).trim().toUpperCase();
+        if (symbol !== coin.symbol) {
+          if (coin.status !== "DRAFT") return { ok: false, error: "Symbol locked after launch" };
+          if (!/^[A-Z0-9]{2,10}$/.test(symbol)) return { ok: false, error: "Symbol 2–10 (A-Z/0-9)" };
+          next.symbol = symbol;
+        }
+      }
+
+      if (body.story != null) {
+        const story = String(body.story).trim();
+        if (story.length < 20 || story.length > 300) return { ok: false, error: "Story 20–300 chars" };
+        if (story !== coin.story) next.story = story;
+      }
+
+      if (newLogo != null && newLogo !== coin.logo) next.logo = newLogo;
+
+      if (body.links != null) {
+        if (typeof body.links !== "object") return { ok: false, error: "links invalid" };
+        const links = { ...coin.links };
+        for (const k of LINK_KEYS) {
+          if (body.links[k] === undefined) continue;
+          const r = validateLink(k, body.links[k]);
+          if (!r.ok) return { ok: false, error: r.error };
+          links[k] = r.value;
+        }
+        if (LINK_KEYS.some((k) => links[k] !== coin.links[k])) next.links = links;
+      }
+
+      const fields = Object.keys(next);
+      if (!fields.length) return { ok: true, coin, changed: [] };
+
+      // Edit history: old/new values (logos are asset URLs; a legacy inline one is only flagged).
+      const changes = {};
+      for (const f of fields) {
+        const inline = f === "logo" && String(coin.logo || "").startsWith("data:");
+        changes[f] = inline ? { from: "(inline)", to: next[f] } : { from: coin[f], to: next[f] };
+      }
+
+      Object.assign(coin, next, { updatedAt: nowMs() });
+      coin.searchText = coinSearchText(coin);
+      t.coins.put(coin.id, coin);
+
+      if (next.symbol) {
+        for (const holder of Object.keys(coin.holders || {})) {
+          const p = await t.profiles.get(holder);
+          const h = p?.holdings.find((x) => x.coinId === coin.id);
+          if (!h) continue;
+          h.symbol = coin.symbol;
+          t.profiles.put(holder, p);
+        }
+      }
+
+      t.coinEdits.add({ coinId: coin.id, t: nowMs(), wallet, changes });
+      return { ok: true, coin, changed: fields };
+    }, { lock: ["coin:" + req.params.id] });
+
+    sendResult(res, out);
+  } catch (e) {
+    console.error("coin/edit error:", e);
+    res.status(500).json({ ok: false, error: String(e?.message || e) });
+  }
+});
+
+// -------------------- LAUNCH (DRAFT -> LIVE) --------------------
+app.post("/api/coin/:id/launch", requireWalletAuth("wallet"), async (req, res) => {
+  try {
+    const wallet = String(req.body?.wallet || "").trim();
+    const sol = safeNum(req.body?.sol ?? req.body?.initialSol, 0);
+
+    if (!wallet) return res.json({ ok: false, error: "wallet required" });
+    if (sol < 0.01) return res.json({ ok: false, error: "Launch min 0.01 SOL" });
+
+    const out = await db.transaction(async (t) => {
+      const coin = await findCoin(t, req.params.id);
+      if (!coin) return { ok: false, error: "Coin not found" };
+      if (coin.creatorWallet !== wallet) return { ok: false, error: "creator only", status: 403 };
+      if (coin.status !== "DRAFT") return { ok: false, error: "Coin already LIVE" };
+
+      const p = await getProfile(t, wallet);
+      if (sol > p.balanceSol + 1e-9) {
+        return { ok: false, error: "Insufficient balance", maxSol: p.balanceSol };
+      }
+
+      const { feeSol, netSol, split } = await applyCreateFee(t, wallet, sol);
+
+      // Fresh market at STARTING_MC_USD, then the creator's first buy moves the curve.
+      Object.assign(coin, curveInitialReserves(coin.totalSupply), { realSolReserves: 0 });
+      coin.status = "LIVE";
+      coin.mc = STARTING_MC_USD;
+      coin.ath = STARTING_MC_USD;
+      coin.athAt = nowMs();
+      coin.chart = [STARTING_MC_USD, STARTING_MC_USD, STARTING_MC_USD, STARTING_MC_USD, STARTING_MC_USD];
+      coin.launchedAt = nowMs();
+
+      const tokens = curveFirstBuy(coin, netSol);
+      await recordTrade(t, coin, {
+        wallet,
+        side: "BUY",
+        sol,
+        netSol,
+        tokens,
+        feeSol,
+        split,
+        mcBefore: STARTING_MC_USD,
+      });
+      coin.volumeSol = safeNum(coin.volumeSol, 0) + sol;
+      coin.lastTradeAt = nowMs();
+
+      p.balanceSol = Math.max(0, p.balanceSol - sol);
+      creditCreatorTokens(coin, p, tokens);
+      p.txs.unshift({ id: uid(), t: nowMs(), coinId: coin.id, side: "LAUNCH", sol, tokens, feeSol });
+      p.updatedAt = nowMs();
+      t.coins.put(coin.id, coin);
+      t.profiles.put(wallet, p);
+
+      logPush(t, { type: "coin_launch", coinId: coin.id, wallet, sol, tokens, feeSol });
+      return { ok: true, coin, profile: p };
+    }, { lock: ["coin:" + req.params.id, "wallet:" + wallet] });
+
+    if (out.ok) queueCoinMint(out.coin.id);
+
+    sendResult(res, out);
+  } catch (e) {
+    console.error("coin/launch error:", e);
+    res.status(500).json({ ok: false, error: String(e?.message || e) });
+  }
+});
+
+// -------------------- DEMO FAUCET (in-app balance) --------------------
+app.post("/api/faucet", requireWalletAuth("wallet"), async (req, res) => {
+  try {
+    if (!DEMO_FAUCET_ENABLED) return res.json({ ok: false, error: "faucet disabled" });
+
+    const wallet = String(req.body?.wallet || "").trim();
+    if (!wallet) return res.json({ ok: false, error: "wallet required" });
+
+    const out = await db.transaction(async (t) => {
+      const p = await getProfile(t, wallet);
+
+      const waitMs = p.lastFaucetAt + DEMO_FAUCET_COOLDOWN_MS - nowMs();
+      if (waitMs > 0) return { ok: false, error: "faucet cooldown", retryInMs: waitMs };
+
+      p.balanceSol += DEMO_FAUCET_SOL;
+      p.lastFaucetAt = nowMs();
+      p.txs.unshift({ id: uid(), t: nowMs(), coinId: "", side: "FAUCET", sol: DEMO_FAUCET_SOL });
+      t.profiles.put(wallet, p);
+
+      logPush(t, { type: "faucet", wallet, sol: DEMO_FAUCET_SOL });
+      return { ok: true, sol: DEMO_FAUCET_SOL, profile: p };
+    }, { lock: ["wallet:" + wallet] });
+
+    res.json(out);
+  } catch (e) {
+    console.error("faucet error:", e);
+    res.status(500).json({ ok: false, error: String(e?.message || e) });
+  }
+});
+
+// -------------------- TRADE CORE --------------------
+// One row per fill in the trades collection (curve price and MC after the fill, and how the
+// fee was split; create/launch buys carry the create-fee split, which has no creator share),
+// plus its candles. mcBefore = coin.mc before the fill moved the curve.
+async function recordTrade(t, coin, { wallet, side, sol, netSol, tokens, feeSol, split, mcBefore }) {
+  const at = nowMs();
+  await recordCandles(t, coin, { at, mcBefore, sol });
+  return t.trades.add({
+    t: at,
+    coinId: coin.id,
+    wallet,
+    side,
+    sol,
+    netSol,
+    tokens,
+    feeSol,
+    split: split || {},
+    priceSol: curvePriceSol(coin),
+    mc: coin.mc,
+  });
+}
+
+async function handleTrade(req, res, forcedSide) {
+  try {
+    const wallet = String(req.body?.wallet || "").trim();
+    const coinId = String(req.body?.coinId || "").trim();
+    const sideRaw = String(forcedSide || req.body?.side || "").trim().toLowerCase();
+    const sol = safeNum(req.body?.sol, 0);
+    const tokensReq = Math.floor(safeNum(req.body?.tokens, 0)); // sells may name a token amount instead of SOL
+
+    if (!wallet || !coinId || !sideRaw || (sol <= 0 && !(sideRaw === "sell" && tokensReq > 0))) {
+      return res.json({ ok: false, error: "wallet/coinId/side/sol required" });
+    }
+    if (sideRaw !== "buy" && sideRaw !== "sell") {
+      return res.json({ ok: false, error: "side must be buy or sell" });
+    }
+
+    const out = await db.transaction(async (t) => {
+      const coin = await findCoin(t, coinId);
+      if (!coin) return { ok: false, error: "Coin not found" };
+      if (coin.status !== "LIVE") return { ok: false, error: "Coin not LIVE" };
+      if (!(coin.virtualTokenReserves > 0)) seedCurveReserves(coin);
+
+      const p = await getProfile(t, wallet);
+      const h = p.holdings.find((x) => x.coinId === coinId);
+
+      // Quote against the curve first; fees are charged on the SOL side of the trade.
+      let grossSol = 0;
+      let tokens = 0;
+      let quote = null;
+
+      if (sideRaw === "buy") {
+        if (sol > p.balanceSol + 1e-9) {
+          return { ok: false, error: "Insufficient balance", maxSol: p.balanceSol };
+        }
+        grossSol = sol;
+        quote = curveQuoteBuy(coin, takeFee(sol).netSol);
+        tokens = quote.tokens;
+        if (tokens <= 0) return { ok: false, error: "Amount too small" };
+      } else {
+        const have = safeNum(h?.amount, 0);
+        if (!h || have <= 0) return { ok: false, error: "No tokens to sell" };
+
+        const wanted = tokensReq > 0 ? tokensReq : curveTokensForSol(coin, sol);
+        tokens = Math.min(have, wanted);
+        quote = curveQuoteSell(coin, tokens);
+        grossSol = quote.sol;
+
+        if (grossSol <= 0) return { ok: false, error: "Amount too small" };
+        if (grossSol > coin.realSolReserves + 1e-9) {
+          return { ok: false, error: "Not enough curve liquidity", maxSol: coin.realSolReserves };
+        }
+      }
+
+      const { feeSol, netSol } = takeFee(grossSol);
+      const split = await postFee(t, "trade_fee", {
+        wallet,
+        coin,
+        feeSol,
+        devPct: TRADE_DEV_PCT,
+        creatorPct: TRADE_CREATOR_PCT,
+        refPct: TRADE_REF_PCT,
+        reservePct: TRADE_RESERVE_PCT,
+      });
+
+      const mcBefore = coin.mc;
+      applyCurveQuote(coin, quote);
+      coin.volumeSol = safeNum(coin.volumeSol, 0) + grossSol;
+
+      const side = sideRaw === "buy" ? "BUY" : "SELL";
+
+      if (side === "BUY") {
+        p.balanceSol = Math.max(0, p.balanceSol - grossSol);
+        coin.holders[wallet] = (coin.holders[wallet] || 0) + tokens;
+
+        if (h) {
+          h.amount = safeNum(h.amount, 0) + tokens;
+          h.lastAt = nowMs();
+        } else {
+          p.holdings.unshift({ coinId, symbol: coin.symbol, amount: tokens, lastAt: nowMs() });
+        }
+      } else {
+        p.balanceSol += netSol;
+        h.amount = safeNum(h.amount, 0) - tokens;
+        h.lastAt = nowMs();
+        coin.holders[wallet] = Math.max(0, safeNum(coin.holders[wallet], 0) - tokens);
+      }
+
+      p.txs.unshift({ id: uid(), t: nowMs(), coinId, side, sol: grossSol, netSol, tokens, feeSol });
+      await recordTrade(t, coin, { wallet, side, sol: grossSol, netSol, tokens, feeSol, split, mcBefore });
+
+      logPush(t, {
+        type: "trade",
+        side,
+        wallet,
+        coinId,
+        sol: grossSol,
+        tokens,
+        feeSol,
+        priceSol: curvePriceSol(coin),
+        split,
+      });
+
+      coin.lastTradeAt = nowMs();
+      p.updatedAt = nowMs();
+      t.coins.put(coin.id, coin);
+      t.profiles.put(wallet, p);
+
+      return {
+        ok: true,
+        coin,
+        profile: p,
+        fill: { side, sol: grossSol, netSol, tokens, feeSol, priceSol: curvePriceSol(coin) },
+      };
+    }, { lock: ["coin:" + coinId, "wallet:" + wallet] });
+
+    res.json(out);
+  } catch (e) {
+    console.error("trade error:", e);
+    res.status(500).json({ ok: false, error: String(e?.message || e) });
+  }
+}
+
+const tradeAuth = requireWalletAuth("wallet");
+app.post("/api/coin/buy", tradeAuth, (req, res) => handleTrade(req, res, "buy"));
+app.post("/api/coin/sell", tradeAuth, (req, res) => handleTrade(req, res, "sell"));
+app.post("/api/trade", tradeAuth, (req, res) => handleTrade(req, res, null));
+app.get("/api/coin/buy", (req, res) => res.json({ ok: true, note: "BUY route is LIVE. Use POST." }));
 app.get("/api/coin/sell", (req, res) => res.json({ ok: true, note: "SELL route is LIVE. Use POST." }));
-// -------------------- WITHDRAW (demo accounting) --------------------
+
+// Trade feed, newest first. `cursor` is the `t` of the last trade on the previous page
+// (nextCursor); trades sharing that timestamp all land on the same page, so a page can run
+// slightly over `limit`.
+const TRADES_PAGE_DEFAULT = 50;
+const TRADES_PAGE_MAX = 200;
+
+app.get("/api/coin/:id/trades", async (req, res) => {
+  try {
+    const coinId = String(req.params.id || "").trim();
+    const limit = Math.max(1, Math.min(TRADES_PAGE_MAX, Math.floor(safeNum(req.query.limit, TRADES_PAGE_DEFAULT))));
+    const cursor = req.query.cursor ? Number(req.query.cursor) : null;
+    if (cursor != null && !Number.isFinite(cursor)) return res.json({ ok: false, error: "cursor invalid" });
+
+    if (!(await db.coins.get(coinId))) return res.json({ ok: false, error: "Coin not found" });
+
+    const where = cursor != null ? { coinId, t: { lt: cursor } } : { coinId };
+    let trades = await db.trades.list({ where, orderBy: "t", desc: true, limit: limit + 1 });
+
+    let nextCursor = null;
+    if (trades.length > limit) {
+      const edge = trades[limit - 1].t;
+      if (trades[limit].t === edge) {
+        const tied = await db.trades.list({ where: { coinId, t: edge } });
+        trades = [...trades.filter((x) => x.t > edge), ...tied];
+      } else {
+        trades = trades.slice(0, limit);
+      }
+      nextCursor = edge;
+    }
+
+    res.json({ ok: true, coinId, trades, nextCursor });
+  } catch (e) {
+    console.error("coin/trades error:", e);
+    res.status(500).json({ ok: false, error: String(e?.message || e) });
+  }
+});
+
+// OHLCV buckets, oldest first: GET /api/coin/:id/candles?tf=5m&from=&to= (epoch ms or ISO).
+// The bucket containing `from` is included, `to` is exclusive; at most CANDLES_MAX (the newest).
+app.get("/api/coin/:id/candles", async (req, res) => {
+  try {
+    const coinId = String(req.params.id || "").trim();
+    const tf = String(req.query.tf || SPARK_TF).trim();
+    const ms = CANDLE_TFS[tf];
+    if (!ms) return res.json({ ok: false, error: `tf must be one of ${Object.keys(CANDLE_TFS).join(", ")}` });
+
+    const from = parseTime(req.query.from, 0);
+    const to = parseTime(req.query.to, Infinity);
+    if (Number.isNaN(from) || Number.isNaN(to)) return res.json({ ok: false, error: "from/to invalid" });
+
+    if (!(await db.coins.get(coinId))) return res.json({ ok: false, error: "Coin not found" });
+
+    const range = { gte: from - (from % ms) };
+    if (Number.isFinite(to)) range.lt = to;
+    const candles = await db.candles.list({ where: { coinId, tf, t: range }, orderBy: "t", desc: true, limit: CANDLES_MAX });
+    candles.reverse();
+
+    res.json({ ok: true, coinId, tf, candles });
+  } catch (e) {
+    console.error("coin/candles error:", e);
+    res.status(500).json({ ok: false, error: String(e?.message || e) });
+  }
+});
+
+// Coin detail for the COIN screen: the coin, 24h stats and a creator summary. Registered after
+// /api/coin/list and the GET buy/sell notes so ":id" doesn't shadow them.
+const STATS_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+app.get("/api/coin/:id", async (req, res) => {
+  try {
+    const coinId = String(req.params.id || "").trim();
+    const coin = await db.coins.get(coinId);
+    if (!coin) return res.json({ ok: false, error: "Coin not found" });
+
+    const now = nowMs();
+    const since = now - STATS_WINDOW_MS;
+    const recent = await db.trades.list({ where: { coinId, t: { gte: since } } });
+    // MC at the start of the window; a coin launched inside it opened at STARTING_MC_USD.
+    const [before] = await db.trades.list({ where: { coinId, t: { lt: since } }, orderBy: "t", desc: true, limit: 1 });
+    const openMc = before ? safeNum(before.mc, 0) : coin.status === "LIVE" ? STARTING_MC_USD : 0;
+    // Daily candles count every fill, so the all-time total doesn't need a scan of trades.
+    const days = await db.candles.list({ where: { coinId, tf: "1d" } });
+
+    const creatorWallet = coin.creatorWallet || coin.owner || "";
+    const created = creatorWallet ? await db.coins.list({ where: { creatorWallet } }) : [];
+    const creatorTokens = safeNum(coin.holders[creatorWallet], 0);
+
+    res.json({
+      ok: true,
+      coin,
+      stats: {
+        volume24hSol: recent.reduce((a, tr) => a + safeNum(tr.sol, 0), 0),
+        change24hPct: openMc ? ((coin.mc - openMc) / openMc) * 100 : 0,
+        trades24h: recent.length,
+        traders24h: new Set(recent.map((tr) => tr.wallet)).size,
+        tradeCount: days.reduce((a, k) => a + safeNum(k.n, 0), 0),
+        holders: Object.values(coin.holders).filter((amount) => safeNum(amount, 0) > 0).length,
+        athAt: coin.athAt,
+        lastTradeAt: coin.lastTradeAt,
+        now,
+      },
+      creator: {
+        wallet: creatorWallet,
+        coinsCreated: created.length,
+        liveCoins: created.filter((c) => c.status === "LIVE").length,
+        tokens: creatorTokens,
+        pct: coin.totalSupply > 0 ? (creatorTokens / coin.totalSupply) * 100 : 0,
+        rewardsSol: safeNum(coin.creatorRewardsSol, 0),
+      },
+    });
+  } catch (e) {
+    console.error("coin/detail error:", e);
+    res.status(500).json({ ok: false, error: String(e?.message || e) });
+  }
+});
+// -------------------- PAYOUTS (treasury -> wallet) --------------------
+let treasuryKeypair = null;
+
+function loadTreasuryKeypair() {
+  if (treasuryKeypair) return treasuryKeypair;
+
+  const raw = TREASURY_SECRET_KEY || (TREASURY_KEYPAIR_PATH ? fs.readFileSync(TREASURY_KEYPAIR_PATH, "utf-8") : "");
+  if (!raw) return null;
+
+  const bytes = JSON.parse(raw);
+  if (!Array.isArray(bytes) || bytes.length !== 64) throw new Error("Treasury key must be a 64-byte JSON array");
+  treasuryKeypair = Keypair.fromSecretKey(Uint8Array.from(bytes));
+  return treasuryKeypair;
+}
+
+// Signed but not sent: the signature is known (and stored) before anything reaches the chain.
+async function signSolPayout(to, sol) {
+  const kp = loadTreasuryKeypair();
+  if (!kp) throw new Error("Treasury keypair not configured");
+
+  const lamports = toLamports(sol);
+  if (lamports <= 0) throw new Error("Payout amount too small");
+
+  const { blockhash, lastValidBlockHeight } = await connection.getLatestBlockhash("confirmed");
+  const tx = new Transaction({ feePayer: kp.publicKey, blockhash, lastValidBlockHeight }).add(
+    SystemProgram.transfer({ fromPubkey: kp.publicKey, toPubkey: new PublicKey(to), lamports })
+  );
+  tx.sign(kp);
+  return { tx, signature: bs58.encode(tx.signature), blockhash, lastValidBlockHeight, lamports };
+}
+
+async function sendSolPayout({ tx, signature, blockhash, lastValidBlockHeight }) {
+  await sendAndConfirmRawTransaction(
+    connection,
+    tx.serialize(),
+    { signature, blockhash, lastValidBlockHeight },
+    { commitment: "confirmed" }
+  );
+}
+
+// What the chain says about a payout whose send threw or timed out: SENT, FAILED, or null while
+// it may still land (not seen yet and its blockhash has not expired).
+async function payoutOutcome(signature, lastValidBlockHeight) {
+  const { value } = await connection.getSignatureStatus(signature, { searchTransactionHistory: true });
+  if (value?.err) return { status: "FAILED", error: `Transfer failed: ${JSON.stringify(value.err)}` };
+  if (value?.confirmationStatus === "confirmed" || value?.confirmationStatus === "finalized") return { status: "SENT" };
+  if (!value && (await connection.getBlockHeight("confirmed")) > lastValidBlockHeight) {
+    return { status: "FAILED", error: "Transfer expired before landing" };
+  }
+  return null;
+}
+
+const WITHDRAW_KINDS = ["CREATOR", "REF", "MANUAL"];
+const WITHDRAW_OPEN = ["PENDING", "PROCESSING"];
+const MANUAL_OFF_ERROR = "Manual withdraw is off while the demo faucet is on";
+
+async function withdrawableFor(t, p, kind) {
+  if (REWARD_ACCOUNT[kind]) return lamportsToSol(await ledgerBalance(t, `${REWARD_ACCOUNT[kind]}:${p.wallet}`));
+  return safeNum(p.balanceSol, 0);
+}
+
+async function withdrawnLastDay(t, wallet) {
+  const since = nowMs() - 24 * 60 * 60 * 1000;
+  const mine = await t.withdrawals.list({ where: { wallet, status: [...WITHDRAW_OPEN, "SENT"] } });
+  return mine.filter((w) => w.createdAt >= since).reduce((a, w) => a + safeNum(w.sol, 0), 0);
+}
+
+// Deduct exactly what was paid from the reward copies; rewards that accrued since stay put.
+// Not clamped at 0: a copy that goes negative has drifted from the ledger, and reconcile says so.
+function debitWithdrawn(p, kind, sol) {
+  const sub = (map, amount) => {
+    let left = amount;
+    for (const k of Object.keys(map)) {
+      if (left <= 1e-12) break;
+      const take = Math.min(safeNum(map[k], 0), left);
+      left -= take;
+      const rest = safeNum(map[k], 0) - take;
+      if (rest > 1e-12) map[k] = rest;
+      else delete map[k];
+    }
+  };
+
+  if (kind === "CREATOR") {
+    p.rewards.totalSol = safeNum(p.rewards.totalSol, 0) - sol;
+    p.rewards.byCoin = p.rewards.byCoin && typeof p.rewards.byCoin === "object" ? p.rewards.byCoin : {};
+    sub(p.rewards.byCoin, sol);
+  } else if (kind === "REF") {
+    p.referralRewards.totalSol = safeNum(p.referralRewards.totalSol, 0) - sol;
+    p.referralRewards.byWallet =
+      p.referralRewards.byWallet && typeof p.referralRewards.byWallet === "object" ? p.referralRewards.byWallet : {};
+    sub(p.referralRewards.byWallet, sol);
+  }
+}
+
+// A request reserves its amount at once: it moves from the source account into `pending`
+// (MANUAL also leaves the in-app balance), so nothing else can spend it while it waits.
+function holdWithdrawal(t, p, w) {
+  const lamports = toLamports(w.sol);
+  if (!REWARD_ACCOUNT[w.kind]) p.balanceSol = safeNum(p.balanceSol, 0) - w.sol;
+  postLedger(
+    t,
+    "withdraw_hold",
+    [
+      { account: withdrawSourceAccount(w.kind, w.wallet), lamports: -lamports },
+      { account: "pending", lamports },
+    ],
+    { wallet: w.wallet, withdrawalId: w.id }
+  );
+}
+
+// Settles the hold once the status is final: SENT pays it out (and only then takes it off the
+// reward copies), FAILED / CANCELLED give it back to the source.
+function releaseWithdrawal(t, p, w) {
+  const lamports = toLamports(w.sol);
+  const sent = w.status === "SENT";
+  if (sent) debitWithdrawn(p, w.kind, w.sol);
+  else if (!REWARD_ACCOUNT[w.kind]) p.balanceSol = safeNum(p.balanceSol, 0) + w.sol;
+  postLedger(
+    t,
+    sent ? "withdraw" : "withdraw_refund",
+    [
+      { account: "pending", lamports: -lamports },
+      { account: sent ? "payouts" : withdrawSourceAccount(w.kind, w.wallet), lamports },
+    ],
+    { wallet: w.wallet, withdrawalId: w.id }
+  );
+}
+
+async function findWithdrawal(t, id) {
+  const key = String(id || "").trim();
+  return key ? t.withdrawals.get(key) : null;
+}
+
+// -------------------- SPL MINT (optional, MINT_ON_LIVE=1) --------------------
+// Mints totalSupply: the creator allocation to the creator's ATA, the rest to a treasury
+// ATA that backs the curve. Mint authority is revoked afterwards so supply is fixed.
+const mintsInFlight = new Set();
+
+async function mintCoinOnChain(coinId) {
+  const kp = loadTreasuryKeypair();
+  if (!kp) throw new Error("Treasury keypair not configured");
+  // Claimed before MINTING is written, so a MINTING coin always has a mint running here.
+  if (mintsInFlight.has(coinId)) return;
+  mintsInFlight.add(coinId);
+  try {
+    await runCoinMint(kp, coinId);
+  } finally {
+    mintsInFlight.delete(coinId);
+  }
+}
+
+async function runCoinMint(kp, coinId) {
+  const coin = await db.transaction(async (t) => {
+    const c = await findCoin(t, coinId);
+    if (!c || c.status !== "LIVE" || c.mintStatus === "MINTED") return null;
+
+    c.mintStatus = "MINTING";
+    c.mintError = "";
+    t.coins.put(c.id, c);
+    return c;
+  });
+  if (!coin) return;
+
+  let result = null;
+  let error = "";
+  try {
+    // A retry resumes with the mint the last attempt created instead of making another one.
+    const decimals = coin.mintAddress ? coin.mintDecimals : TOKEN_DECIMALS;
+    let mint = coin.mintAddress ? new PublicKey(coin.mintAddress) : null;
+    if (!mint) {
+      mint = await createMint(connection, kp, kp.publicKey, null, decimals);
+      await db.transaction(async (t) => {
+        const c = await findCoin(t, coinId);
+        c.mintAddress = mint.toBase58();
+        c.mintDecimals = decimals;
+        t.coins.put(c.id, c);
+      });
+    }
+
+    const unit = 10n ** BigInt(decimals);
+    const total = BigInt(Math.floor(coin.totalSupply));
+    const creatorAlloc = BigInt(Math.floor((coin.totalSupply * CREATOR_PERCENT) / 100));
+
+    // Tops the owner's ATA up to its share, so a resumed mint never mints twice.
+    const fill = async (owner, tokens) => {
+      const ata = await getOrCreateAssociatedTokenAccount(connection, kp, mint, owner);
+      const want = tokens * unit;
+      if (ata.amount < want) await mintTo(connection, kp, mint, ata.address, kp, want - ata.amount);
+      return ata.address;
+    };
+    const creatorAta = await fill(new PublicKey(coin.creatorWallet), creatorAlloc);
+    const curveAta = await fill(kp.publicKey, total - creatorAlloc);
+
+    if ((await getMint(connection, mint)).mintAuthority) {
+      await setAuthority(connection, kp, mint, kp, AuthorityType.MintTokens, null);
+    }
+
+    result = { mint: mint.toBase58(), creatorAta: creatorAta.toBase58(), curveAta: curveAta.toBase58() };
+  } catch (e) {
+    error = String(e?.message || e);
+  }
+
+  await db.transaction(async (t) => {
+    const c = await findCoin(t, coinId);
+    if (!c) return;
+
+    if (result) {
+      c.mintStatus = "MINTED";
+      logPush(t, { type: "coin_mint", coinId, mint: result.mint, creatorAta: result.creatorAta, curveAta: result.curveAta });
+    } else {
+      c.mintStatus = "FAILED";
+      c.mintError = error;
+      logPush(t, { type: "coin_mint_failed", coinId, mint: c.mintAddress, error });
+    }
+    t.coins.put(c.id, c);
+  });
+}
+
+// At boot nothing is minting yet, so MINTING coins were cut off by the last shutdown. FAILED
+// lets the creator retry, which resumes from the saved mint address.
+async function resetStaleMints() {
+  const coins = await db.transaction(async (t) => {
+    const stale = await t.coins.list({ where: { mintStatus: "MINTING" } });
+    for (const c of stale) {
+      c.mintStatus = "FAILED";
+      c.mintError = "Interrupted by a restart";
+      t.coins.put(c.id, c);
+      logPush(t, { type: "coin_mint_failed", coinId: c.id, mint: c.mintAddress, error: c.mintError });
+    }
+    return stale;
+  });
+  if (coins.length) console.log(`Interrupted mints reset to FAILED: ${coins.length}`);
+}
+
+function queueCoinMint(coinId) {
+  if (!MINT_ON_LIVE) return;
+  mintCoinOnChain(coinId).catch((e) => console.error("mint error:", e?.message || e));
+}
+
+// Retry a failed mint (creator only).
+app.post("/api/coin/:id/mint", requireWalletAuth("wallet"), async (req, res) => {
+  try {
+    if (!MINT_ON_LIVE) return res.json({ ok: false, error: "minting disabled" });
+
+    const coin = await db.coins.get(String(req.params.id || "").trim());
+    if (!coin) return res.json({ ok: false, error: "Coin not found" });
+    if (coin.creatorWallet !== req.authWallet) return res.status(403).json({ ok: false, error: "creator only" });
+    if (coin.status !== "LIVE") return res.json({ ok: false, error: "Coin not LIVE" });
+    if (coin.mintStatus === "MINTED" || coin.mintStatus === "MINTING") {
+      return res.json({ ok: false, error: `mint ${coin.mintStatus.toLowerCase()}` });
+    }
+
+    queueCoinMint(coin.id);
+    res.json({ ok: true, coinId: coin.id, mintStatus: "MINTING" });
+  } catch (e) {
+    console.error("coin/mint error:", e);
+    res.status(500).json({ ok: false, error: String(e?.message || e) });
+  }
+});
+
+// -------------------- WITHDRAW QUEUE --------------------
+// Lifecycle: PENDING (cancellable for WITHDRAW_HOLD_MS) -> PROCESSING -> SENT | FAILED.
+// CREATOR / REF pay out reward balances; MANUAL pays out the in-app SOL balance. The transfer's
+// signature is stored before it is sent, and only the chain's answer for that signature (or
+// its blockhash expiring) moves a PROCESSING withdrawal on; rows still PROCESSING after
+// WITHDRAW_STALE_MS (a restart, no answer yet) are looked up again by the worker.
+let withdrawTimer = null;
+let withdrawProcessing = false;
+
+// mode = what the route pays out; only the generic POST /api/withdraw (mode null) takes `kind`
+// from the body.
 async function handleWithdraw(req, res, mode) {
   try {
     const wallet = String(req.body?.wallet || "").trim();
     const to = String(req.body?.to || "").trim();
-    const kind = String(req.body?.kind || mode || "").trim().toUpperCase();
+    const kind = String(mode || req.body?.kind || "MANUAL").trim().toUpperCase();
+    const solReq = safeNum(req.body?.sol ?? req.body?.amount, 0);
 
     if (!wallet) return res.json({ ok: false, error: "wallet required" });
     if (!to) return res.json({ ok: false, error: "to required" });
+    if (!WITHDRAW_KINDS.includes(kind)) return res.json({ ok: false, error: "kind must be CREATOR, REF or MANUAL" });
+    if (kind === "MANUAL" && DEMO_FAUCET_ENABLED) return res.json({ ok: false, error: MANUAL_OFF_ERROR });
+    try {
+      new PublicKey(to);
+    } catch {
+      return res.json({ ok: false, error: "to invalid" });
+    }
+
+    const out = await db.transaction(async (t) => {
+      const p = await getProfile(t, wallet);
+
+      const available = await withdrawableFor(t, p, kind);
+      // Whole lamports: that's what the payout sends and the ledger debits.
+      const sol = lamportsToSol(toLamports(solReq > 0 ? solReq : available)); // no amount = everything available
+      if (sol <= 0) return { ok: false, error: "Nothing to withdraw" };
+      if (sol > available + 1e-9) return { ok: false, error: "Amount exceeds available", maxSol: available };
+      if (sol < WITHDRAW_MIN_SOL) return { ok: false, error: `Minimum withdraw is ${WITHDRAW_MIN_SOL} SOL` };
+
+      const dayLeft = WITHDRAW_DAILY_CAP_SOL - (await withdrawnLastDay(t, wallet));
+      if (WITHDRAW_DAILY_CAP_SOL > 0 && sol > dayLeft + 1e-9) {
+        return { ok: false, error: "Daily withdraw cap reached", maxSol: Math.max(0, dayLeft) };
+      }
+
+      const w = t.withdrawals.add({
+        id: uid(),
+        wallet,
+        kind,
+        to,
+        sol,
+        status: "PENDING",
+        createdAt: nowMs(),
+        updatedAt: nowMs(),
+        processAfter: nowMs() + WITHDRAW_HOLD_MS,
+        signature: "",
+        lastValidBlockHeight: 0,
+        error: "",
+      });
+      holdWithdrawal(t, p, w);
+      p.updatedAt = nowMs();
+      t.profiles.put(wallet, p);
+
+      logPush(t, { type: "withdraw_request", wallet, to, kind, sol, withdrawalId: w.id });
+      return { ok: true, withdrawal: w, id: w.id, to, kind, sol };
+    }, { lock: ["wallet:" + wallet] });
+
+    if (out.ok) scheduleWithdrawProcessing(WITHDRAW_HOLD_MS);
+
+    res.json(out);
+  } catch (e) {
+    console.error("withdraw error:", e);
+    res.status(500).json({ ok: false, error: String(e?.message || e) });
+  }
+}
+
+async function processOneWithdrawal(id) {
+  const w = await db.transaction(async (t) => {
+    const w0 = await findWithdrawal(t, id);
+    if (!w0 || w0.status !== "PENDING") return null;
+
+    w0.status = "PROCESSING";
+    w0.updatedAt = nowMs();
+    t.withdrawals.put(w0.id, w0);
+    return w0;
+  });
+  if (!w) return;
+  // Queued before the faucet was switched on: the hold goes back to the balance.
+  if (w.kind === "MANUAL" && DEMO_FAUCET_ENABLED) return finishWithdrawal(id, { status: "FAILED", error: MANUAL_OFF_ERROR });
+
+  let signed = null;
+  try {
+    signed = await signSolPayout(w.to, w.sol);
+  } catch (err) {
+    // Nothing was sent, so this failure is final.
+    return finishWithdrawal(id, { status: "FAILED", error: String(err?.message || err) });
+  }
 
-    const store = await readDB();
-    const p = ensureProfile(store.profiles?.[wallet], wallet);
+  await db.transaction(async (t) => {
+    const wd = await findWithdrawal(t, id);
+    wd.signature = signed.signature;
+    wd.lastValidBlockHeight = signed.lastValidBlockHeight;
+    wd.updatedAt = nowMs();
+    t.withdrawals.put(wd.id, wd);
+  });
 
-    let withdrawn = 0;
+  let outcome = null;
+  try {
+    await sendSolPayout(signed);
+    outcome = { status: "SENT" };
+  } catch (err) {
+    // A throw or timeout does not mean the transfer missed: ask the chain. Unknown stays
+    // PROCESSING and is looked up again later.
+    console.error("withdraw send error:", err?.message || err);
+    outcome = await payoutOutcome(signed.signature, signed.lastValidBlockHeight).catch(() => null);
+  }
+  if (outcome) await finishWithdrawal(id, outcome);
+}
 
-    if (kind === "CREATOR") {
-      withdrawn = safeNum(p.rewards?.totalSol, 0);
-      p.rewards = { totalSol: 0, byCoin: {} };
-    } else if (kind === "REF") {
-      withdrawn = safeNum(p.referralRewards?.totalSol, 0);
-      p.referralRewards = { totalSol: 0, byWallet: {} };
+// Final status for a PROCESSING withdrawal: settles its hold and records it on the profile.
+async function finishWithdrawal(id, { status, error = "" }) {
+  await db.transaction(async (t) => {
+    const wd = await findWithdrawal(t, id);
+    if (!wd || wd.status !== "PROCESSING") return;
+    const p = await getProfile(t, wd.wallet);
+
+    wd.status = status;
+    wd.error = error;
+    if (status === "SENT") {
+      logPush(t, { type: "withdraw", wallet: wd.wallet, to: wd.to, kind: wd.kind, sol: wd.sol, signature: wd.signature });
     } else {
-      withdrawn = 0;
+      logPush(t, { type: "withdraw_failed", wallet: wd.wallet, to: wd.to, kind: wd.kind, sol: wd.sol, error });
     }
+    releaseWithdrawal(t, p, wd);
+    wd.updatedAt = nowMs();
+    t.withdrawals.put(wd.id, wd);
 
-    p.txs.unshift({ id: uid(), t: nowMs(), coinId: "", side: "WITHDRAW", sol: withdrawn, to, kind });
+    p.txs.unshift({
+      id: uid(),
+      t: nowMs(),
+      coinId: "",
+      side: "WITHDRAW",
+      sol: wd.sol,
+      to: wd.to,
+      kind: wd.kind,
+      status: wd.status,
+      withdrawalId: wd.id,
+      ...(status === "SENT" ? { signature: wd.signature } : { error }),
+    });
     p.updatedAt = nowMs();
-    store.profiles[wallet] = p;
+    t.profiles.put(wd.wallet, p);
+  });
+}
+
+// A PROCESSING withdrawal nobody is working on: the server stopped mid-payout, or the chain had
+// no answer yet. Without a stored signature the transfer was never sent.
+async function recoverWithdrawal(w) {
+  if (!w.signature) return finishWithdrawal(w.id, { status: "FAILED", error: "Payout interrupted before sending" });
+  const outcome = await payoutOutcome(w.signature, w.lastValidBlockHeight);
+  if (outcome) await finishWithdrawal(w.id, outcome);
+}
+
+async function processWithdrawalQueue() {
+  if (withdrawProcessing) return;
+  withdrawProcessing = true;
+  try {
+    const pending = await db.withdrawals.list({ where: { status: "PENDING" }, orderBy: "createdAt" });
+    const due = pending.filter((w) => w.processAfter <= nowMs()).map((w) => w.id);
+
+    for (const id of due) {
+      try {
+        await processOneWithdrawal(id);
+      } catch (e) {
+        console.error("withdraw process error:", e?.message || e);
+      }
+    }
+
+    const processing = await db.withdrawals.list({ where: { status: "PROCESSING" }, orderBy: "createdAt" });
+    for (const w of processing.filter((w) => w.updatedAt <= nowMs() - WITHDRAW_STALE_MS)) {
+      try {
+        await recoverWithdrawal(w);
+      } catch (e) {
+        console.error("withdraw recover error:", e?.message || e);
+      }
+    }
+  } finally {
+    withdrawProcessing = false;
+  }
+}
+
+function scheduleWithdrawProcessing(delayMs = 0) {
+  setTimeout(() => processWithdrawalQueue().catch((e) => console.error("withdraw queue error:", e)), delayMs + 50);
+}
+
+function startWithdrawWorker() {
+  if (withdrawTimer) return;
+  scheduleWithdrawProcessing(); // picks up what the last run left PENDING / PROCESSING
+  withdrawTimer = setInterval(() => {
+    processWithdrawalQueue().catch((e) => console.error("withdraw queue error:", e));
+  }, WITHDRAW_PROCESS_MS);
+}
+
+const withdrawAuth = requireWalletAuth("wallet");
+app.post("/api/withdraw", withdrawAuth, (req, res) => handleWithdraw(req, res, null));
+app.post("/api/withdraw/manual", withdrawAuth, (req, res) => handleWithdraw(req, res, "MANUAL"));
+app.post("/api/withdraw/creator", withdrawAuth, (req, res) => handleWithdraw(req, res, "CREATOR"));
+app.post("/api/withdraw/referral", withdrawAuth, (req, res) => handleWithdraw(req, res, "REF"));
+app.post("/api/transfer", withdrawAuth, (req, res) => handleWithdraw(req, res, "MANUAL"));
+app.post("/api/payout", withdrawAuth, (req, res) => handleWithdraw(req, res, "MANUAL"));
 
-    logPush(store, { type: "withdraw", wallet, to, kind, sol: withdrawn });
-    await writeDB(store);
+// Own withdrawals only; someone else's id reads as not found.
+app.get("/api/withdraw/:id", withdrawAuth, async (req, res) => {
+  try {
+    const w = await db.transaction((t) => findWithdrawal(t, req.params.id));
+    if (!w || w.wallet !== req.authWallet) return res.status(404).json({ ok: false, error: "Withdrawal not found" });
+    res.json({ ok: true, withdrawal: w });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: String(e?.message || e) });
+  }
+});
 
-    res.json({ ok: true, to, kind, sol: withdrawn });
+app.post("/api/withdraw/:id/cancel", withdrawAuth, async (req, res) => {
+  try {
+    const out = await db.transaction(async (t) => {
+      const w = await findWithdrawal(t, req.params.id);
+      if (!w) return { ok: false, error: "Withdrawal not found", status: 404 };
+      if (w.wallet !== req.authWallet) return { ok: false, error: "not your withdrawal", status: 403 };
+      if (w.status !== "PENDING") return { ok: false, error: `cannot cancel: ${w.status}` };
+
+      w.status = "CANCELLED";
+      w.updatedAt = nowMs();
+      t.withdrawals.put(w.id, w);
+
+      const p = await getProfile(t, w.wallet);
+      releaseWithdrawal(t, p, w);
+      p.updatedAt = nowMs();
+      t.profiles.put(w.wallet, p);
+      logPush(t, { type: "withdraw_cancel", wallet: w.wallet, withdrawalId: w.id, sol: w.sol });
+      return { ok: true, withdrawal: w };
+    }, { lock: ["wallet:" + req.authWallet] });
+
+    sendResult(res, out);
   } catch (e) {
-    console.error("withdraw error:", e);
+    console.error("withdraw cancel error:", e);
+    res.status(500).json({ ok: false, error: String(e?.message || e) });
+  }
+});
+
+// -------------------- ADMIN: EXPORT / IMPORT --------------------
+// Snapshot file:
+//   { format: "funrun-snapshot", formatVersion: 1, schemaVersion, exportedAt,
+//     scope: { kind: "full" | "coin" | "wallet", id }, counts,
+//     collections: { <collection>: { <id>: doc } }, assets: { <asset key>: base64 } }
+// Exports run as one exclusive transaction, so no write lands halfway through. Imports upsert
+// (nothing is deleted), skip identical documents, and refuse the whole import if a document
+// is newer in the target (or differs with no timestamp to compare) unless forced. Snapshots
+// from an older schema are migrated in memory first.
+const SNAPSHOT_FORMAT = "funrun-snapshot";
+const SNAPSHOT_FORMAT_VERSION = 1;
+
+// Per-collection shape checks: key field (must equal the map key), required strings/numbers/arrays.
+const SNAPSHOT_RULES = {
+  coins: {
+    key: "id",
+    str: ["id", "name", "symbol", "status", "creatorWallet"],
+    num: ["createdAt", "mc", "totalSupply", "virtualSolReserves", "virtualTokenReserves", "realSolReserves"],
+    oneOf: { status: ["DRAFT", "LIVE"] },
+  },
+  profiles: { key: "wallet", str: ["wallet"], num: ["balanceSol"], arr: ["holdings", "txs"] },
+  trades: { key: "id", str: ["id", "coinId", "wallet", "side"], num: ["t", "sol", "tokens"], oneOf: { side: ["BUY", "SELL"] } },
+  candles: { key: "id", str: ["id", "coinId", "tf"], num: ["t", "o", "h", "l", "c", "v"] },
+  coinEdits: { key: "id", str: ["id", "coinId"], num: ["t"] },
+  withdrawals: { key: "id", str: ["id", "wallet", "status", "to"], num: ["sol", "createdAt"] },
+  deposits: { str: ["wallet"], num: ["sol"] },
+  logs: { key: "id", str: ["type"], num: ["t"] },
+  treasury: { num: ["devSol", "reserveSol"] },
+  ledger: { key: "id", str: ["id", "entryId", "kind", "account"], num: ["t", "lamports"] },
+};
+
+function requireAdmin(req, res, next) {
+  if (!ADMIN_TOKEN) return res.status(404).json({ ok: false, error: "admin disabled" });
+  const given = Buffer.from(String(req.headers["x-admin-token"] || bearerToken(req) || ""));
+  const want = Buffer.from(ADMIN_TOKEN);
+  if (given.length !== want.length || !crypto.timingSafeEqual(given, want)) {
+    return res.status(401).json({ ok: false, error: "admin token required" });
+  }
+  next();
+}
+
+const snapshotCounts = (collections) =>
+  Object.fromEntries(COLLECTIONS.map((c) => [c, Object.keys(collections[c] || {}).length]));
+
+// Newest timestamp a document carries; 0 = nothing to compare.
+function docStamp(doc) {
+  if (!doc || typeof doc !== "object") return 0;
+  return Math.max(0, ...["updatedAt", "lastTradeAt", "launchedAt", "createdAt", "t"].map((k) => safeNum(doc[k], 0)));
+}
+
+async function exportSnapshot({ scope = "full", id = "", withAssets = true } = {}) {
+  const collections = Object.fromEntries(COLLECTIONS.map((c) => [c, {}]));
+  const add = (col, entries) => entries.forEach((e) => (collections[col][e.id] = e.doc));
+
+  const out = await db.transaction(
+    async (t) => {
+      if (scope === "full") {
+        for (const col of COLLECTIONS) add(col, await t[col].entries());
+      } else if (scope === "coin") {
+        const coin = await findCoin(t, id);
+        if (!coin) return { ok: false, error: "Coin not found", status: 404 };
+        add("coins", [{ id: coin.id, doc: coin }]);
+        add("trades", await t.trades.entries({ where: { coinId: coin.id } }));
+        add("candles", await t.candles.entries({ where: { coinId: coin.id } }));
+        add("coinEdits", await t.coinEdits.entries({ where: { coinId: coin.id } }));
+        add("ledger", await t.ledger.entries({ where: { coinId: coin.id } }));
+        for (const wallet of Object.keys(coin.holders || {})) {
+          const p = await t.profiles.get(wallet);
+          if (p) add("profiles", [{ id: wallet, doc: p }]);
+        }
+      } else if (scope === "wallet") {
+        const p = await t.profiles.get(id);
+        if (!p) return { ok: false, error: "Profile not found", status: 404 };
+        add("profiles", [{ id, doc: p }]);
+        const referrer = await t.referrals.get(id);
+        if (referrer) add("referrals", [{ id, doc: referrer }]);
+        for (const col of ["trades", "withdrawals", "deposits"]) add(col, await t[col].entries({ where: { wallet: id } }));
+        // Whole entries touching the wallet's accounts, so the snapshot's ledger balances.
+        const mine = await t.ledger.list({ where: { account: ["user", "creator", "referral"].map((a) => `${a}:${id}`) } });
+        const entryIds = [...new Set(mine.map((l) => l.entryId))];
+        if (entryIds.length) add("ledger", await t.ledger.entries({ where: { entryId: entryIds } }));
+      } else {
+        return { ok: false, error: "scope must be full, coin or wallet" };
+      }
+      return { ok: true, schemaVersion: safeNum(await t.meta.get("schemaVersion"), 0) };
+    },
+    { raw: true, exclusive: true }
+  );
+  if (!out.ok) return out;
+
+  const snapAssets = {};
+  if (withAssets) {
+    for (const coin of Object.values(collections.coins)) {
+      const m = ASSET_URL_RE.exec(String(coin.logo || ""));
+      if (!m) continue;
+      for (const key of [m[1], ...LOGO_THUMB_SIZES.map((px) => `${m[1]}_${px}`)]) {
+        const buf = await assets.get(key);
+        if (buf) snapAssets[key] = buf.toString("base64");
+      }
+    }
+  }
+
+  return {
+    ok: true,
+    snapshot: {
+      format: SNAPSHOT_FORMAT,
+      formatVersion: SNAPSHOT_FORMAT_VERSION,
+      schemaVersion: out.schemaVersion,
+      exportedAt: nowMs(),
+      scope: { kind: scope, id: scope === "full" ? "" : id },
+      counts: snapshotCounts(collections),
+      collections,
+      assets: snapAssets,
+    },
+  };
+}
+
+function validateSnapshot(snap) {
+  if (!snap || typeof snap !== "object") return ["not a JSON object"];
+  if (snap.format !== SNAPSHOT_FORMAT) return [`format must be "${SNAPSHOT_FORMAT}"`];
+  if (snap.formatVersion !== SNAPSHOT_FORMAT_VERSION) return [`unsupported formatVersion ${snap.formatVersion}`];
+  if (!Number.isInteger(snap.schemaVersion) || snap.schemaVersion < 0) return ["schemaVersion missing"];
+  if (!snap.collections || typeof snap.collections !== "object") return ["collections missing"];
+
+  const errors = [];
+  for (const col of Object.keys(snap.collections)) {
+    if (!COLLECTIONS.includes(col)) errors.push(`unknown collection "${col}"`);
+    else if (!snap.collections[col] || typeof snap.collections[col] !== "object") errors.push(`${col} must be an object`);
+  }
+  if (snap.assets != null && (typeof snap.assets !== "object" || Array.isArray(snap.assets))) errors.push("assets must be an object");
+  for (const key of Object.keys(snap.assets || {})) {
+    if (!ASSET_KEY_RE.test(key)) errors.push(`bad asset key "${key}"`);
+  }
+  return errors;
+}
+
+function validateSnapshotDocs(collections) {
+  const errors = [];
+  for (const [col, docs] of Object.entries(collections)) {
+    for (const [id, doc] of Object.entries(docs)) {
+      const at = `${col}/${id}`;
+      if (col === "meta") continue;
+      if (col === "referrals") {
+        if (typeof doc !== "string" || !doc) errors.push(`${at}: referrer must be a string`);
+        continue;
+      }
+      if (!doc || typeof doc !== "object" || Array.isArray(doc)) {
+        errors.push(`${at}: must be an object`);
+        continue;
+      }
+      if (col === "treasury" && id !== "main") errors.push(`${at}: treasury id must be "main"`);
+
+      const rule = SNAPSHOT_RULES[col] || {};
+      if (rule.key && doc[rule.key] !== id) errors.push(`${at}: ${rule.key} must match its key`);
+      for (const f of rule.str || []) if (typeof doc[f] !== "string") errors.push(`${at}: ${f} must be a string`);
+      for (const f of rule.num || []) if (!Number.isFinite(doc[f])) errors.push(`${at}: ${f} must be a number`);
+      for (const f of rule.arr || []) if (!Array.isArray(doc[f])) errors.push(`${at}: ${f} must be an array`);
+      for (const [f, allowed] of Object.entries(rule.oneOf || {})) {
+        if (!allowed.includes(doc[f])) errors.push(`${at}: ${f} must be one of ${allowed.join("/")}`);
+      }
+    }
+  }
+  return errors;
+}
+
+// Older snapshot -> current schema, via the normal migrations on a throwaway memory store.
+async function migrateSnapshot(snap, { sideEffects }) {
+  const mem = await openStorage("memory", { normalize: STORE_NORMALIZE });
+  await mem.transaction(
+    async (t) => {
+      for (const [col, docs] of Object.entries(snap.collections)) {
+        for (const [id, doc] of Object.entries(docs)) t[col].put(id, doc);
+      }
+      t.meta.put("schemaVersion", snap.schemaVersion);
+    },
+    { raw: true }
+  );
+  await runMigrations({ store: mem, sideEffects });
+
+  const collections = {};
+  await mem.transaction(
+    async (t) => {
+      for (const col of COLLECTIONS) {
+        collections[col] = Object.fromEntries((await t[col].entries()).map((e) => [e.id, e.doc]));
+      }
+    },
+    { raw: true }
+  );
+  delete collections.meta.schemaVersion;
+  return collections;
+}
+
+async function importSnapshot(snap, { force = false, dryRun = false } = {}) {
+  const shapeErrors = validateSnapshot(snap);
+  if (shapeErrors.length) return { ok: false, error: "Invalid snapshot", errors: shapeErrors.slice(0, 50) };
+  if (snap.schemaVersion > SCHEMA_VERSION) {
+    return { ok: false, error: `Snapshot schemaVersion ${snap.schemaVersion} is newer than this server (${SCHEMA_VERSION})` };
+  }
+
+  const collections =
+    snap.schemaVersion < SCHEMA_VERSION ? await migrateSnapshot(snap, { sideEffects: !dryRun }) : snap.collections;
+  const docErrors = validateSnapshotDocs(collections);
+  if (docErrors.length) return { ok: false, error: "Invalid snapshot", errors: docErrors.slice(0, 50) };
+
+  // Content-addressed: a full-size asset's key is the hash of its bytes.
+  const snapAssets = Object.entries(snap.assets || {}).map(([key, b64]) => [key, Buffer.from(String(b64), "base64")]);
+  for (const [key, buf] of snapAssets) {
+    if (!key.includes("_") && crypto.createHash("sha256").update(buf).digest("hex") !== key) {
+      return { ok: false, error: "Invalid snapshot", errors: [`asset ${key}: content does not match its hash`] };
+    }
+  }
+  if (!dryRun) {
+    for (const [key, buf] of snapAssets) await assets.put(key, buf, "image/webp");
+  }
+
+  return db.transaction(
+    async (t) => {
+      const writes = [];
+      const conflicts = [];
+      let unchanged = 0;
+
+      for (const col of COLLECTIONS) {
+        for (const [id, doc] of Object.entries(collections[col] || {})) {
+          if (col === "meta" && id === "schemaVersion") continue;
+          const cur = await t[col].get(id);
+          if (cur != null) {
+            if (sameJson(cur, doc)) {
+              unchanged++;
+              continue;
+            }
+            const newerInTarget = docStamp(cur) > docStamp(doc) || (!docStamp(cur) && !docStamp(doc));
+            if (newerInTarget) {
+              conflicts.push(`${col}/${id}`);
+              if (!force) continue;
+            }
+          }
+          writes.push({ col, id, doc });
+        }
+      }
+
+      const summary = {
+        scope: snap.scope || { kind: "full" },
+        written: Object.fromEntries(COLLECTIONS.map((c) => [c, writes.filter((w) => w.col === c).length])),
+        unchanged,
+        assets: snapAssets.length,
+        dryRun,
+      };
+      if (conflicts.length && !force) {
+        return {
+          ok: false,
+          error: `${conflicts.length} document(s) are newer in the target; pass force to overwrite`,
+          conflicts: conflicts.slice(0, 50),
+          status: 409,
+        };
+      }
+
+      for (const w of writes) t[w.col].put(w.id, w.doc);
+      if (writes.length) logPush(t, { type: "snapshot_import", scope: summary.scope, documents: writes.length, force });
+      return { ok: true, ...summary, overwritten: force ? conflicts.length : 0 };
+    },
+    { raw: true, exclusive: true, dryRun }
+  );
+}
+
+function snapshotFileName(snap) {
+  const stamp = new Date(snap.exportedAt).toISOString().replace(/[:.]/g, "-");
+  const what = snap.scope.kind === "full" ? "full" : `${snap.scope.kind}-${snap.scope.id.slice(0, 12)}`;
+  return `funrun-${what}-${stamp}.json`;
+}
+
+app.get("/api/admin/export", requireAdmin, async (req, res) => {
+  try {
+    const out = await exportSnapshot({
+      scope: String(req.query.scope || "full"),
+      id: String(req.query.id || "").trim(),
+      withAssets: req.query.assets !== "0",
+    });
+    if (!out.ok) return sendResult(res, out);
+
+    res.set("Content-Disposition", `attachment; filename="${snapshotFileName(out.snapshot)}"`);
+    res.json(out.snapshot);
+  } catch (e) {
+    console.error("admin/export error:", e);
+    res.status(500).json({ ok: false, error: String(e?.message || e) });
+  }
+});
+
+app.post("/api/admin/import", requireAdmin, express.json({ limit: ADMIN_JSON_LIMIT }), async (req, res) => {
+  try {
+    const out = await importSnapshot(req.body, { force: req.query.force === "1", dryRun: req.query.dryRun === "1" });
+    sendResult(res, out);
+  } catch (e) {
+    console.error("admin/import error:", e);
     res.status(500).json({ ok: false, error: String(e?.message || e) });
   }
+});
+
+// -------------------- ADMIN: LEDGER --------------------
+// GET /api/admin/ledger?account=dev&from=&to=&limit=   postings of one account, newest first
+//   from / to: epoch ms or an ISO date; the period totals cover every posting in the range.
+// GET /api/admin/ledger/balances?prefix=creator:       balance per account
+const LEDGER_PAGE_MAX = 1000;
+
+app.get("/api/admin/ledger", requireAdmin, async (req, res) => {
+  try {
+    const account = String(req.query.account || "").trim();
+    const from = parseTime(req.query.from, 0);
+    const to = parseTime(req.query.to, Infinity);
+    const limit = Math.max(1, Math.min(LEDGER_PAGE_MAX, Math.floor(safeNum(req.query.limit, 100))));
+    if (!account) return res.json({ ok: false, error: "account required" });
+    if (Number.isNaN(from) || Number.isNaN(to)) return res.json({ ok: false, error: "from/to must be epoch ms or a date" });
+
+    const all = await db.ledger.list({ where: { account }, orderBy: "t", desc: true });
+    const inPeriod = all.filter((l) => l.t >= from && l.t < to);
+    const credits = inPeriod.reduce((a, l) => a + Math.max(0, l.lamports), 0);
+    const debits = inPeriod.reduce((a, l) => a - Math.min(0, l.lamports), 0);
+    const balance = all.reduce((a, l) => a + l.lamports, 0);
+
+    res.json({
+      ok: true,
+      account,
+      balanceLamports: balance,
+      balanceSol: lamportsToSol(balance),
+      period: { from, to: Number.isFinite(to) ? to : null, count: inPeriod.length, credits, debits, net: credits - debits },
+      entries: inPeriod.slice(0, limit),
+    });
+  } catch (e) {
+    console.error("admin/ledger error:", e);
+    res.status(500).json({ ok: false, error: String(e?.message || e) });
+  }
+});
+
+app.get("/api/admin/ledger/balances", requireAdmin, async (req, res) => {
+  try {
+    const prefix = String(req.query.prefix || "");
+    const balances = {};
+    let total = 0;
+    for (const l of await db.ledger.list()) {
+      total += l.lamports;
+      if (l.account.startsWith(prefix)) balances[l.account] = (balances[l.account] || 0) + l.lamports;
+    }
+    // Every entry balances, so the whole ledger sums to zero.
+    res.json({ ok: true, balances, balanced: total === 0 });
+  } catch (e) {
+    console.error("admin/ledger/balances error:", e);
+    res.status(500).json({ ok: false, error: String(e?.message || e) });
+  }
+});
+
+// -------------------- ADMIN: RECONCILE --------------------
+// Ownership and rewards are stored twice, and handlers update both copies separately:
+//   coin.holders[wallet]              <-> profile.holdings[{ coinId }].amount
+//   coin.creatorRewardsSol (earned)   <-> creator's rewards.byCoin (unpaid) + SENT CREATOR payouts
+//   profile rewards / referralRewards <-> creator:<wallet> / referral:<wallet> ledger balances
+//                                         + the wallet's open CREATOR / REF withdrawals
+//   ledger pending                    <-> open (PENDING / PROCESSING) withdrawals
+//   ledger dev / reserve              <-> dev / reserve splits in trade + create_fee logs
+// reconcile() reports every mismatch. With repair it rewrites holdings from the chosen source
+// ("coin" = coin.holders, "profile" = profile.holdings) and rebuilds creator rewards from the
+// coins; oversupply and ledger findings are reported only. Blob modes keep the last 300 logs,
+// so dev / reserve are compared exactly only while every trade still has its fee log.
+const RECONCILE_SOURCES = ["coin", "profile"];
+const TOKEN_EPS = 1e-6;
+const SOL_EPS = 1e-9;
+const MAX_REPORTED_ISSUES = 200;
+
+// One holdings row per coin (merging duplicates); amount 0 drops the row.
+function setHolding(p, coin, amount) {
+  let placed = false;
+  p.holdings = p.holdings.filter(Boolean).flatMap((h) => {
+    if (h.coinId !== coin.id) return [h];
+    if (placed || amount <= TOKEN_EPS) return [];
+    placed = true;
+    return [{ ...h, symbol: coin.symbol, amount }];
+  });
+  if (!placed && amount > TOKEN_EPS) {
+    p.holdings.unshift({ coinId: coin.id, symbol: coin.symbol, amount, lastAt: nowMs() });
+  }
+}
+
+async function reconcile({ repair = false, source = "" } = {}) {
+  if (repair && !RECONCILE_SOURCES.includes(source)) {
+    return { ok: false, error: `source must be ${RECONCILE_SOURCES.join(" or ")}` };
+  }
+
+  return db.transaction(
+    async (t) => {
+      const coins = await t.coins.list();
+      const profiles = await t.profiles.list();
+      const coinById = new Map(coins.map((c) => [c.id, c]));
+      const issues = [];
+      const issue = (kind, fields) => issues.push({ kind, ...fields });
+      const dirtyCoins = new Set();
+      const dirtyProfiles = new Set();
+
+      // Holders <-> holdings. Per coin: wallet -> summed profile amount (rows per coin counted).
+      const fromProfiles = new Map();
+      for (const p of profiles) {
+        const rows = new Map();
+        for (const h of p.holdings) {
+          if (!h?.coinId) continue;
+          const r = rows.get(h.coinId) || { amount: 0, count: 0 };
+          r.amount += safeNum(h.amount, 0);
+          r.count++;
+          rows.set(h.coinId, r);
+        }
+        for (const [coinId, r] of rows) {
+          if (r.count > 1) issue("duplicate_holding", { coinId, wallet: p.wallet, rows: r.count });
+          if (!coinById.has(coinId)) {
+            issue("orphan_holding", { coinId, wallet: p.wallet, profile: r.amount });
+            if (repair && source === "coin") {
+              p.holdings = p.holdings.filter((h) => h?.coinId !== coinId);
+              dirtyProfiles.add(p);
+            }
+            continue;
+          }
+          if (!fromProfiles.has(coinId)) fromProfiles.set(coinId, new Map());
+          fromProfiles.get(coinId).set(p.wallet, r);
+        }
+      }
+
+      for (const coin of coins) {
+        const rows = fromProfiles.get(coin.id) || new Map();
+        let held = 0;
+        for (const wallet of new Set([...Object.keys(coin.holders), ...rows.keys()])) {
+          const onCoin = safeNum(coin.holders[wallet], 0);
+          const onProfile = rows.get(wallet)?.amount || 0;
+          held += Math.max(0, onCoin);
+
+          const mismatch = Math.abs(onCoin - onProfile) > TOKEN_EPS;
+          const negative = onCoin < -TOKEN_EPS || onProfile < -TOKEN_EPS;
+          if (mismatch) issue("holder_mismatch", { coinId: coin.id, wallet, coin: onCoin, profile: onProfile });
+          if (negative) issue("negative_balance", { coinId: coin.id, wallet, coin: onCoin, profile: onProfile });
+          if (!repair || !(mismatch || negative || rows.get(wallet)?.count > 1)) continue;
+
+          const want = Math.max(0, source === "coin" ? onCoin : onProfile);
+          if (want > TOKEN_EPS) coin.holders[wallet] = want;
+          else delete coin.holders[wallet];
+          dirtyCoins.add(coin);
+
+          const p = await getProfile(t, wallet);
+          setHolding(p, coin, want);
+          dirtyProfiles.add(p);
+        }
+        if (held > coin.totalSupply + TOKEN_EPS) {
+          issue("oversupply", { coinId: coin.id, held, totalSupply: coin.totalSupply });
+        }
+      }
+
+      // Ledger: every entry balances, and each account matches its other copy.
+      const balances = new Map();
+      const entrySums = new Map();
+      for (const l of await t.ledger.list()) {
+        balances.set(l.account, (balances.get(l.account) || 0) + safeNum(l.lamports, 0));
+        entrySums.set(l.entryId, (entrySums.get(l.entryId) || 0) + safeNum(l.lamports, 0));
+      }
+      for (const [entryId, sum] of entrySums) {
+        if (sum !== 0) issue("ledger_unbalanced", { entryId, lamports: sum });
+      }
+      const balanceOf = (account) => balances.get(account) || 0;
+
+      // Open withdrawals are held in `pending` but stay on the reward copies until SENT.
+      const held = new Map();
+      for (const w of await t.withdrawals.list({ where: { status: WITHDRAW_OPEN } })) {
+        const account = withdrawSourceAccount(w.kind, w.wallet);
+        held.set(account, (held.get(account) || 0) + toLamports(w.sol));
+        held.set("pending", (held.get("pending") || 0) + toLamports(w.sol));
+      }
+      if (balanceOf("pending") !== (held.get("pending") || 0)) {
+        issue("pending_mismatch", { ledger: balanceOf("pending"), withdrawals: held.get("pending") || 0 });
+      }
+
+      // Profile reward totals are float sums of whole-lamport credits: allow a lamport of drift.
+      for (const p of profiles) {
+        for (const [account, totalSol] of [
+          [`creator:${p.wallet}`, p.rewards?.totalSol],
+          [`referral:${p.wallet}`, p.referralRewards?.totalSol],
+        ]) {
+          const want = balanceOf(account) + (held.get(account) || 0);
+          if (Math.abs(toLamports(totalSol) - want) > 1) {
+            issue("ledger_reward_mismatch", { wallet: p.wallet, account, ledger: want, profile: toLamports(totalSol) });
+          }
+        }
+      }
+
+      // dev / reserve vs logged fee splits. Every fee log has a trade row, so fewer logs than
+      // trades means the log was trimmed and the logged sum is only a lower bound.
+      const feeLogs = await t.logs.list({ where: { type: ["trade", "create_fee"] } });
+      const logged = { dev: 0, reserve: 0 };
+      for (const l of feeLogs) {
+        logged.dev += safeNum(l.split?.dev, 0);
+        logged.reserve += safeNum(l.split?.reserve, 0);
+      }
+      const logsComplete = feeLogs.length >= (await t.trades.list()).length;
+      const treasury = { logsComplete };
+      for (const account of ["dev", "reserve"]) {
+        const diff = balanceOf(account) - toLamports(logged[account]);
+        treasury[account] = { lamports: balanceOf(account), loggedLamports: toLamports(logged[account]) };
+        if (diff < -1 || (logsComplete && diff > 1)) {
+          issue("treasury_mismatch", { account, ledger: balanceOf(account), logged: toLamports(logged[account]), logsComplete });
+        }
+      }
+
+      // Creator rewards: earned on the coin = still unpaid on the profile + already paid out.
+      const paid = new Map();
+      for (const w of await t.withdrawals.list({ where: { kind: "CREATOR", status: "SENT" } })) {
+        paid.set(w.wallet, (paid.get(w.wallet) || 0) + safeNum(w.sol, 0));
+      }
+      const creatorCoins = new Map();
+      for (const coin of [...coins].sort((a, b) => a.createdAt - b.createdAt)) {
+        const creator = String(coin.creatorWallet || coin.owner || "").trim();
+        if (!creator) continue;
+        if (!creatorCoins.has(creator)) creatorCoins.set(creator, []);
+        creatorCoins.get(creator).push(coin);
+      }
+
+      const rewardWallets = new Set([
+        ...creatorCoins.keys(),
+        ...profiles.filter((p) => Object.keys(p.rewards?.byCoin || {}).length).map((p) => p.wallet),
+      ]);
+      for (const wallet of rewardWallets) {
+        const mine = creatorCoins.get(wallet) || [];
+        const earned = mine.reduce((a, c) => a + c.creatorRewardsSol, 0);
+        if (earned <= SOL_EPS && !(await t.profiles.get(wallet))) continue;
+
+        const p = await getProfile(t, wallet);
+        const byCoin = p.rewards?.byCoin && typeof p.rewards.byCoin === "object" ? p.rewards.byCoin : {};
+        const unpaid = Object.values(byCoin).reduce((a, v) => a + safeNum(v, 0), 0);
+        const totalSol = safeNum(p.rewards?.totalSol, 0);
+        const paidOut = paid.get(wallet) || 0;
+        let bad = false;
+
+        for (const [coinId, v] of Object.entries(byCoin)) {
+          const coin = coinById.get(coinId);
+          if (!coin || mine.indexOf(coin) < 0) {
+            issue("reward_not_creator", { coinId, wallet, profile: safeNum(v, 0) });
+            bad = true;
+          } else if (safeNum(v, 0) > coin.creatorRewardsSol + SOL_EPS) {
+            issue("reward_exceeds_earned", { coinId, wallet, coin: coin.creatorRewardsSol, profile: safeNum(v, 0) });
+            bad = true;
+          }
+        }
+        if (Math.abs(totalSol - unpaid) > SOL_EPS) {
+          issue("reward_total_mismatch", { wallet, totalSol, byCoin: unpaid });
+          bad = true;
+        }
+        if (Math.abs(earned - paidOut - unpaid) > SOL_EPS) {
+          issue("reward_mismatch", { wallet, earned, paid: paidOut, unpaid });
+          bad = true;
+        }
+        if (!repair || !bad) continue;
+
+        // Start from lifetime earnings and take payouts off the same way debitWithdrawn does.
+        p.rewards = { totalSol: earned, byCoin: {} };
+        for (const coin of mine) if (coin.creatorRewardsSol > 0) p.rewards.byCoin[coin.id] = coin.creatorRewardsSol;
+        debitWithdrawn(p, "CREATOR", paidOut);
+        dirtyProfiles.add(p);
+      }
+
+      for (const coin of dirtyCoins) {
+        coin.updatedAt = nowMs();
+        t.coins.put(coin.id, coin);
+      }
+      for (const p of dirtyProfiles) {
+        p.updatedAt = nowMs();
+        t.profiles.put(p.wallet, p);
+      }
+
+      const byKind = {};
+      for (const i of issues) byKind[i.kind] = (byKind[i.kind] || 0) + 1;
+      const repaired = { coins: dirtyCoins.size, profiles: dirtyProfiles.size };
+      if (repaired.coins || repaired.profiles) logPush(t, { type: "reconcile_repair", source, repaired, byKind });
+
+      return {
+        ok: true,
+        checked: { coins: coins.length, profiles: profiles.length, feeLogs: feeLogs.length },
+        issueCount: issues.length,
+        byKind,
+        issues: issues.slice(0, MAX_REPORTED_ISSUES),
+        treasury,
+        ...(repair ? { source, repaired } : {}),
+      };
+    },
+    { exclusive: true, dryRun: !repair }
+  );
 }
 
-app.post("/api/withdraw", (req, res) => handleWithdraw(req, res, "MANUAL"));
-app.post("/api/withdraw/manual", (req, res) => handleWithdraw(req, res, "MANUAL"));
-app.post("/api/withdraw/creator", (req, res) => handleWithdraw(req, res, "CREATOR"));
-app.post("/api/withdraw/referral", (req, res) => handleWithdraw(req, res, "REF"));
-app.post("/api/transfer", (req, res) => handleWithdraw(req, res, "MANUAL"));
-app.post("/api/payout", (req, res) => handleWithdraw(req, res, "MANUAL"));
+app.get("/api/admin/reconcile", requireAdmin, async (req, res) => {
+  try {
+    sendResult(res, await reconcile());
+  } catch (e) {
+    console.error("admin/reconcile error:", e);
+    res.status(500).json({ ok: false, error: String(e?.message || e) });
+  }
+});
+
+app.post("/api/admin/reconcile", requireAdmin, async (req, res) => {
+  try {
+    const source = String(req.body?.source || req.query.source || "").trim().toLowerCase();
+    sendResult(res, await reconcile({ repair: true, source }));
+  } catch (e) {
+    console.error("admin/reconcile repair error:", e);
+    res.status(500).json({ ok: false, error: String(e?.message || e) });
+  }
+});
+
+// -------------------- CLI --------------------
+// One-shot commands against the configured DB_MODE; they exit instead of listening.
+//   node server.js --migrate [--dry-run]                                   (npm run migrate)
+//   node server.js --export [--scope coin|wallet --id <id>] [--out f] [--no-assets]  (npm run export)
+//   node server.js --import <file> [--force] [--dry-run]                   (npm run import)
+//   node server.js --reconcile [--repair coin|profile]                     (npm run reconcile)
+const cliArg = (name) => {
+  const i = process.argv.indexOf(name);
+  return i >= 0 ? String(process.argv[i + 1] || "") : "";
+};
+
+const CLI_COMMANDS = {
+  async "--migrate"() {
+    const dryRun = process.argv.includes("--dry-run");
+    printMigrations(await runMigrations({ dryRun }), dryRun);
+    return true;
+  },
+
+  async "--export"() {
+    const out = await exportSnapshot({
+      scope: cliArg("--scope") || "full",
+      id: cliArg("--id"),
+      withAssets: !process.argv.includes("--no-assets"),
+    });
+    if (!out.ok) {
+      console.error(out.error);
+      return false;
+    }
+    const file = cliArg("--out") || snapshotFileName(out.snapshot);
+    await fs.promises.writeFile(file, JSON.stringify(out.snapshot), "utf-8");
+    console.log(`✅ Exported ${file}`, JSON.stringify(out.snapshot.counts), `assets: ${Object.keys(out.snapshot.assets).length}`);
+    return true;
+  },
+
+  async "--import"() {
+    const file = cliArg("--import");
+    if (!file || file.startsWith("--")) throw new Error("usage: --import <file> [--force] [--dry-run]");
+    const snap = JSON.parse(await fs.promises.readFile(file, "utf-8"));
+    const out = await importSnapshot(snap, {
+      force: process.argv.includes("--force"),
+      dryRun: process.argv.includes("--dry-run"),
+    });
+    console.log(JSON.stringify(out, null, 2));
+    return out.ok;
+  },
+
+  // Exits 1 while issues remain unrepaired, so it can run from cron as an audit.
+  async "--reconcile"() {
+    const repair = process.argv.includes("--repair");
+    const out = await reconcile({ repair, source: cliArg("--repair") });
+    console.log(JSON.stringify(out, null, 2));
+    return out.ok && (repair || !out.issueCount);
+  },
+};
+
+const cliCommand = Object.keys(CLI_COMMANDS).find((f) => process.argv.includes(f));
+if (cliCommand) {
+  let ok = false;
+  try {
+    ok = await CLI_COMMANDS[cliCommand]();
+  } catch (e) {
+    console.error(`${cliCommand.slice(2)} failed:`, e?.message || e);
+  }
+  await db.close().catch(() => {});
+  process.exit(ok ? 0 : 1);
+}
 
-// -------------------- START --------------------
-app.listen(PORT, "0.0.0.0", () => {
+const server = app.listen(PORT, "0.0.0.0", () => {
   console.log(`✅ Backend running on port: ${PORT}`);
   console.log(`✅ Solana RPC: ${SOLANA_RPC}`);
   console.log(`✅ DB MODE: ${DB_MODE}`);
+  if (DB_MODE === "file") console.log(`✅ Journal: ${JOURNAL_PATH || "off"}`);
+  if (DB_MODE === "file") console.log(`✅ Backups: ${BACKUP_DIR ? `${BACKUP_DIR} (keep ${BACKUP_KEEP})` : "off"}`);
   console.log(`✅ CORS_ORIGINS: ${CORS_ORIGINS.join(", ")}`);
   console.log(`✅ JSON_LIMIT: ${JSON_LIMIT}`);
   console.log(`✅ Fee: ${FEE_PCT}%`);
-});
\ No newline at end of file
+  console.log(`✅ Demo faucet: ${DEMO_FAUCET_ENABLED ? `${DEMO_FAUCET_SOL} SOL` : "off"}`);
+  console.log(`✅ Deposit watcher: ${DEPOSIT_WATCH_ENABLED ? DEPOSIT_ADDRESS : "off"}`);
+  console.log(`✅ SPL mint on LIVE: ${MINT_ON_LIVE ? `on (${TOKEN_DECIMALS} decimals)` : "off"}`);
+  try {
+    const kp = loadTreasuryKeypair();
+    console.log(`✅ Payout treasury: ${kp ? kp.publicKey.toBase58() : "not configured"}`);
+  } catch (e) {
+    console.error("Treasury keypair invalid:", e?.message || e);
+  }
+  resetStaleMints().catch((e) => console.error("mint reset error:", e?.message || e));
+  startDepositWatcher();
+  startWithdrawWorker();
+});
+
+// -------------------- SHUTDOWN --------------------
+// Railway sends SIGTERM on deploy. Stop taking requests, let in-flight ones finish, then flush
+// the store (file mode has a debounced write pending) before exiting.
+let shuttingDown = false;
+
+async function shutdown(signal) {
+  // Wrappers (npm, timeout) may deliver the signal twice; the timeout below covers hangs.
+  if (shuttingDown) return;
+  shuttingDown = true;
+  console.log(`${signal} received, shutting down...`);
+
+  const force = setTimeout(() => {
+    console.error("Shutdown timed out, exiting");
+    process.exit(1);
+  }, SHUTDOWN_TIMEOUT_MS);
+  force.unref();
+
+  if (depositTimer) clearTimeout(depositTimer);
+  if (withdrawTimer) clearInterval(withdrawTimer);
+
+  await new Promise((resolve) => {
+    server.close(resolve);
+    server.closeIdleConnections?.();
+  });
+
+  // A payout that already hit the chain must be recorded before we exit.
+  while (withdrawProcessing || depositPolling) await new Promise((r) => setTimeout(r, 50));
+
+  try {
+    await db.close();
+    console.log("Store flushed, bye");
+    process.exit(0);
+  } catch (e) {
+    console.error("Store flush on shutdown failed:", e?.message || e);
+    process.exit(1);
+  }
+}
+
+process.on("SIGTERM", () => shutdown("SIGTERM"));
+process.on("SIGINT", () => shutdown("SIGINT"));
@@ -0,0 +1,76 @@
+// backend/storage/assets.js — content-addressed blobs (coin logos) outside the JSON store
+//
+// Keys are "<sha256>" or "<sha256>_<variant>"; a key's bytes never change, so writes are
+// idempotent and reads can be cached forever.
+//   ASSET_MODE=disk      files under ASSET_DIR/<first two hex chars>/<key> (default)
+//   ASSET_MODE=supabase  a Supabase Storage bucket (ASSET_BUCKET), for hosts without a disk
+
+import fsp from "fs/promises";
+import path from "path";
+
+export const ASSET_KEY_RE = /^[a-f0-9]{64}(_[a-z0-9]+)?$/;
+
+function checkKey(key) {
+  if (!ASSET_KEY_RE.test(String(key))) throw new Error(`Bad asset key: ${key}`);
+  return key;
+}
+
+function createDiskAssets(dir) {
+  const fileFor = (key) => path.join(dir, key.slice(0, 2), key);
+
+  return {
+    async has(key) {
+      try {
+        await fsp.access(fileFor(checkKey(key)));
+        return true;
+      } catch {
+        return false;
+      }
+    },
+    async get(key) {
+      try {
+        return await fsp.readFile(fileFor(checkKey(key)));
+      } catch (e) {
+        if (e?.code === "ENOENT") return null;
+        throw e;
+      }
+    },
+    async put(key, buf) {
+      const file = fileFor(checkKey(key));
+      if (await this.has(key)) return;
+      await fsp.mkdir(path.dirname(file), { recursive: true });
+      const tmp = `${file}.${process.pid}.tmp`;
+      await fsp.writeFile(tmp, buf);
+      await fsp.rename(tmp, file);
+    },
+  };
+}
+
+function createSupabaseAssets(supabase, bucket) {
+  if (!supabase) throw new Error("ASSET_MODE=supabase needs SUPABASE_URL / SUPABASE_SERVICE_ROLE_KEY");
+  const b = () => supabase.storage.from(bucket);
+
+  return {
+    async has(key) {
+      return (await this.get(key)) != null;
+    },
+    async get(key) {
+      const { data, error } = await b().download(checkKey(key));
+      if (error) return null;
+      return Buffer.from(await data.arrayBuffer());
+    },
+    async put(key, buf, contentType) {
+      const { error } = await b().upload(checkKey(key), buf, { contentType, upsert: false });
+      // Same key = same bytes, so "already exists" is success.
+      if (error && !/exists|duplicate/i.test(error.message || "")) {
+        throw new Error("Asset upload failed: " + error.message);
+      }
+    },
+  };
+}
+
+export function createAssetStore(mode, { dir, supabase, bucket } = {}) {
+  if (mode === "disk") return createDiskAssets(dir);
+  if (mode === "supabase") return createSupabaseAssets(supabase, bucket);
+  throw new Error(`Unknown ASSET_MODE: ${mode}`);
+}
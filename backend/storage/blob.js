@@ -0,0 +1,428 @@
+// backend/storage/blob.js — adapters over a single JSON document (db.json, memory, one Supabase row)
+//
+// The on-disk shape is the historic store ({ coins: [], profiles: {}, ... }), so existing
+// db.json files and Supabase rows load unchanged. In memory each collection is a Map.
+
+import crypto from "crypto";
+import fsp from "fs/promises";
+import path from "path";
+
+import { COLLECTIONS, ConflictError, applyQuery } from "./index.js";
+import { openJournal, readJournal } from "./journal.js";
+
+// How each collection sits in the blob. "fields" = leftover top-level scalars (depositCursor, ...).
+const LAYOUT = {
+  coins: { kind: "array", orderBy: "createdAt" },
+  profiles: { kind: "map" },
+  referrals: { kind: "map" },
+  treasury: { kind: "single", id: "main" },
+  trades: { kind: "array", orderBy: "t" },
+  candles: { kind: "array", orderBy: "t" },
+  coinEdits: { kind: "array", orderBy: "t" },
+  ledger: { kind: "array", orderBy: "t" },
+  logs: { kind: "array", orderBy: "t", keep: 300 },
+  withdrawals: { kind: "array", orderBy: "createdAt" },
+  deposits: { kind: "map" },
+  meta: { kind: "fields" },
+};
+
+const clone = (doc) => (doc == null || typeof doc !== "object" ? doc : structuredClone(doc));
+
+// Old logs have no id. Derive one from the content so re-reading the same blob is stable.
+function legacyId(doc) {
+  return crypto.createHash("sha256").update(JSON.stringify(doc)).digest("hex").slice(0, 32);
+}
+
+export function fromBlob(raw) {
+  const blob = raw && typeof raw === "object" ? raw : {};
+  const state = { versions: new Map() }; // "col\u0000id" -> write count, for conflict checks
+  for (const col of COLLECTIONS) state[col] = new Map();
+
+  for (const col of COLLECTIONS) {
+    const { kind, id } = LAYOUT[col];
+    const v = blob[col];
+    if (kind === "array" && Array.isArray(v)) {
+      for (const doc of v) {
+        if (!doc || typeof doc !== "object") continue;
+        const docId = String(doc.id || legacyId(doc));
+        state[col].set(docId, { ...doc, id: docId });
+      }
+    } else if (kind === "map" && v && typeof v === "object") {
+      for (const [k, doc] of Object.entries(v)) state[col].set(k, doc);
+    } else if (kind === "single" && v && typeof v === "object") {
+      state[col].set(id, v);
+    }
+  }
+
+  for (const [k, v] of Object.entries(blob)) {
+    if (!(k in LAYOUT)) state.meta.set(k, v);
+  }
+  return state;
+}
+
+export function toBlob(state) {
+  const blob = {};
+  for (const col of COLLECTIONS) {
+    const { kind, id, orderBy, keep } = LAYOUT[col];
+    const m = state[col];
+    if (kind === "array") {
+      const entries = applyQuery([...m].map(([k, doc]) => ({ id: k, doc })), { orderBy, desc: true, limit: keep });
+      blob[col] = entries.map((e) => e.doc);
+    } else if (kind === "map") {
+      blob[col] = Object.fromEntries(m);
+    } else if (kind === "single") {
+      blob[col] = m.get(id) || {};
+    } else {
+      for (const [k, v] of m) blob[k] = v;
+    }
+  }
+  return blob;
+}
+
+// db.json carries `journalSeq` next to the store: the last journal entry it includes. Files
+// written before that (or without a journal) have none, and nothing is replayed over them.
+export function splitJournalSeq(raw) {
+  const { journalSeq, ...blob } = raw || {};
+  return { blob, journalSeq: Number.isInteger(journalSeq) ? journalSeq : null };
+}
+
+const versionKey = (col, id) => `${col}\u0000${id}`;
+
+// All-or-nothing: every document this reader saw must be unchanged before anything is applied.
+// Without a reader (journal replay) ops are applied as-is.
+export function applyOps(state, ops, reader) {
+  for (const { col, id } of ops) {
+    const k = versionKey(col, id);
+    if (reader?.seen.has(k) && reader.seen.get(k) !== (state.versions.get(k) || 0)) {
+      throw new ConflictError(`${col}/${id}`);
+    }
+  }
+
+  for (const { col, id, doc } of ops) {
+    if (doc == null) state[col].delete(id);
+    else state[col].set(id, clone(doc));
+    const k = versionKey(col, id);
+    state.versions.set(k, (state.versions.get(k) || 0) + 1);
+  }
+  // Capped collections (logs) are trimmed in memory too, not just on save.
+  for (const col of COLLECTIONS) {
+    const { keep, orderBy } = LAYOUT[col];
+    if (!keep || state[col].size <= keep * 2) continue;
+    const kept = applyQuery([...state[col]].map(([k, d]) => ({ id: k, doc: d })), { orderBy, desc: true, limit: keep });
+    state[col] = new Map(kept.map((e) => [e.id, e.doc]));
+  }
+}
+
+function readerFor(state) {
+  const seen = new Map(); // versionKey -> version at read time
+  const see = (col, id) => seen.set(versionKey(col, id), state.versions.get(versionKey(col, id)) || 0);
+
+  return {
+    seen,
+    async get(col, id) {
+      see(col, id);
+      return clone(state[col].get(id));
+    },
+    async list(col, query) {
+      const entries = applyQuery([...state[col]].map(([id, doc]) => ({ id, doc })), query);
+      return entries.map((e) => {
+        see(col, e.id);
+        return { id: e.id, doc: clone(e.doc) };
+      });
+    },
+  };
+}
+
+// In-memory only (tests, throwaway runs).
+export function createMemoryAdapter(initial) {
+  const state = fromBlob(initial);
+  return {
+    async begin() {
+      return readerFor(state);
+    },
+    async commit(reader, ops) {
+      applyOps(state, ops, reader);
+    },
+    async flush() {},
+    async close() {},
+    snapshot: () => toBlob(state),
+  };
+}
+
+const isEmptyDoc = (d) => d == null || (typeof d === "object" && !Object.keys(d).length);
+const hasDocs = (state) => COLLECTIONS.some((col) => [...state[col].values()].some((d) => !isEmptyDoc(d)));
+
+// -------------------- FILE (CACHE + DEBOUNCED WRITE) --------------------
+// journalPath: every commit is also appended to an NDJSON journal (see journal.js).
+// backupDir:   every backupEveryMs a copy of db.json goes to backupDir/db-<timestamp>.json;
+//              the newest backupKeep are kept.
+//
+// Writes go tmp -> fsync -> rename, so db.json is always a complete file. If it is still
+// unreadable at startup (disk full, manual edit) it is moved aside to db.json.corrupt-<ts> and
+// rebuilt from, in order: the journal, a complete db.json.tmp, the newest readable backup.
+//
+// A commit is acknowledged once its journal line is synced, but db.json is only written after
+// the debounce. So db.json records the journal seq it includes, and loading it (or a temp
+// file / backup) replays every newer journal entry on top.
+export function createFileAdapter(
+  filePath,
+  { journalPath = "", backupDir = "", backupEveryMs = 60 * 60 * 1000, backupKeep = 24 } = {}
+) {
+  let state = null;
+  let loading = null;
+  let journal = null;
+  let writeTimer = null;
+  let writeInFlight = false;
+  let pendingWrite = false;
+  let lastBackupAt = 0;
+
+  async function readJsonFile(p) {
+    const raw = await fsp.readFile(p, "utf-8");
+    if (!raw.trim()) throw new Error("empty file");
+    const v = JSON.parse(raw);
+    if (!v || typeof v !== "object" || Array.isArray(v)) throw new Error("not a store object");
+    return v;
+  }
+
+  async function listBackups() {
+    if (!backupDir) return [];
+    const names = await fsp.readdir(backupDir).catch(() => []);
+    // db-2024-01-01T00-00-00-000Z.json sorts by time
+    return names.filter((n) => /^db-.*\.json$/.test(n)).sort().reverse();
+  }
+
+  const readStoreFile = async (p) => {
+    const { blob, journalSeq } = splitJournalSeq(await readJsonFile(p));
+    return { state: fromBlob(blob), seq: journalSeq };
+  };
+
+  // Applies the journal entries after seq `after` to `s` (whole journal when 0).
+  async function replayJournal(s, after = 0) {
+    let last = after;
+    let n = 0;
+    for await (const entry of readJournal(journalPath, { after })) {
+      if (entry.blob) s = fromBlob(entry.blob);
+      else applyOps(s, entry.ops || []);
+      last = Math.max(last, Number(entry.seq) || 0);
+      n++;
+    }
+    return { state: s, seq: last, count: n };
+  }
+
+  async function replayWholeJournal() {
+    const out = await replayJournal(fromBlob({}));
+    if (!out.count) throw new Error("journal is empty");
+    return out;
+  }
+
+  async function recover(reason) {
+    const aside = `${filePath}.corrupt-${Date.now()}`;
+    await fsp.rename(filePath, aside).catch(() => {});
+    console.error(`File DB unreadable (${reason}); moved to ${aside}, recovering...`);
+
+    const sources = [];
+    if (journalPath) sources.push(["journal " + journalPath, replayWholeJournal]);
+    sources.push(["temp file " + filePath + ".tmp", () => readStoreFile(filePath + ".tmp")]);
+    for (const name of await listBackups()) {
+      const p = path.join(backupDir, name);
+      sources.push(["backup " + p, () => readStoreFile(p)]);
+    }
+
+    for (const [label, read] of sources) {
+      try {
+        const recovered = await read();
+        console.error(`File DB recovered from ${label}.`);
+        return recovered;
+      } catch (e) {
+        console.error(`File DB recovery: ${label} unusable (${e?.message || e})`);
+      }
+    }
+    throw new Error(`File DB ${filePath} is corrupt and nothing to recover from (kept at ${aside})`);
+  }
+
+  function load() {
+    if (state) return state;
+    loading = loading || readFromDisk();
+    return loading;
+  }
+
+  async function readFromDisk() {
+    let loaded;
+    let seq = null;
+    let repaired = false;
+    try {
+      ({ state: loaded, seq } = await readStoreFile(filePath));
+    } catch (e) {
+      if (e?.code === "ENOENT") {
+        loaded = fromBlob({});
+        repaired = true; // write the empty store out
+      } else {
+        ({ state: loaded, seq } = await recover(e?.message || String(e)));
+        repaired = true;
+      }
+    }
+
+    if (journalPath) {
+      const exists = await fsp.access(journalPath).then(() => true, () => false);
+      if (seq != null && exists) {
+        const tail = await replayJournal(loaded, seq);
+        if (tail.count) {
+          console.error(`File DB: replayed ${tail.count} journal entries past db.json (seq ${seq} -> ${tail.seq}).`);
+          ({ state: loaded, seq } = tail);
+          repaired = true;
+        }
+      }
+      journal = await openJournal(journalPath, { after: seq || 0 });
+      if (journal.wasEmpty && hasDocs(loaded)) journal.record({ types: ["snapshot"], blob: toBlob(loaded) });
+    }
+    state = loaded;
+    if (repaired) await flushNow();
+    return state;
+  }
+
+  async function writeDurably(p, data) {
+    const fh = await fsp.open(p, "w");
+    try {
+      await fh.writeFile(data, "utf-8");
+      await fh.sync();
+    } finally {
+      await fh.close();
+    }
+  }
+
+  async function backupIfDue() {
+    if (!backupDir || Date.now() - lastBackupAt < backupEveryMs) return;
+    lastBackupAt = Date.now();
+
+    await fsp.mkdir(backupDir, { recursive: true });
+    const stamp = new Date().toISOString().replace(/[:.]/g, "-");
+    await fsp.copyFile(filePath, path.join(backupDir, `db-${stamp}.json`));
+
+    const old = (await listBackups()).slice(Math.max(1, backupKeep));
+    for (const name of old) await fsp.unlink(path.join(backupDir, name)).catch(() => {});
+  }
+
+  async function flushNow() {
+    if (!state) return;
+    if (writeInFlight) {
+      pendingWrite = true;
+      return;
+    }
+    writeInFlight = true;
+    pendingWrite = false;
+
+    try {
+      const tmp = filePath + ".tmp";
+      const blob = toBlob(state);
+      if (journal) blob.journalSeq = journal.seq; // read with the state: commits bump both synchronously
+      const data = JSON.stringify(blob); // no pretty print (FAST)
+      await writeDurably(tmp, data);
+      await fsp.rename(tmp, filePath);
+    } catch (e) {
+      pendingWrite = true; // the state is still dirty; the next flush retries
+      throw e;
+    } finally {
+      writeInFlight = false;
+    }
+
+    try {
+      await backupIfDue();
+    } catch (e) {
+      console.error("File DB backup failed:", e?.message || e);
+    }
+
+    if (pendingWrite) {
+      await flushNow();
+    }
+  }
+
+  function scheduleWrite() {
+    if (writeTimer) return;
+    writeTimer = setTimeout(async () => {
+      writeTimer = null;
+      try {
+        await flushNow();
+      } catch (e) {
+        console.error("File DB flush failed:", e?.message || e);
+        scheduleWrite();
+      }
+    }, 600); // debounce
+  }
+
+  return {
+    async begin() {
+      return readerFor(await load());
+    },
+    async commit(reader, ops) {
+      applyOps(await load(), ops, reader);
+      const journaled = journal?.record({ types: [...new Set(ops.filter((o) => o.col === "logs" && o.doc).map((o) => o.doc.type))], ops });
+      scheduleWrite();
+      await journaled; // on disk before the commit is acknowledged
+    },
+    // Waits out an in-flight write too, so a resolved flush() means db.json has every commit.
+    async flush() {
+      if (writeTimer) {
+        clearTimeout(writeTimer);
+        writeTimer = null;
+      }
+      await journal?.flush();
+      do {
+        await flushNow();
+        if (writeInFlight) await new Promise((r) => setTimeout(r, 10));
+      } while (writeInFlight || pendingWrite);
+    },
+    async close() {
+      await this.flush();
+      await journal?.close();
+    },
+  };
+}
+
+// -------------------- SUPABASE (single row, legacy) --------------------
+// Every transaction reads the row fresh and writes it whole, guarded by a `version` counter
+// inside the blob: the update only matches if nobody else wrote since our read.
+export function createSupabaseBlobAdapter(supabase, table) {
+  const snapshots = new WeakMap(); // reader -> { state, version, exists }
+
+  return {
+    async begin() {
+      if (!supabase) throw new Error("Supabase not configured");
+
+      const { data, error } = await supabase.from(table).select("data").eq("id", "main").maybeSingle();
+      if (error) throw new Error("Supabase read failed: " + error.message);
+
+      const state = fromBlob(data?.data || {});
+      const reader = readerFor(state);
+      const version = Number(data?.data?.version);
+      snapshots.set(reader, { state, version: Number.isFinite(version) ? version : null, exists: !!data });
+      return reader;
+    },
+    async commit(reader, ops) {
+      const snap = snapshots.get(reader);
+      const { state } = snap;
+      applyOps(state, ops);
+      state.meta.set("version", (snap.version || 0) + 1);
+      const blob = toBlob(state);
+
+      let res;
+      if (!snap.exists) {
+        res = await supabase.from(table).insert({ id: "main", data: blob }).select("id");
+        if (res.error?.code === "23505") throw new ConflictError("main row created concurrently");
+      } else if (snap.version == null) {
+        // Row predates versioning: the first write adds the counter.
+        res = await supabase.from(table).upsert({ id: "main", data: blob }, { onConflict: "id" }).select("id");
+      } else {
+        res = await supabase
+          .from(table)
+          .update({ data: blob })
+          .eq("id", "main")
+          .eq("data->>version", String(snap.version))
+          .select("id");
+        if (!res.error && !res.data?.length) throw new ConflictError("main row");
+      }
+      if (res.error) throw new Error("Supabase write failed: " + res.error.message);
+    },
+    async flush() {},
+    async close() {},
+  };
+}
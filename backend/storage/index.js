@@ -0,0 +1,260 @@
+// backend/storage/index.js — one collection API over file / memory / sqlite / postgres / supabase
+//
+// Handlers never see a whole store. They run a transaction and talk to collections:
+//
+//   await db.transaction(async (t) => {
+//     const coin = await t.coins.get(id);
+//     coin.mc += 1;
+//     t.coins.put(id, coin);
+//     t.logs.add({ type: "bump", coinId: id });
+//   });
+//
+// Reads inside a transaction are cached (the same id returns the same object) and see the
+// transaction's own writes. Writes are buffered and handed to the adapter in one atomic
+// commit when the callback resolves; if it throws nothing is written.
+//
+// Concurrency: `lock` keys ("coin:<id>", "wallet:<addr>") serialize transactions in this
+// process. Adapters also check that every document written is still the version this
+// transaction read; if not, commit throws ConflictError and the callback is re-run on fresh
+// data (up to TX_MAX_ATTEMPTS). Callbacks must therefore only touch the store through `t`.
+//
+// Options: { lock: [...keys], dryRun: true (run, never commit), raw: true (skip `normalize`,
+// see documents as stored — used by migrations), exclusive: true (wait for running
+// transactions in this process and hold off new ones — consistent exports/imports) }.
+
+import crypto from "crypto";
+
+import { createKeyedMutex } from "./locks.js";
+
+const TX_MAX_ATTEMPTS = 8;
+
+export class ConflictError extends Error {
+  constructor(what = "") {
+    super(`write conflict${what ? `: ${what}` : ""}`);
+    this.code = "CONFLICT";
+  }
+}
+
+export const COLLECTIONS = [
+  "coins",
+  "profiles",
+  "referrals",
+  "treasury", // legacy float balances; migration 4 moved them into `ledger`
+  "ledger",
+  "trades",
+  "candles", // OHLCV per coin and timeframe, built from trades
+  "coinEdits", // creator edits to coin metadata (old / new values), never trimmed
+  "logs",
+  "withdrawals",
+  "deposits",
+  "meta",
+];
+
+// Query: { where: { field: value | [values] | { lt, lte, gt, gte, contains } },
+//          orderBy: "field", desc: true, limit: n }
+// contains = substring match, case-sensitive (coin search matches the lowercase searchText).
+export const RANGE_OPS = { lt: "<", lte: "<=", gt: ">", gte: ">=" };
+
+export function rangeOf(v) {
+  if (!v || typeof v !== "object" || Array.isArray(v)) return null;
+  for (const op of Object.keys(v)) if (!RANGE_OPS[op] && op !== "contains") throw new Error(`Bad query operator: ${op}`);
+  return Object.entries(v);
+}
+
+function inRange(x, range) {
+  if (x == null) return false;
+  return range.every(([op, y]) =>
+    op === "contains" ? String(x).includes(y) : op === "lt" ? x < y : op === "lte" ? x <= y : op === "gt" ? x > y : x >= y
+  );
+}
+
+export function matchesWhere(doc, where) {
+  if (!where) return true;
+  for (const [k, v] of Object.entries(where)) {
+    const x = doc?.[k];
+    const range = rangeOf(v);
+    if (range ? !inRange(x, range) : Array.isArray(v) ? !v.includes(x) : x !== v) return false;
+  }
+  return true;
+}
+
+export function applyQuery(entries, query = {}) {
+  let out = entries.filter((e) => matchesWhere(e.doc, query.where));
+  if (query.orderBy) {
+    const f = query.orderBy;
+    const dir = query.desc ? -1 : 1;
+    out.sort((a, b) => {
+      const x = a.doc?.[f] ?? 0;
+      const y = b.doc?.[f] ?? 0;
+      return x < y ? -dir : x > y ? dir : 0;
+    });
+  }
+  if (query.limit > 0) out = out.slice(0, query.limit);
+  return out;
+}
+
+function createTx(reader, normalize) {
+  const cache = new Map(); // "col\u0000id" -> doc | null
+  const dirty = new Map(); // same key -> { col, id, doc }
+  const keyOf = (col, id) => `${col}\u0000${id}`;
+
+  const norm = (col, doc, id) => (doc != null && normalize[col] ? normalize[col](doc, id) : doc);
+
+  function collection(col) {
+    return {
+      async get(id) {
+        const k = keyOf(col, String(id));
+        if (cache.has(k)) return cache.get(k);
+        const doc = norm(col, await reader.get(col, String(id)), String(id)) ?? null;
+        cache.set(k, doc);
+        return doc;
+      },
+
+      put(id, doc) {
+        const k = keyOf(col, String(id));
+        cache.set(k, doc);
+        dirty.set(k, { col, id: String(id), doc });
+        return doc;
+      },
+
+      add(doc) {
+        const id = doc?.id || crypto.randomUUID();
+        return this.put(id, { ...doc, id });
+      },
+
+      remove(id) {
+        const k = keyOf(col, String(id));
+        cache.set(k, null);
+        dirty.set(k, { col, id: String(id), doc: null });
+      },
+
+      async list(query = {}) {
+        return (await this.entries(query)).map((e) => e.doc);
+      },
+
+      // Adapter results overlaid with this transaction's writes, then re-sorted/limited.
+      async entries(query = {}) {
+        const base = await reader.list(col, query);
+        const seen = new Set();
+        const entries = [];
+
+        for (const e of base) {
+          const k = keyOf(col, e.id);
+          seen.add(k);
+          if (!cache.has(k)) cache.set(k, norm(col, e.doc, e.id));
+          const doc = cache.get(k);
+          if (doc != null) entries.push({ id: e.id, doc });
+        }
+        for (const [k, w] of dirty) {
+          if (w.col !== col || seen.has(k) || w.doc == null) continue;
+          entries.push({ id: w.id, doc: w.doc });
+        }
+
+        return applyQuery(entries, query);
+      },
+    };
+  }
+
+  const t = {};
+  for (const col of COLLECTIONS) t[col] = collection(col);
+  return { t, ops: () => [...dirty.values()] };
+}
+
+// adapter: { begin() -> reader { get(col, id), list(col, query) -> [{ id, doc }] },
+//            commit(reader, ops), flush(), close() }
+export function createStorage(adapter, { mode, normalize = {} } = {}) {
+  const lock = createKeyedMutex();
+
+  let running = 0;
+  let exclusiveDone = null; // resolves when the current exclusive transaction ends
+  let wakeExclusive = null; // set while an exclusive transaction waits for `running` to drain
+
+  async function enter(exclusive) {
+    while (exclusiveDone) await exclusiveDone;
+    if (!exclusive) {
+      running++;
+      return () => {
+        if (--running === 0) wakeExclusive?.();
+      };
+    }
+
+    let done;
+    exclusiveDone = new Promise((r) => (done = r));
+    if (running) await new Promise((r) => (wakeExclusive = r));
+    wakeExclusive = null;
+    return () => {
+      exclusiveDone = null;
+      done();
+    };
+  }
+
+  async function attempt(fn, { dryRun, raw }) {
+    const reader = await adapter.begin();
+    const { t, ops } = createTx(reader, raw ? {} : normalize);
+    const out = await fn(t);
+    const pending = ops();
+    if (pending.length && !dryRun) await adapter.commit(reader, pending);
+    return out;
+  }
+
+  async function transaction(fn, { lock: keys = [], dryRun = false, raw = false, exclusive = false } = {}) {
+    const release = keys.length ? await lock(keys) : null;
+    const leave = await enter(exclusive);
+    try {
+      for (let i = 1; ; i++) {
+        try {
+          return await attempt(fn, { dryRun, raw });
+        } catch (e) {
+          if (e?.code !== "CONFLICT" || i >= TX_MAX_ATTEMPTS) throw e;
+          await new Promise((r) => setTimeout(r, Math.random() * 10 * i));
+        }
+      }
+    } finally {
+      leave();
+      release?.();
+    }
+  }
+
+  // Read-only shortcuts: db.coins.get(id), db.withdrawals.list({ where: { wallet } }).
+  const db = { mode, transaction, flush: () => adapter.flush(), close: () => adapter.close() };
+  for (const col of COLLECTIONS) {
+    db[col] = {
+      get: (id) => transaction((t) => t[col].get(id)),
+      list: (query) => transaction((t) => t[col].list(query)),
+    };
+  }
+  return db;
+}
+
+export async function openStorage(mode, opts = {}) {
+  if (mode === "memory") {
+    const { createMemoryAdapter } = await import("./blob.js");
+    return createStorage(createMemoryAdapter(), { mode, normalize: opts.normalize });
+  }
+  if (mode === "file") {
+    const { createFileAdapter } = await import("./blob.js");
+    const adapter = createFileAdapter(opts.filePath, {
+      journalPath: opts.journalPath,
+      backupDir: opts.backupDir,
+      backupEveryMs: opts.backupEveryMs,
+      backupKeep: opts.backupKeep,
+    });
+    return createStorage(adapter, { mode, normalize: opts.normalize });
+  }
+  if (mode === "sqlite") {
+    const { createSqliteAdapter } = await import("./sqlite.js");
+    return createStorage(await createSqliteAdapter(opts.sqlitePath), { mode, normalize: opts.normalize });
+  }
+  if (mode === "postgres") {
+    const { createPostgresAdapter } = await import("./postgres.js");
+    return createStorage(await createPostgresAdapter(opts.databaseUrl), { mode, normalize: opts.normalize });
+  }
+  if (mode === "supabase") {
+    const { createSupabaseBlobAdapter } = await import("./blob.js");
+    return createStorage(createSupabaseBlobAdapter(opts.supabase, opts.supabaseTable), {
+      mode,
+      normalize: opts.normalize,
+    });
+  }
+  throw new Error(`Unknown DB_MODE: ${mode}`);
+}
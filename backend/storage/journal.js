@@ -0,0 +1,159 @@
+// backend/storage/journal.js — append-only NDJSON journal of committed writes (file DB)
+//
+// One line per commit, in commit order:
+//   { "seq": 42, "t": 1700000000000, "types": ["trade"], "ops": [{ "col", "id", "doc" }] }
+// `types` are the log types written by that commit (trade, coin_create, referral_set,
+// withdraw_request, ...); `ops` are the full documents written, so fee splits show up as the
+// ledger / profile writes they caused. Unlike `logs` nothing is ever trimmed.
+//
+// The first line of a journal started over an existing db.json is a snapshot
+// ({ seq, t, types: ["snapshot"], blob }) so replay has a starting point.
+// scripts/replay-journal.js rebuilds the store from this file; the file adapter replays the
+// entries past db.json's journalSeq at startup (commits acknowledged before a crash that
+// beat the debounced db.json write).
+
+import fs from "fs";
+import fsp from "fs/promises";
+import readline from "readline";
+
+// Last complete line's seq, read from the end of the file (journals get big).
+async function readLastSeq(filePath) {
+  let fh;
+  try {
+    fh = await fsp.open(filePath, "r");
+  } catch {
+    return 0;
+  }
+
+  try {
+    const { size } = await fh.stat();
+    let tail = "";
+    for (let end = size; end > 0; ) {
+      const start = Math.max(0, end - 64 * 1024);
+      const buf = Buffer.alloc(end - start);
+      await fh.read(buf, 0, buf.length, start);
+      tail = buf.toString("utf-8") + tail;
+      end = start;
+
+      const lines = tail.split("\n").filter((l) => l.trim());
+      // A line is complete once we've seen the newline before it (or hit the file start).
+      if (lines.length > 1 || (start === 0 && lines.length)) {
+        for (let i = lines.length - 1; i >= 0; i--) {
+          try {
+            return Number(JSON.parse(lines[i]).seq) || 0;
+          } catch {
+            // torn last line from a crash: try the one before
+          }
+        }
+      }
+    }
+    return 0;
+  } finally {
+    await fh.close();
+  }
+}
+
+async function endsWithNewline(filePath) {
+  try {
+    const fh = await fsp.open(filePath, "r");
+    try {
+      const { size } = await fh.stat();
+      if (!size) return true;
+      const buf = Buffer.alloc(1);
+      await fh.read(buf, 0, 1, size - 1);
+      return buf[0] === 0x0a;
+    } finally {
+      await fh.close();
+    }
+  } catch {
+    return true;
+  }
+}
+
+// Appends are group-committed: one write + fdatasync covers every line queued meanwhile, and
+// record() resolves once its line is on disk, so a commit is only acknowledged after that.
+// `after` is the seq db.json already includes: numbering never goes back below it, even if
+// the journal file was removed or rotated.
+export async function openJournal(filePath, { after = 0 } = {}) {
+  const last = await readLastSeq(filePath);
+  let seq = Math.max(last, after);
+  // Start on a fresh line after a torn write so the next entry stays parseable.
+  let pending = (await endsWithNewline(filePath)) ? [] : ["\n"];
+  let waiting = []; // resolvers for the lines in `pending`
+  let writing = null;
+  const fh = await fsp.open(filePath, "a");
+
+  async function drain() {
+    while (pending.length) {
+      const lines = pending.join("");
+      const done = waiting;
+      pending = [];
+      waiting = [];
+      try {
+        await fh.appendFile(lines, "utf-8");
+        await fh.datasync();
+      } catch (e) {
+        // db.json still gets the commit; only the journal copy is missing.
+        console.error("Journal append failed:", e?.message || e);
+      }
+      for (const resolve of done) resolve();
+    }
+  }
+
+  function kick() {
+    if (writing) return;
+    writing = drain().finally(() => {
+      writing = null;
+      if (pending.length) kick();
+    });
+  }
+
+  return {
+    get seq() {
+      return seq;
+    },
+
+    // No entries on disk when opened (a new journal needs a snapshot line first).
+    wasEmpty: !last,
+
+    // The seq is taken synchronously so its order is the order commits were applied in.
+    record(entry) {
+      seq += 1;
+      pending.push(JSON.stringify({ seq, t: Date.now(), ...entry }) + "\n");
+      const written = new Promise((resolve) => waiting.push(resolve));
+      kick();
+      return written;
+    },
+
+    async flush() {
+      while (writing) await writing;
+    },
+
+    async close() {
+      await this.flush();
+      await fh.close();
+    },
+  };
+}
+
+// Unparseable lines (a torn append from a crash; the seq was reused after restart) are
+// skipped with a warning. Lines up to seq `after` are skipped without parsing them (every
+// line starts with {"seq":N,).
+export async function* readJournal(filePath, { after = 0 } = {}) {
+  const rl = readline.createInterface({ input: fs.createReadStream(filePath, "utf-8"), crlfDelay: Infinity });
+  let lineNo = 0;
+  for await (const line of rl) {
+    lineNo++;
+    if (!line.trim()) continue;
+    const head = /^\{"seq":(\d+),/.exec(line);
+    if (head && Number(head[1]) <= after) continue;
+    let entry;
+    try {
+      entry = JSON.parse(line);
+    } catch {
+      console.warn(`Journal line ${lineNo} is not valid JSON (torn write?); skipped.`);
+      continue;
+    }
+    yield entry;
+  }
+}
@@ -0,0 +1,29 @@
+// backend/storage/locks.js — in-process keyed async mutex
+//
+// lock(["coin:abc", "wallet:xyz"]) resolves to a release() once every key is free.
+// Keys are taken in sorted order so two callers can never wait on each other.
+
+export function createKeyedMutex() {
+  const tails = new Map(); // key -> promise that resolves when the current holder releases
+
+  async function acquire(key) {
+    const prev = tails.get(key) || Promise.resolve();
+    let release;
+    const next = new Promise((r) => (release = r));
+    const tail = prev.then(() => next);
+    tails.set(key, tail);
+
+    await prev;
+    return () => {
+      release();
+      if (tails.get(key) === tail) tails.delete(key);
+    };
+  }
+
+  return async function lock(keys) {
+    const unique = [...new Set(keys.filter(Boolean).map(String))].sort();
+    const releases = [];
+    for (const k of unique) releases.push(await acquire(k));
+    return () => releases.reverse().forEach((r) => r());
+  };
+}
@@ -0,0 +1,437 @@
+// backend/storage/postgres.js — DB_MODE=postgres: normalized tables (migrations/*.sql) via `pg`
+//
+// Works against Supabase's Postgres connection string or any local Postgres. Each collection
+// maps to its own table; a commit is one SQL transaction of row-level writes.
+//   - coins / profiles / withdrawals carry a `version`: a row read by the transaction is only
+//     updated if its version is unchanged, else ConflictError (the storage layer retries).
+//     A row read as missing is inserted with ON CONFLICT DO NOTHING, so a concurrent insert
+//     (e.g. a second referral for the same wallet) is a conflict too.
+//   - coins.holders / profiles.holdings are both views of the `holdings` table
+//     (written from profile documents, read back into both).
+//   - treasury (legacy, see migration 4 in server.js) is a running sum over the append-only
+//     `treasury_ledger`; a commit inserts the delta against what this transaction read, so
+//     concurrent fee credits add up. Removing it inserts rows that zero every account.
+//   - ledger rows are append-only postings (003_ledger.sql); fee income lives there now.
+//   - candles (005_candles.sql) are blind upserts; trades already serialize on the coin lock.
+//   - coin_edits (008_coin_edits.sql) are append-only, one row per creator edit.
+
+import path from "path";
+import fsp from "fs/promises";
+import { fileURLToPath } from "url";
+import pg from "pg";
+
+import { ConflictError, RANGE_OPS, rangeOf } from "./index.js";
+
+// int8 (epoch ms) as JS numbers instead of strings.
+pg.types.setTypeParser(20, (v) => Number(v));
+
+const MIGRATIONS_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), "..", "migrations");
+
+const snake = (s) => s.replace(/[A-Z]/g, (c) => "_" + c.toLowerCase());
+
+// field -> [column, type]; n = number, s = text, j = jsonb
+function cols(spec, overrides = {}) {
+  const out = {};
+  for (const [field, type] of Object.entries(spec)) out[field] = [overrides[field] || snake(field), type];
+  return out;
+}
+
+const TABLES = {
+  coins: {
+    table: "coins",
+    versioned: true,
+    key: "id",
+    cols: cols({
+      id: "s", name: "s", symbol: "s", story: "s", logo: "s", links: "j",
+      creatorWallet: "s", owner: "s", status: "s",
+      createdAt: "n", updatedAt: "n", launchedAt: "n", lastTradeAt: "n",
+      mc: "n", ath: "n", athAt: "n", chart: "j", changePct: "n", searchText: "s",
+      volumeSol: "n", creatorRewardsSol: "n", totalSupply: "n",
+      virtualSolReserves: "n", virtualTokenReserves: "n", realSolReserves: "n",
+      mintAddress: "s", mintStatus: "s", mintError: "s", mintDecimals: "n",
+    }),
+  },
+  profiles: {
+    table: "profiles",
+    versioned: true,
+    key: "wallet",
+    cols: cols({
+      wallet: "s", balanceSol: "n", referrer: "s", rewards: "j", referralRewards: "j", txs: "j",
+      lastFaucetAt: "n", updatedAt: "n",
+    }),
+  },
+  trades: {
+    table: "trades",
+    key: "id",
+    cols: cols({
+      id: "s", t: "n", coinId: "s", wallet: "s", side: "s",
+      sol: "n", netSol: "n", tokens: "n", feeSol: "n", split: "j", priceSol: "n", mc: "n",
+    }),
+  },
+  candles: {
+    table: "candles",
+    key: "id",
+    cols: cols({ id: "s", coinId: "s", tf: "s", t: "n", o: "n", h: "n", l: "n", c: "n", v: "n", n: "n" }),
+  },
+  coinEdits: {
+    table: "coin_edits",
+    key: "id",
+    cols: cols({ id: "s", coinId: "s", t: "n", wallet: "s", changes: "j" }),
+  },
+  ledger: {
+    table: "ledger",
+    key: "id",
+    cols: cols({
+      id: "s", entryId: "s", t: "n", kind: "s", account: "s", lamports: "n",
+      wallet: "s", coinId: "s", withdrawalId: "s",
+    }),
+  },
+  withdrawals: {
+    table: "withdrawals",
+    versioned: true,
+    key: "id",
+    cols: cols(
+      {
+        id: "s", wallet: "s", kind: "s", to: "s", sol: "n", status: "s",
+        createdAt: "n", updatedAt: "n", processAfter: "n", signature: "s", error: "s",
+        lastValidBlockHeight: "n",
+      },
+      { to: "to_wallet" }
+    ),
+  },
+  deposits: {
+    table: "deposits",
+    key: "key",
+    cols: cols({ key: "s", wallet: "s", sol: "n", t: "n", ignored: "s" }),
+  },
+  logs: {
+    table: "logs",
+    key: "id",
+    cols: cols({ id: "s", t: "n", type: "s" }),
+    data: true, // whole document in `data`
+  },
+};
+
+function toCol(type, v) {
+  if (type === "n") {
+    const x = Number(v);
+    return Number.isFinite(x) ? x : 0;
+  }
+  if (type === "j") return JSON.stringify(v ?? null);
+  return v == null ? "" : String(v);
+}
+
+function rowToDoc(spec, row) {
+  if (spec.data) return row.data;
+  const doc = {};
+  for (const [field, [col]] of Object.entries(spec.cols)) doc[field] = row[col];
+  return doc;
+}
+
+// mode: "upsert" (blind write), "insert" (row was read as missing), "update" (row read at
+// version $n+1, the last parameter).
+function writeSql(mode, { table, key, versioned }, columns, jsonCols) {
+  const ph = columns.map((c, i) => (jsonCols.has(c) ? `$${i + 1}::jsonb` : `$${i + 1}`));
+  const rest = columns.filter((c) => c !== key);
+
+  if (mode === "update") {
+    const set = rest.map((c) => `${c} = ${ph[columns.indexOf(c)]}`);
+    set.push("version = version + 1");
+    return `update ${table} set ${set.join(", ")} where ${key} = ${ph[columns.indexOf(key)]} and version = $${columns.length + 1}`;
+  }
+
+  const insert = `insert into ${table} (${columns.join(", ")}) values (${ph.join(", ")}) on conflict (${key})`;
+  if (mode === "insert") return `${insert} do nothing`;
+
+  const set = rest.map((c) => `${c} = excluded.${c}`);
+  if (versioned) set.push(`version = ${table}.version + 1`);
+  return `${insert} do update set ${set.join(", ")}`;
+}
+
+function columnFor(col, field) {
+  const spec = TABLES[col];
+  const c = spec?.cols[field]?.[0];
+  if (c) return c;
+  if (spec?.data && /^[A-Za-z_][A-Za-z0-9_]*$/.test(field)) return `(data->>'${field}')`;
+  throw new Error(`Bad query field: ${col}.${field}`);
+}
+
+// Runs each migrations/*.sql file once, in its own transaction, and records it in
+// schema_migrations. The table lock makes a second server starting at the same time wait and
+// then skip what the first one applied. A database from before the table re-runs every file
+// once, so the files stay idempotent. Returns the files applied by this call.
+export async function applySqlMigrations(client) {
+  await client.query("create table if not exists schema_migrations (name text primary key, applied_at bigint not null)");
+  const files = (await fsp.readdir(MIGRATIONS_DIR)).filter((f) => f.endsWith(".sql")).sort();
+  const applied = [];
+  for (const f of files) {
+    const sql = await fsp.readFile(path.join(MIGRATIONS_DIR, f), "utf-8");
+    try {
+      await client.query("begin");
+      await client.query("lock table schema_migrations in share row exclusive mode");
+      const { rows } = await client.query("select 1 from schema_migrations where name = $1", [f]);
+      if (!rows.length) {
+        await client.query(sql);
+        await client.query("insert into schema_migrations (name, applied_at) values ($1, $2)", [f, Date.now()]);
+        applied.push(f);
+      }
+      await client.query("commit");
+    } catch (e) {
+      await client.query("rollback").catch(() => {});
+      throw new Error(`SQL migration ${f} failed: ${e?.message || e}`);
+    }
+  }
+  return applied;
+}
+
+async function holdingsFor(q, { wallet, coinIds }) {
+  if (wallet) {
+    const { rows } = await q.query(
+      "select coin_id, symbol, amount, last_at from holdings where wallet = $1 order by last_at desc",
+      [wallet]
+    );
+    return rows.map((r) => ({ coinId: r.coin_id, symbol: r.symbol, amount: r.amount, lastAt: r.last_at }));
+  }
+  const { rows } = await q.query("select coin_id, wallet, amount from holdings where coin_id = any($1)", [coinIds]);
+  return rows;
+}
+
+function createReader(pool) {
+  const seenTreasury = { devSol: null, reserveSol: null };
+  const seen = new Map(); // "col\u0000id" -> version read (null = read as missing)
+  const see = (col, id, row) => seen.set(`${col}\u0000${id}`, row ? Number(row.version) || 0 : null);
+
+  async function treasury(q) {
+    const { rows } = await q.query(
+      "select account, coalesce(sum(amount_sol), 0) as sol, max(t) as t from treasury_ledger group by account"
+    );
+    const out = { devSol: 0, reserveSol: 0, updatedAt: 0 };
+    for (const r of rows) {
+      if (r.account === "dev") out.devSol = r.sol;
+      if (r.account === "reserve") out.reserveSol = r.sol;
+      out.updatedAt = Math.max(out.updatedAt, Number(r.t) || 0);
+    }
+    return out;
+  }
+
+  async function withHolders(coins) {
+    if (!coins.length) return coins;
+    const rows = await holdingsFor(pool, { coinIds: coins.map((c) => c.id) });
+    const byCoin = new Map(coins.map((c) => [c.id, (c.holders = {})]));
+    for (const r of rows) {
+      const h = byCoin.get(r.coin_id);
+      if (h) h[r.wallet] = r.amount;
+    }
+    return coins;
+  }
+
+  return {
+    seenTreasury,
+    seen,
+    treasury,
+
+    async get(col, id) {
+      if (col === "treasury") {
+        const tr = await treasury(pool);
+        seenTreasury.devSol = tr.devSol;
+        seenTreasury.reserveSol = tr.reserveSol;
+        return tr;
+      }
+      if (col === "referrals") {
+        const { rows } = await pool.query("select referrer from referrals where wallet = $1", [id]);
+        see(col, id, rows[0]);
+        return rows[0]?.referrer ?? null;
+      }
+      if (col === "meta") {
+        const { rows } = await pool.query("select value from meta where key = $1", [id]);
+        return rows.length ? rows[0].value : null;
+      }
+
+      const spec = TABLES[col];
+      const { rows } = await pool.query(`select * from ${spec.table} where ${spec.key} = $1`, [id]);
+      see(col, id, rows[0]);
+      if (!rows.length) return null;
+      const doc = rowToDoc(spec, rows[0]);
+
+      if (col === "coins") await withHolders([doc]);
+      if (col === "profiles") doc.holdings = await holdingsFor(pool, { wallet: id });
+      if (col === "deposits") delete doc.key;
+      return doc;
+    },
+
+    async list(col, query = {}) {
+      if (col === "treasury") return [{ id: "main", doc: await this.get("treasury", "main") }];
+      if (col === "referrals") {
+        const { rows } = await pool.query("select wallet, referrer from referrals");
+        return rows.map((r) => ({ id: r.wallet, doc: r.referrer }));
+      }
+      if (col === "meta") {
+        const { rows } = await pool.query("select key, value from meta");
+        return rows.map((r) => ({ id: r.key, doc: r.value }));
+      }
+
+      const spec = TABLES[col];
+      const where = [];
+      const args = [];
+      for (const [field, v] of Object.entries(query.where || {})) {
+        const range = rangeOf(v);
+        if (range) {
+          for (const [op, y] of range) {
+            args.push(y);
+            const c = columnFor(col, field);
+            where.push(op === "contains" ? `strpos(${c}, $${args.length}) > 0` : `${c} ${RANGE_OPS[op]} $${args.length}`);
+          }
+          continue;
+        }
+        args.push(v);
+        where.push(Array.isArray(v) ? `${columnFor(col, field)} = any($${args.length})` : `${columnFor(col, field)} = $${args.length}`);
+      }
+
+      let sql = `select * from ${spec.table}`;
+      if (where.length) sql += ` where ${where.join(" and ")}`;
+      if (query.orderBy) sql += ` order by ${columnFor(col, query.orderBy)} ${query.desc ? "desc" : "asc"}`;
+      if (query.limit > 0) {
+        args.push(Math.floor(query.limit));
+        sql += ` limit $${args.length}`;
+      }
+
+      const { rows } = await pool.query(sql, args);
+      const docs = rows.map((r) => rowToDoc(spec, r));
+
+      if (col === "coins") await withHolders(docs);
+      if (col === "profiles") {
+        for (const d of docs) d.holdings = await holdingsFor(pool, { wallet: d.wallet });
+      }
+      return rows.map((r, i) => {
+        const id = r[spec.key];
+        see(col, id, r);
+        if (col === "deposits") delete docs[i].key;
+        return { id, doc: docs[i] };
+      });
+    },
+  };
+}
+
+async function writeOp(client, reader, { col, id, doc }) {
+  if (col === "treasury") {
+    if (doc == null) {
+      return client.query(
+        `insert into treasury_ledger (t, account, amount_sol)
+         select $1, account, -sum(amount_sol) from treasury_ledger group by account having sum(amount_sol) <> 0`,
+        [Date.now()]
+      );
+    }
+    const seen = reader.seenTreasury.devSol == null ? await reader.treasury(client) : reader.seenTreasury;
+    const t = Number(doc.updatedAt) || Date.now();
+    for (const [account, field] of [["dev", "devSol"], ["reserve", "reserveSol"]]) {
+      const delta = (Number(doc[field]) || 0) - (Number(seen[field]) || 0);
+      if (Math.abs(delta) > 1e-15) {
+        await client.query("insert into treasury_ledger (t, account, amount_sol) values ($1, $2, $3)", [t, account, delta]);
+      }
+    }
+    return;
+  }
+
+  const seenKey = `${col}\u0000${id}`;
+  const readAsMissing = reader.seen.has(seenKey) && reader.seen.get(seenKey) === null;
+
+  if (col === "referrals") {
+    if (doc == null) return client.query("delete from referrals where wallet = $1", [id]);
+    const r = await client.query(
+      `insert into referrals (wallet, referrer, created_at) values ($1, $2, $3) on conflict (wallet) do ${
+        readAsMissing ? "nothing" : "update set referrer = excluded.referrer"
+      }`,
+      [id, String(doc), Date.now()]
+    );
+    if (!r.rowCount) throw new ConflictError(`referrals/${id}`);
+    return;
+  }
+
+  if (col === "meta") {
+    if (doc == null) return client.query("delete from meta where key = $1", [id]);
+    return client.query(
+      "insert into meta (key, value) values ($1, $2::jsonb) on conflict (key) do update set value = excluded.value",
+      [id, JSON.stringify(doc)]
+    );
+  }
+
+  const spec = TABLES[col];
+  if (doc == null) return client.query(`delete from ${spec.table} where ${spec.key} = $1`, [id]);
+
+  const row = { ...doc, [spec.key]: id };
+  const columns = [];
+  const values = [];
+  const jsonCols = new Set();
+  for (const [field, [c, type]] of Object.entries(spec.cols)) {
+    columns.push(c);
+    values.push(toCol(type, row[field]));
+    if (type === "j") jsonCols.add(c);
+  }
+  if (spec.data) {
+    columns.push("data");
+    values.push(JSON.stringify(doc));
+    jsonCols.add("data");
+  }
+
+  const readVersion = reader.seen.get(seenKey);
+  const mode = readAsMissing ? "insert" : spec.versioned && readVersion != null ? "update" : "upsert";
+  if (mode === "update") values.push(readVersion);
+
+  const r = await client.query(writeSql(mode, spec, columns, jsonCols), values);
+  if (mode !== "upsert" && !r.rowCount) throw new ConflictError(`${col}/${id}`);
+
+  if (col === "profiles") {
+    const holdings = Array.isArray(doc.holdings) ? doc.holdings.filter((h) => h?.coinId) : [];
+    for (const h of holdings) {
+      await client.query(
+        `insert into holdings (wallet, coin_id, symbol, amount, last_at) values ($1, $2, $3, $4, $5)
+         on conflict (wallet, coin_id) do update set symbol = excluded.symbol, amount = excluded.amount, last_at = excluded.last_at`,
+        [id, h.coinId, String(h.symbol || ""), toCol("n", h.amount), toCol("n", h.lastAt)]
+      );
+    }
+    await client.query("delete from holdings where wallet = $1 and not (coin_id = any($2))", [
+      id,
+      holdings.map((h) => h.coinId),
+    ]);
+  }
+}
+
+export async function createPostgresAdapter(connectionString) {
+  if (!connectionString) throw new Error("DATABASE_URL required for DB_MODE=postgres");
+  const pool = new pg.Pool({ connectionString, max: 10 });
+
+  const client = await pool.connect();
+  try {
+    await applySqlMigrations(client);
+  } finally {
+    client.release();
+  }
+
+  return {
+    pool,
+
+    async begin() {
+      return createReader(pool);
+    },
+
+    async commit(reader, ops) {
+      const c = await pool.connect();
+      try {
+        await c.query("begin");
+        for (const op of ops) await writeOp(c, reader, op);
+        await c.query("commit");
+      } catch (e) {
+        await c.query("rollback").catch(() => {});
+        throw e;
+      } finally {
+        c.release();
+      }
+    },
+
+    async flush() {},
+
+    async close() {
+      await pool.end();
+    },
+  };
+}
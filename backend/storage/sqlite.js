@@ -0,0 +1,230 @@
+// backend/storage/sqlite.js — DB_MODE=sqlite via Node's built-in node:sqlite (Node 22.5+)
+//
+// One table per collection, one row per document: id + the JSON document in `data`, plus typed
+// columns generated from it (SCHEMA) that carry the constraints, the indexes and every query
+// on those fields. A commit is a single SQL transaction. Each reader remembers the raw row it
+// read; commit re-reads those rows under the write lock and throws ConflictError if any
+// changed (works across processes sharing the file too).
+
+import { COLLECTIONS, ConflictError, RANGE_OPS, rangeOf } from "./index.js";
+
+// field -> column type and constraints; indexes are lists of those fields.
+const SCHEMA = {
+  coins: {
+    cols: {
+      status: "TEXT",
+      creatorWallet: "TEXT",
+      createdAt: "INTEGER",
+      lastTradeAt: "INTEGER",
+      mc: "REAL",
+      volumeSol: "REAL",
+      changePct: "REAL",
+      searchText: "TEXT",
+    },
+    // One per /api/coin/list sort, led by status (the market sections list LIVE coins).
+    indexes: [
+      ["status", "createdAt"],
+      ["status", "mc"],
+      ["status", "volumeSol"],
+      ["status", "changePct"],
+      ["status", "lastTradeAt"],
+      ["creatorWallet"],
+      ["createdAt"],
+    ],
+  },
+  trades: {
+    cols: { coinId: "TEXT NOT NULL", wallet: "TEXT", t: "INTEGER NOT NULL" },
+    indexes: [["coinId", "t"], ["wallet", "t"], ["t"]],
+  },
+  candles: {
+    cols: { coinId: "TEXT NOT NULL", tf: "TEXT NOT NULL", t: "INTEGER NOT NULL" },
+    indexes: [["coinId", "tf", "t"]],
+  },
+  coinEdits: {
+    cols: { coinId: "TEXT NOT NULL", t: "INTEGER NOT NULL" },
+    indexes: [["coinId", "t"]],
+  },
+  ledger: {
+    cols: {
+      entryId: "TEXT NOT NULL",
+      account: "TEXT NOT NULL",
+      lamports: "INTEGER NOT NULL CHECK (typeof(lamports) = 'integer')",
+      coinId: "TEXT",
+      withdrawalId: "TEXT",
+      t: "INTEGER NOT NULL",
+    },
+    indexes: [["account", "t"], ["entryId"], ["coinId"], ["withdrawalId"]],
+  },
+  logs: {
+    cols: { type: "TEXT", t: "INTEGER" },
+    indexes: [["type", "t"], ["t"]],
+  },
+  withdrawals: {
+    cols: {
+      wallet: "TEXT NOT NULL",
+      kind: "TEXT NOT NULL CHECK (kind IN ('CREATOR', 'REF', 'MANUAL'))",
+      status: "TEXT NOT NULL CHECK (status IN ('PENDING', 'PROCESSING', 'SENT', 'FAILED', 'CANCELLED'))",
+      sol: "REAL NOT NULL CHECK (sol > 0)",
+      createdAt: "INTEGER",
+    },
+    indexes: [["wallet", "createdAt"], ["status"]],
+  },
+  deposits: {
+    cols: { wallet: "TEXT" },
+    indexes: [["wallet"]],
+  },
+};
+
+const FIELD_RE = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+function field(col, name) {
+  if (!FIELD_RE.test(String(name))) throw new Error(`Bad query field: ${name}`);
+  return SCHEMA[col]?.cols[name] ? `"${name}"` : `json_extract(data, '$.${name}')`;
+}
+
+// SQLite has no booleans; json_extract returns 1/0 for true/false.
+const bindValue = (v) => (typeof v === "boolean" ? (v ? 1 : 0) : v);
+
+function tableSql(col, name = col) {
+  const defs = ["id TEXT PRIMARY KEY", "data TEXT NOT NULL CHECK (json_valid(data))"];
+  for (const [f, type] of Object.entries(SCHEMA[col]?.cols || {})) {
+    defs.push(`"${f}" ${type} GENERATED ALWAYS AS (json_extract(data, '$.${f}')) VIRTUAL`);
+  }
+  return `CREATE TABLE "${name}" (${defs.join(", ")})`;
+}
+
+// Creates the table, or rebuilds it (copying every row, so constraints are checked) when its
+// definition differs from SCHEMA; then brings the indexes in line.
+function ensureTable(db, col) {
+  const want = tableSql(col);
+  const have = db.prepare("SELECT sql FROM sqlite_master WHERE type = 'table' AND name = ?").get(col)?.sql;
+  const body = (sql) => sql.slice(sql.indexOf("("));
+  if (!have) {
+    db.exec(want);
+  } else if (body(have) !== body(want)) {
+    db.exec("BEGIN IMMEDIATE");
+    try {
+      db.exec(tableSql(col, `${col}__rebuild`));
+      db.exec(`INSERT INTO "${col}__rebuild" (id, data) SELECT id, data FROM "${col}"`);
+      db.exec(`DROP TABLE "${col}"`);
+      db.exec(`ALTER TABLE "${col}__rebuild" RENAME TO "${col}"`);
+      db.exec("COMMIT");
+    } catch (e) {
+      db.exec("ROLLBACK");
+      throw new Error(`sqlite: rebuilding ${col} failed: ${e?.message || e}`);
+    }
+  }
+
+  const indexes = new Map((SCHEMA[col]?.indexes || []).map((fields) => [`${col}_${fields.join("_")}`, fields]));
+  const existing = db.prepare("SELECT name FROM sqlite_master WHERE type = 'index' AND tbl_name = ? AND sql IS NOT NULL");
+  for (const { name } of existing.all(col)) {
+    if (!indexes.has(name)) db.exec(`DROP INDEX "${name}"`);
+  }
+  for (const [name, fields] of indexes) {
+    db.exec(`CREATE INDEX IF NOT EXISTS "${name}" ON "${col}" (${fields.map((f) => `"${f}"`).join(", ")})`);
+  }
+}
+
+export async function createSqliteAdapter(dbPath) {
+  const { DatabaseSync } = await import("node:sqlite").catch(() => {
+    throw new Error(`DB_MODE=sqlite needs Node 22.5+ (node:sqlite); this is Node ${process.versions.node}`);
+  });
+  const db = new DatabaseSync(dbPath);
+
+  db.exec("PRAGMA journal_mode = WAL;");
+  db.exec("PRAGMA synchronous = NORMAL;");
+  for (const col of COLLECTIONS) ensureTable(db, col);
+
+  const getStmt = {};
+  const putStmt = {};
+  const delStmt = {};
+  for (const col of COLLECTIONS) {
+    getStmt[col] = db.prepare(`SELECT data FROM "${col}" WHERE id = ?`);
+    putStmt[col] = db.prepare(
+      `INSERT INTO "${col}" (id, data) VALUES (?, ?) ON CONFLICT(id) DO UPDATE SET data = excluded.data`
+    );
+    delStmt[col] = db.prepare(`DELETE FROM "${col}" WHERE id = ?`);
+  }
+
+  const createReader = () => {
+    const seen = new Map(); // "col\u0000id" -> raw data read (null = missing)
+    return {
+      seen,
+
+      async get(col, id) {
+        const row = getStmt[col].get(id);
+        seen.set(`${col}\u0000${id}`, row ? row.data : null);
+        return row ? JSON.parse(row.data) : null;
+      },
+
+      async list(col, query = {}) {
+        const where = [];
+        const args = [];
+        for (const [k, v] of Object.entries(query.where || {})) {
+          const range = rangeOf(v);
+          if (range) {
+            for (const [op, y] of range) {
+              where.push(op === "contains" ? `instr(${field(col, k)}, ?) > 0` : `${field(col, k)} ${RANGE_OPS[op]} ?`);
+              args.push(bindValue(y));
+            }
+          } else if (Array.isArray(v)) {
+            if (!v.length) return [];
+            where.push(`${field(col, k)} IN (${v.map(() => "?").join(", ")})`);
+            args.push(...v.map(bindValue));
+          } else {
+            where.push(`${field(col, k)} = ?`);
+            args.push(bindValue(v));
+          }
+        }
+
+        let sql = `SELECT id, data FROM "${col}"`;
+        if (where.length) sql += ` WHERE ${where.join(" AND ")}`;
+        if (query.orderBy) sql += ` ORDER BY ${field(col, query.orderBy)} ${query.desc ? "DESC" : "ASC"}`;
+        if (query.limit > 0) {
+          sql += " LIMIT ?";
+          args.push(Math.floor(query.limit));
+        }
+
+        return db
+          .prepare(sql)
+          .all(...args)
+          .map((r) => {
+            seen.set(`${col}\u0000${r.id}`, r.data);
+            return { id: r.id, doc: JSON.parse(r.data) };
+          });
+      },
+    };
+  };
+
+  return {
+    async begin() {
+      return createReader();
+    },
+
+    async commit(reader, ops) {
+      db.exec("BEGIN IMMEDIATE");
+      try {
+        for (const { col, id } of ops) {
+          const k = `${col}\u0000${id}`;
+          if (!reader.seen.has(k)) continue;
+          const now = getStmt[col].get(id)?.data ?? null;
+          if (now !== reader.seen.get(k)) throw new ConflictError(`${col}/${id}`);
+        }
+        for (const { col, id, doc } of ops) {
+          if (doc == null) delStmt[col].run(id);
+          else putStmt[col].run(id, JSON.stringify(doc));
+        }
+        db.exec("COMMIT");
+      } catch (e) {
+        db.exec("ROLLBACK");
+        throw e;
+      }
+    },
+
+    async flush() {},
+
+    async close() {
+      db.close();
+    },
+  };
+}
@@ -0,0 +1,73 @@
+// The deposit watcher against a mock RPC: transfers to the deposit address are credited once
+// (to the sender, or the wallet in a funrun: memo), the cursor only moves past transactions the
+// RPC could return, it survives a restart, and an RPC that re-serves old signatures credits
+// nothing twice.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { Keypair } from "@solana/web3.js";
+
+import { startMockRpc } from "./helpers/rpc.js";
+import { startServer, waitFor } from "./helpers/server.js";
+
+const wallet = () => Keypair.generate().publicKey.toBase58();
+
+test("deposits are credited once and the cursor only passes resolved signatures", async () => {
+  const rpc = await startMockRpc();
+  const to = wallet();
+  const [alice, bob, carol] = [wallet(), wallet(), wallet()];
+  const env = { DB_MODE: "file", SOLANA_RPC: rpc.url, DEPOSIT_WATCH: "1", DEPOSIT_ADDRESS: to, DEPOSIT_POLL_MS: "50" };
+
+  rpc.deposit({ from: alice, to, lamports: 1.5e9 });
+  rpc.deposit({ from: carol, to, lamports: 0.25e9, memo: `funrun:${bob}` });
+  const dust = rpc.deposit({ from: alice, to, lamports: 1e5 }); // below DEPOSIT_MIN_SOL
+  const failed = rpc.deposit({ from: alice, to, lamports: 1e9, err: true });
+  const late = rpc.deposit({ from: bob, to, lamports: 2e9 });
+  rpc.unavailable.add(late);
+
+  let srv = await startServer(env);
+  // Polls the deposit address once more and returns what the server asked for.
+  const nextPoll = async () => {
+    const n = rpc.callsOf("getSignaturesForAddress").length;
+    await waitFor(() => rpc.callsOf("getSignaturesForAddress").length > n + 1, { what: "two more polls" });
+    return rpc.callsOf("getSignaturesForAddress").at(-1).params[1];
+  };
+  const balance = async (w) => (await srv.call("GET", `/api/profile/${w}`)).json.profile.balanceSol;
+
+  try {
+    await waitFor(async () => (await balance(bob)) === 0.25, { what: "memo deposit" });
+    assert.equal(await balance(alice), 1.5);
+    assert.equal(await balance(carol), 0);
+
+    // `late` isn't available yet: the cursor stops at the failed transfer before it.
+    assert.equal((await nextPoll()).until, failed);
+    assert.equal(await balance(bob), 0.25);
+
+    rpc.unavailable.delete(late);
+    await waitFor(async () => (await balance(bob)) === 2.25, { what: "late deposit" });
+    assert.equal((await nextPoll()).until, late);
+
+    await srv.stop({ keepData: true });
+    srv = await startServer(env, { dir: srv.dir });
+    assert.equal((await nextPoll()).until, late);
+
+    // Old signatures again (cursor lost, RPC misbehaving): every transfer is already recorded.
+    rpc.ignoreUntil = true;
+    await nextPoll();
+    await nextPoll();
+    assert.equal(await balance(alice), 1.5);
+    assert.equal(await balance(bob), 2.25);
+
+    const { json: snap } = await srv.call("GET", "/api/admin/export?assets=0");
+    const deposits = snap.collections.deposits;
+    assert.equal(Object.keys(deposits).length, 4);
+    assert.equal(deposits[`${dust}:0`].ignored, "below minimum");
+    assert.equal(snap.collections.profiles[bob].txs.filter((t) => t.side === "DEPOSIT").length, 2);
+    assert.deepEqual(
+      Object.values(snap.collections.logs).filter((l) => l.type === "deposit").map((l) => l.sol).sort(),
+      [0.25, 1.5, 2]
+    );
+  } finally {
+    await srv.stop();
+    await rpc.close();
+  }
+});
@@ -0,0 +1,77 @@
+// Commits are acknowledged once their journal line is synced, before the debounced db.json
+// write. Kill the process inside that window and check the next start still has them.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { spawn } from "node:child_process";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+
+import { openStorage } from "../storage/index.js";
+
+const STORAGE = new URL("../storage/index.js", import.meta.url).href;
+
+// Flushes one commit to db.json, acknowledges a second one, says so and waits to be killed.
+const CHILD = `
+import { openStorage } from ${JSON.stringify(STORAGE)};
+const [filePath, journalPath] = process.argv.slice(1);
+const db = await openStorage("file", { filePath, journalPath, backupDir: "" });
+await db.transaction((t) => t.profiles.put("flushed", { wallet: "flushed", balanceSol: 1 }));
+await db.flush();
+await db.transaction((t) => {
+  t.profiles.put("acked", { wallet: "acked", balanceSol: 2 });
+  t.profiles.put("flushed", { wallet: "flushed", balanceSol: 3 });
+});
+process.stdout.write("committed\\n");
+setInterval(() => {}, 1000);
+`;
+
+function runUntilCommitted(args) {
+  const child = spawn(process.execPath, ["--input-type=module", "-e", CHILD, ...args], {
+    stdio: ["ignore", "pipe", "inherit"],
+  });
+  return new Promise((resolve, reject) => {
+    let out = "";
+    child.stdout.on("data", (buf) => {
+      out += buf;
+      if (out.includes("committed")) child.kill("SIGKILL"); // well inside the 600 ms debounce
+    });
+    child.once("exit", (code, signal) => {
+      if (signal === "SIGKILL") resolve();
+      else reject(new Error(`child exited before committing (${code})`));
+    });
+  });
+}
+
+test("commits acknowledged before a crash survive the debounced db.json write", async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "file-journal-"));
+  const filePath = path.join(dir, "db.json");
+  const journalPath = path.join(dir, "db.journal.ndjson");
+  try {
+    await runUntilCommitted([filePath, journalPath]);
+
+    // The crash beat the write: db.json only has the first commit.
+    const onDisk = JSON.parse(fs.readFileSync(filePath, "utf-8"));
+    assert.deepEqual(Object.keys(onDisk.profiles), ["flushed"]);
+    assert.equal(onDisk.profiles.flushed.balanceSol, 1);
+    assert.ok(onDisk.journalSeq >= 1);
+
+    const db = await openStorage("file", { filePath, journalPath, backupDir: "" });
+    assert.equal((await db.profiles.get("acked"))?.balanceSol, 2);
+    assert.equal((await db.profiles.get("flushed"))?.balanceSol, 3);
+
+    // Numbering carries on after the replayed entries and db.json catches up.
+    await db.transaction((t) => t.profiles.put("after", { wallet: "after", balanceSol: 4 }));
+    await db.close();
+    const lines = fs.readFileSync(journalPath, "utf-8").trim().split("\n").map((l) => JSON.parse(l));
+    assert.deepEqual(
+      lines.map((l) => l.seq),
+      lines.map((_, i) => i + 1)
+    );
+    const flushed = JSON.parse(fs.readFileSync(filePath, "utf-8"));
+    assert.equal(flushed.journalSeq, lines.at(-1).seq);
+    assert.deepEqual(Object.keys(flushed.profiles).sort(), ["acked", "after", "flushed"]);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,223 @@
+// A stand-in Solana RPC node for the deposit, payout and mint tests (no validator here). It
+// answers the methods server.js reaches through @solana/web3.js from state the test sets up;
+// any other method, or one the test puts in `fail`, gets a JSON-RPC error. Like a validator it
+// takes websocket subscriptions on port + 1, which web3.js needs to confirm a transaction.
+import crypto from "node:crypto";
+import http from "node:http";
+import bs58 from "bs58";
+
+import { freePort } from "./server.js";
+
+const SYSTEM_PROGRAM = "11111111111111111111111111111111";
+const MEMO_PROGRAM = "MemoSq4gqABAXKb96qnH8TysNcWxMyWCqXgDLGmfcHr";
+
+export const randomSignature = () => bs58.encode(crypto.randomBytes(64));
+
+const listen = (server, port) =>
+  new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(port, "127.0.0.1", () => {
+      server.off("error", reject);
+      resolve();
+    });
+  });
+
+// Just enough RFC 6455 for web3.js: the handshake, masked client text frames, pings, close.
+function acceptWebSocket(req, socket, onMessage) {
+  const accept = crypto
+    .createHash("sha1")
+    .update(req.headers["sec-websocket-key"] + "258EAFA5-E914-47DA-95CA-C5AB0DC85B11")
+    .digest("base64");
+  socket.write(
+    ["HTTP/1.1 101 Switching Protocols", "Upgrade: websocket", "Connection: Upgrade", `Sec-WebSocket-Accept: ${accept}`, "", ""].join(
+      "\r\n"
+    )
+  );
+  socket.on("error", () => {});
+
+  const frame = (opcode, data) => {
+    const head = data.length < 126 ? [0x80 | opcode, data.length] : [0x80 | opcode, 126, data.length >> 8, data.length & 255];
+    socket.write(Buffer.concat([Buffer.from(head), data]));
+  };
+  const send = (msg) => frame(1, Buffer.from(JSON.stringify(msg)));
+
+  let buf = Buffer.alloc(0);
+  socket.on("data", (chunk) => {
+    buf = Buffer.concat([buf, chunk]);
+    for (;;) {
+      if (buf.length < 2) return;
+      let len = buf[1] & 127;
+      let at = 2;
+      if (len === 126) [len, at] = [buf.length >= 4 ? buf.readUInt16BE(2) : Infinity, 4];
+      else if (len === 127) [len, at] = [buf.length >= 10 ? Number(buf.readBigUInt64BE(2)) : Infinity, 10];
+      if (buf.length < at + 4 + len) return;
+
+      const mask = buf.subarray(at, at + 4);
+      const data = Buffer.from(buf.subarray(at + 4, at + 4 + len)).map((b, i) => b ^ mask[i % 4]);
+      const opcode = buf[0] & 15;
+      buf = buf.subarray(at + 4 + len);
+      if (opcode === 1) onMessage(JSON.parse(String(data)), send);
+      else if (opcode === 9) frame(10, data);
+      else if (opcode === 8) return socket.end();
+    }
+  });
+}
+
+export async function startMockRpc() {
+  let slot = 1000;
+  let subscriptions = 0;
+
+  const rpc = {
+    url: "",
+    calls: [], // { method, params }, in arrival order
+    fail: new Set(), // methods answered with an error
+    hang: new Set(), // methods never answered
+
+    // Payouts: a blockhash stays valid for `validFor` blocks and every getBlockHeight is one
+    // block later. What a sent transaction becomes: confirm | fail (err on chain) | drop
+    // (never seen). `statuses` is what getSignatureStatuses reports, by signature.
+    height: 5000,
+    validFor: 150,
+    onSend: "confirm",
+    sent: [], // { signature, wire } for every transaction sent
+    statuses: new Map(),
+    land(signature, err = null) {
+      rpc.statuses.set(signature, { slot, confirmations: null, err, confirmationStatus: "confirmed" });
+    },
+
+    // Deposit address history, newest first (getSignaturesForAddress), and the parsed
+    // transactions behind it (getTransaction). `unavailable` ones come back null ("not yet").
+    history: [],
+    transactions: new Map(),
+    unavailable: new Set(),
+    ignoreUntil: false, // hand back the whole history, as if the cursor were lost
+
+    callsOf: (method) => rpc.calls.filter((c) => c.method === method),
+
+    // A SystemProgram transfer of `lamports` from `from` to `to`, optionally with a memo;
+    // err = it failed on chain. Returns its signature.
+    deposit({ from, to, lamports, memo = "", err = false }) {
+      const signature = randomSignature();
+      const blockTime = Math.floor(Date.now() / 1000);
+      const txErr = err ? { InstructionError: [0, { Custom: 1 }] } : null;
+      slot++;
+      rpc.history.unshift({ signature, slot, err: txErr, memo: memo || null, blockTime });
+      rpc.transactions.set(signature, {
+        slot,
+        blockTime,
+        version: "legacy",
+        meta: { err: txErr, fee: 5000, preBalances: [], postBalances: [] },
+        transaction: {
+          signatures: [signature],
+          message: {
+            accountKeys: [
+              { pubkey: from, signer: true, writable: true },
+              { pubkey: to, signer: false, writable: true },
+            ],
+            recentBlockhash: bs58.encode(crypto.randomBytes(32)),
+            instructions: [
+              ...(memo ? [{ program: "spl-memo", programId: MEMO_PROGRAM, parsed: memo }] : []),
+              {
+                program: "system",
+                programId: SYSTEM_PROGRAM,
+                parsed: { type: "transfer", info: { source: from, destination: to, lamports } },
+              },
+            ],
+          },
+        },
+      });
+      return signature;
+    },
+  };
+
+  const methods = {
+    getLatestBlockhash() {
+      const value = { blockhash: bs58.encode(crypto.randomBytes(32)), lastValidBlockHeight: rpc.height + rpc.validFor };
+      return { context: { slot }, value };
+    },
+    getBlockHeight() {
+      return ++rpc.height;
+    },
+    sendTransaction([encoded]) {
+      const wire = Buffer.from(encoded, "base64");
+      const signature = bs58.encode(wire.subarray(1, 65)); // first signature, after its count
+      rpc.sent.push({ signature, wire });
+      if (rpc.onSend === "confirm") rpc.land(signature);
+      if (rpc.onSend === "fail") rpc.land(signature, { InstructionError: [0, { Custom: 1 }] });
+      return signature;
+    },
+    getSignatureStatuses([signatures]) {
+      return { context: { slot }, value: signatures.map((s) => rpc.statuses.get(s) || null) };
+    },
+    getMinimumBalanceForRentExemption([size]) {
+      return (128 + size) * 6960; // lamports per byte-year * 2 years, as on mainnet
+    },
+    getSignaturesForAddress([, { until, before, limit = 1000 } = {}]) {
+      let rows = rpc.history;
+      if (before) rows = rows.slice(rows.findIndex((r) => r.signature === before) + 1);
+      const stop = until && !rpc.ignoreUntil ? rows.findIndex((r) => r.signature === until) : -1;
+      if (stop >= 0) rows = rows.slice(0, stop);
+      return rows.slice(0, limit);
+    },
+    getTransaction([signature]) {
+      return rpc.unavailable.has(signature) ? null : rpc.transactions.get(signature) || null;
+    },
+  };
+
+  function answer({ id, method, params = [] }) {
+    rpc.calls.push({ method, params });
+    if (rpc.hang.has(method)) return new Promise(() => {});
+    if (rpc.fail.has(method) || !methods[method]) {
+      return { jsonrpc: "2.0", id, error: { code: -32000, message: `mock rpc: ${method} failed` } };
+    }
+    return { jsonrpc: "2.0", id, result: methods[method](params) };
+  }
+
+  const server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (d) => (body += d));
+    req.on("end", async () => {
+      const msg = JSON.parse(body);
+      const out = Array.isArray(msg) ? await Promise.all(msg.map(answer)) : await answer(msg);
+      res.setHeader("Content-Type", "application/json");
+      res.end(JSON.stringify(out));
+    });
+  });
+
+  // Subscriptions are acknowledged and never fire: once subscribed, web3.js asks
+  // getSignatureStatuses, which is where the answer comes from.
+  const sockets = new Set();
+  const ws = http.createServer((req, res) => res.writeHead(426).end());
+  ws.on("upgrade", (req, socket) => {
+    sockets.add(socket);
+    socket.on("close", () => sockets.delete(socket));
+    acceptWebSocket(req, socket, ({ id, method, params }, send) => {
+      if (id == null) return; // web3.js's keep-alive "ping" notification
+      rpc.calls.push({ method, params });
+      send({ jsonrpc: "2.0", id, result: method.endsWith("Unsubscribe") ? true : ++subscriptions });
+    });
+  });
+
+  for (;;) {
+    const port = await freePort();
+    try {
+      await listen(server, port);
+    } catch {
+      continue;
+    }
+    try {
+      await listen(ws, port + 1);
+      rpc.url = `http://127.0.0.1:${port}`;
+      break;
+    } catch {
+      await new Promise((resolve) => server.close(resolve));
+    }
+  }
+
+  rpc.close = async () => {
+    for (const s of sockets) s.destroy();
+    server.closeAllConnections(); // hung requests too
+    await Promise.all([server, ws].map((s) => new Promise((resolve) => s.close(resolve))));
+  };
+  return rpc;
+}
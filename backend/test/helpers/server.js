@@ -0,0 +1,114 @@
+// Starts server.js in a child process on a free port, with every data path (db.json, journal,
+// sqlite file, assets) in a fresh temp dir, and gives tests a small HTTP client for it.
+import assert from "node:assert/strict";
+import { spawn } from "node:child_process";
+import crypto from "node:crypto";
+import fs from "node:fs";
+import net from "node:net";
+import os from "node:os";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { PublicKey } from "@solana/web3.js";
+
+export const ADMIN_TOKEN = "test-admin";
+
+const BACKEND = fileURLToPath(new URL("../..", import.meta.url));
+
+export const hasNodeSqlite = await import("node:sqlite").then(
+  () => true,
+  () => false
+);
+
+export function freePort() {
+  return new Promise((resolve, reject) => {
+    const s = net.createServer();
+    s.once("error", reject);
+    s.listen(0, "127.0.0.1", () => {
+      const { port } = s.address();
+      s.close(() => resolve(port));
+    });
+  });
+}
+
+export function sleep(ms) {
+  return new Promise((r) => setTimeout(r, ms));
+}
+
+// Polls until check() returns something truthy (or gives up after timeoutMs).
+export async function waitFor(check, { timeoutMs = 10000, everyMs = 50, what = "condition" } = {}) {
+  const until = Date.now() + timeoutMs;
+  for (;;) {
+    const v = await check();
+    if (v) return v;
+    if (Date.now() > until) throw new Error(`timed out waiting for ${what}`);
+    await sleep(everyMs);
+  }
+}
+
+// env: extra variables (DB_MODE, SOLANA_RPC, ...). dir: reuse a data dir (restart tests).
+export async function startServer(env = {}, { dir = "" } = {}) {
+  const dataDir = dir || fs.mkdtempSync(path.join(os.tmpdir(), "funrun-test-"));
+  const port = await freePort();
+  const base = `http://127.0.0.1:${port}`;
+  const stdout = [];
+
+  const child = spawn(process.execPath, ["server.js"], {
+    cwd: BACKEND,
+    env: {
+      ...process.env,
+      PORT: String(port),
+      DB_MODE: "memory",
+      ADMIN_TOKEN,
+      RATE_LIMIT_MAX: "100000",
+      FILE_DB_PATH: path.join(dataDir, "db.json"),
+      JOURNAL_PATH: path.join(dataDir, "db.journal.ndjson"),
+      BACKUP_DIR: "",
+      SQLITE_PATH: path.join(dataDir, "db.sqlite"),
+      ASSET_DIR: path.join(dataDir, "assets"),
+      ...env,
+    },
+    stdio: ["ignore", "pipe", "inherit"],
+  });
+  child.stdout.on("data", (buf) => stdout.push(String(buf)));
+  const exited = new Promise((resolve) => child.once("exit", resolve));
+
+  async function call(method, urlPath, body, user) {
+    const headers = { "Content-Type": "application/json" };
+    if (user) headers.Authorization = "Bearer " + user.token;
+    if (urlPath.startsWith("/api/admin/")) headers["x-admin-token"] = ADMIN_TOKEN;
+    const r = await fetch(base + urlPath, { method, headers, body: body ? JSON.stringify(body) : undefined });
+    return { status: r.status, json: await r.json() };
+  }
+
+  // A fresh ed25519 wallet with a signature session.
+  async function signIn() {
+    const { publicKey, privateKey } = crypto.generateKeyPairSync("ed25519");
+    const wallet = new PublicKey(publicKey.export({ format: "der", type: "spki" }).subarray(12)).toBase58();
+    const { json: ch } = await call("POST", "/api/auth/challenge", { wallet });
+    const signature = crypto.sign(null, Buffer.from(ch.message), privateKey).toString("base64");
+    const { json: v } = await call("POST", "/api/auth/verify", { wallet, nonce: ch.nonce, signature });
+    assert.ok(v.token, `sign-in failed: ${JSON.stringify(v)}`);
+    return { wallet, token: v.token };
+  }
+
+  // SIGTERM flushes the store first; SIGKILL simulates a crash. Keeps the data dir when asked
+  // (to start again on it).
+  async function stop({ signal = "SIGTERM", keepData = false } = {}) {
+    if (child.exitCode === null && child.signalCode === null) child.kill(signal);
+    await exited;
+    if (!keepData) fs.rmSync(dataDir, { recursive: true, force: true });
+  }
+
+  await waitFor(
+    async () => {
+      if (child.exitCode !== null) throw new Error(`server exited (${child.exitCode})`);
+      return fetch(base + "/").then(
+        (r) => r.ok,
+        () => false
+      );
+    },
+    { what: "server start" }
+  );
+
+  return { base, dir: dataDir, call, signIn, stop, output: () => stdout.join("") };
+}
@@ -0,0 +1,100 @@
+// SPL minting against a mock RPC: a mint cut off by a restart is reset from MINTING to FAILED,
+// and the creator's retry resumes with the mint the first attempt created instead of making
+// another one.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "node:crypto";
+import { Keypair, PublicKey, SystemInstruction, Transaction } from "@solana/web3.js";
+import { getAssociatedTokenAddressSync } from "@solana/spl-token";
+
+import { startMockRpc } from "./helpers/rpc.js";
+import { startServer, waitFor } from "./helpers/server.js";
+
+test("an interrupted mint is FAILED after a restart and its retry reuses the saved mint", async () => {
+  const rpc = await startMockRpc();
+  const env = {
+    DB_MODE: "file",
+    SOLANA_RPC: rpc.url,
+    TREASURY_SECRET_KEY: JSON.stringify([...Keypair.generate().secretKey]),
+    MINT_ON_LIVE: "1",
+    DEMO_FAUCET: "1",
+    AUTH_SESSION_SECRET: crypto.randomBytes(32).toString("hex"), // sessions outlive the restart
+  };
+  let srv = await startServer(env);
+  const coinOf = async (id) => (await srv.call("GET", `/api/coin/${id}`)).json.coin;
+
+  try {
+    const creator = await srv.signIn();
+    await srv.call("POST", "/api/faucet", { wallet: creator.wallet }, creator);
+
+    // The mint account gets created; the token accounts after it never answer.
+    rpc.hang.add("getAccountInfo");
+    const { json: created } = await srv.call(
+      "POST",
+      "/api/coin/create",
+      { name: "Minted", symbol: "MNT", story: "", creatorWallet: creator.wallet, initialSol: 0.1 },
+      creator
+    );
+    assert.equal(created.coin?.status, "LIVE", JSON.stringify(created));
+    const id = created.coin.id;
+
+    const minting = await waitFor(
+      async () => {
+        const c = await coinOf(id);
+        return c.mintStatus === "MINTING" && c.mintAddress && c;
+      },
+      { what: "mint account saved" }
+    );
+    assert.equal(rpc.sent.length, 1);
+    const createAccount = Transaction.from(rpc.sent[0].wire).instructions[0];
+    assert.equal(SystemInstruction.decodeCreateAccount(createAccount).newAccountPubkey.toBase58(), minting.mintAddress);
+
+    await srv.stop({ signal: "SIGKILL", keepData: true });
+    srv = await startServer(env, { dir: srv.dir });
+
+    const reset = await waitFor(
+      async () => {
+        const c = await coinOf(id);
+        return c.mintStatus === "FAILED" && c;
+      },
+      { what: "stale mint reset" }
+    );
+    assert.equal(reset.mintError, "Interrupted by a restart");
+    assert.equal(reset.mintAddress, minting.mintAddress);
+
+    // Retry: straight to the creator's token account on the saved mint (which fails here).
+    rpc.hang.delete("getAccountInfo");
+    rpc.fail.add("getAccountInfo");
+    const accountLookups = rpc.callsOf("getAccountInfo").length;
+    const { json: retry } = await srv.call("POST", `/api/coin/${id}/mint`, { wallet: creator.wallet }, creator);
+    assert.equal(retry.ok, true, JSON.stringify(retry));
+
+    const failed = await waitFor(
+      async () => {
+        const c = await coinOf(id);
+        return c.mintStatus === "FAILED" && c.mintError !== reset.mintError && c;
+      },
+      { what: "retry finished" }
+    );
+    assert.match(failed.mintError, /getAccountInfo/);
+    assert.equal(failed.mintAddress, minting.mintAddress);
+    assert.equal(rpc.sent.length, 1); // no second mint account
+    assert.equal(rpc.callsOf("getMinimumBalanceForRentExemption").length, 1);
+
+    const creatorAta = getAssociatedTokenAddressSync(new PublicKey(minting.mintAddress), new PublicKey(creator.wallet));
+    assert.equal(rpc.callsOf("getAccountInfo")[accountLookups].params[0], creatorAta.toBase58());
+
+    const { json: snap } = await srv.call("GET", "/api/admin/export?assets=0");
+    const mintLogs = Object.values(snap.collections.logs).filter((l) => l.coinId === id && l.type.startsWith("coin_mint"));
+    assert.deepEqual(
+      mintLogs.map((l) => [l.type, l.mint]),
+      [
+        ["coin_mint_failed", minting.mintAddress],
+        ["coin_mint_failed", minting.mintAddress],
+      ]
+    );
+  } finally {
+    await srv.stop();
+    await rpc.close();
+  }
+});
@@ -0,0 +1,117 @@
+// Two transactions read the same document, then both write it: the adapter must reject the
+// second commit with ConflictError and the storage layer must re-run it on fresh data.
+// Postgres runs when TEST_DATABASE_URL points at a throwaway database.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+
+import { openStorage } from "../storage/index.js";
+import { hasNodeSqlite } from "./helpers/server.js";
+
+const TEST_DATABASE_URL = process.env.TEST_DATABASE_URL || "";
+
+// Just enough of supabase-js for the single-row blob adapter: filters on id and
+// data->>version, evaluated when the query is awaited.
+function fakeSupabase() {
+  const rows = new Map();
+  const matches = (row, filters) =>
+    filters.every(([col, v]) => (col === "id" ? row.id === v : String(row.data?.version) === v));
+
+  return {
+    from() {
+      const q = { op: "select", filters: [], single: false };
+      const run = async () => {
+        await new Promise((r) => setImmediate(r)); // let the other transaction interleave
+        const hit = [...rows.values()].filter((row) => matches(row, q.filters));
+        if (q.op === "select") {
+          const data = hit.map((row) => ({ data: structuredClone(row.data) }));
+          return { data: q.single ? data[0] || null : data, error: null };
+        }
+        if (q.op === "insert" && rows.has(q.row.id)) return { data: null, error: { code: "23505", message: "duplicate key" } };
+        if (q.op === "insert" || q.op === "upsert") {
+          rows.set(q.row.id, structuredClone(q.row));
+          return { data: [{ id: q.row.id }], error: null };
+        }
+        for (const row of hit) row.data = structuredClone(q.patch.data);
+        return { data: hit.map((row) => ({ id: row.id })), error: null };
+      };
+      const chain = (patch) => {
+        Object.assign(q, patch);
+        return b;
+      };
+      const b = {
+        select: () => b,
+        insert: (row) => chain({ op: "insert", row }),
+        upsert: (row) => chain({ op: "upsert", row }),
+        update: (patch) => chain({ op: "update", patch }),
+        eq: (col, v) => chain({ filters: [...q.filters, [col, v]] }),
+        maybeSingle: () => chain({ single: true }),
+        then: (resolve, reject) => run().then(resolve, reject),
+      };
+      return b;
+    },
+  };
+}
+
+const ADAPTERS = [
+  { mode: "memory", open: () => openStorage("memory") },
+  {
+    mode: "file",
+    open: (dir) =>
+      openStorage("file", { filePath: path.join(dir, "db.json"), journalPath: path.join(dir, "db.journal.ndjson") }),
+  },
+  {
+    mode: "sqlite",
+    skip: !hasNodeSqlite && "node:sqlite needs Node 22.5+",
+    open: (dir) => openStorage("sqlite", { sqlitePath: path.join(dir, "db.sqlite") }),
+  },
+  {
+    mode: "postgres",
+    skip: !TEST_DATABASE_URL && "set TEST_DATABASE_URL to run",
+    open: () => openStorage("postgres", { databaseUrl: TEST_DATABASE_URL }),
+  },
+  { mode: "supabase", open: () => openStorage("supabase", { supabase: fakeSupabase(), supabaseTable: "store" }) },
+];
+
+// Both callbacks read, wait for each other, then write. Returns how often the callbacks ran.
+async function racingIncrements(db, id) {
+  let attempts = 0;
+  let arrived = 0;
+  let open;
+  const bothRead = new Promise((r) => (open = r));
+
+  const increment = () =>
+    db.transaction(async (t) => {
+      attempts++;
+      const p = await t.profiles.get(id);
+      if (++arrived === 2) open();
+      await bothRead;
+      p.balanceSol += 1;
+      t.profiles.put(id, p);
+    });
+
+  await Promise.all([increment(), increment()]);
+  return attempts;
+}
+
+for (const { mode, skip, open } of ADAPTERS) {
+  test(`a conflicting commit is retried on fresh data (${mode})`, { skip }, async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "storage-conflict-"));
+    let db;
+    try {
+      db = await open(dir);
+      const id = `conflict-${Date.now()}`;
+      await db.transaction((t) => t.profiles.put(id, { wallet: id, balanceSol: 0 }));
+
+      assert.equal(await racingIncrements(db, id), 3); // 2 callbacks + 1 retry
+      assert.equal((await db.profiles.get(id)).balanceSol, 2);
+
+      await db.transaction((t) => t.profiles.remove(id));
+    } finally {
+      await db?.close();
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+}
@@ -0,0 +1,173 @@
+// The withdraw queue against a mock RPC, funded through the deposit watcher: a request holds
+// its SOL in `pending`, the worker signs and sends it, and the chain's answer (or the
+// blockhash expiring) settles it as SENT (paid out) or FAILED (refunded). Rows left PROCESSING
+// by a send error or a crash are settled from the stored signature.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { Keypair, LAMPORTS_PER_SOL, SystemInstruction, Transaction } from "@solana/web3.js";
+
+import { startMockRpc } from "./helpers/rpc.js";
+import { sleep, startServer, waitFor } from "./helpers/server.js";
+
+const EPS = 1e-9;
+
+async function setup(t, env = {}) {
+  const rpc = await startMockRpc();
+  const treasury = Keypair.generate();
+  const depositAddress = Keypair.generate().publicKey.toBase58();
+  const serverEnv = {
+    DB_MODE: "file",
+    SOLANA_RPC: rpc.url,
+    TREASURY_SECRET_KEY: JSON.stringify([...treasury.secretKey]),
+    DEPOSIT_WATCH: "1",
+    DEPOSIT_ADDRESS: depositAddress,
+    DEPOSIT_POLL_MS: "50",
+    WITHDRAW_HOLD_MS: "500",
+    WITHDRAW_PROCESS_MS: "100",
+    WITHDRAW_STALE_MS: "500",
+    ...env,
+  };
+  const ctx = { rpc, treasury, env: serverEnv, srv: await startServer(serverEnv) };
+  t.after(async () => {
+    await ctx.srv.stop();
+    await rpc.close();
+  });
+
+  const user = await ctx.srv.signIn();
+  rpc.deposit({ from: user.wallet, to: depositAddress, lamports: 2 * LAMPORTS_PER_SOL });
+  await waitFor(async () => (await balanceOf(ctx, user.wallet)) === 2, { what: "deposit credited" });
+  return { ctx, rpc, treasury, user };
+}
+
+async function balanceOf({ srv }, wallet) {
+  return (await srv.call("GET", `/api/profile/${wallet}`)).json.profile.balanceSol;
+}
+
+async function withdraw({ srv }, user, sol) {
+  const to = Keypair.generate().publicKey.toBase58();
+  const { json } = await srv.call("POST", "/api/withdraw/manual", { wallet: user.wallet, to, sol }, user);
+  assert.equal(json.ok, true, JSON.stringify(json));
+  return { id: json.id, to };
+}
+
+// Through the profile (no session needed, so it works across a restart too).
+async function withdrawal({ srv }, user, id) {
+  return (await srv.call("GET", `/api/profile/${user.wallet}`)).json.withdrawals.find((w) => w.id === id);
+}
+
+function waitForStatus(ctx, user, id, status) {
+  return waitFor(
+    async () => {
+      const w = await withdrawal(ctx, user, id);
+      return w.status === status && w;
+    },
+    { what: `withdrawal ${status}` }
+  );
+}
+
+// Ledger lamports per account for one withdrawal and its entry in the wallet's history, after
+// a clean reconcile audit.
+async function books({ srv }, user, withdrawalId) {
+  const { json: audit } = await srv.call("GET", "/api/admin/reconcile");
+  assert.equal(audit.issueCount, 0, JSON.stringify(audit.issues));
+
+  const { json: snap } = await srv.call("GET", "/api/admin/export?assets=0");
+  const byAccount = {};
+  for (const l of Object.values(snap.collections.ledger)) {
+    if (l.withdrawalId === withdrawalId) byAccount[l.account] = (byAccount[l.account] || 0) + l.lamports;
+  }
+  const tx = snap.collections.profiles[user.wallet].txs.find((x) => x.withdrawalId === withdrawalId);
+  return { byAccount, tx };
+}
+
+test("a payout is held while PENDING, sent by the treasury and paid out as SENT", async (t) => {
+  const { ctx, rpc, treasury, user } = await setup(t);
+
+  const { id, to } = await withdraw(ctx, user, 0.5);
+  assert.equal((await withdrawal(ctx, user, id)).status, "PENDING");
+  assert.ok(Math.abs((await balanceOf(ctx, user.wallet)) - 1.5) < EPS);
+  assert.deepEqual((await books(ctx, user, id)).byAccount, { [`user:${user.wallet}`]: -0.5e9, pending: 0.5e9 });
+
+  const w = await waitForStatus(ctx, user, id, "SENT");
+  assert.equal(rpc.sent.length, 1);
+  assert.equal(w.signature, rpc.sent[0].signature);
+  assert.equal(rpc.callsOf("signatureSubscribe").length, 1); // confirmed while sending
+  const transfer = SystemInstruction.decodeTransfer(Transaction.from(rpc.sent[0].wire).instructions[0]);
+  assert.equal(transfer.fromPubkey.toBase58(), treasury.publicKey.toBase58());
+  assert.equal(transfer.toPubkey.toBase58(), to);
+  assert.equal(Number(transfer.lamports), 0.5e9);
+
+  const { byAccount, tx } = await books(ctx, user, id);
+  assert.deepEqual(byAccount, { [`user:${user.wallet}`]: -0.5e9, pending: 0, payouts: 0.5e9 });
+  assert.ok(Math.abs((await balanceOf(ctx, user.wallet)) - 1.5) < EPS);
+  assert.equal(tx?.signature, w.signature);
+});
+
+test("a transfer that fails on chain is FAILED and refunded", async (t) => {
+  const { ctx, rpc, user } = await setup(t);
+  rpc.onSend = "fail";
+
+  const { id } = await withdraw(ctx, user, 0.3);
+  const w = await waitForStatus(ctx, user, id, "FAILED");
+  assert.match(w.error, /^Transfer failed/);
+
+  const { byAccount, tx } = await books(ctx, user, id);
+  assert.deepEqual(byAccount, { [`user:${user.wallet}`]: 0, pending: 0 });
+  assert.ok(Math.abs((await balanceOf(ctx, user.wallet)) - 2) < EPS);
+  assert.equal(tx?.status, "FAILED");
+});
+
+test("a send error leaves the payout PROCESSING until the chain answers for its signature", async (t) => {
+  const { ctx, rpc, user } = await setup(t);
+  rpc.fail.add("sendTransaction"); // the RPC errors, but the transfer may still land
+  rpc.validFor = 1e6; // every status check moves the mock chain on a block
+
+  const landed = await withdraw(ctx, user, 0.4);
+  const expired = await withdraw(ctx, user, 0.2);
+  const signed = (id) =>
+    waitFor(
+      async () => {
+        const w = await withdrawal(ctx, user, id);
+        return w.status === "PROCESSING" && w.signature && w;
+      },
+      { what: "signed and PROCESSING" }
+    );
+  const [a, b] = [await signed(landed.id), await signed(expired.id)];
+
+  // Past WITHDRAW_STALE_MS with no answer: still held, nothing refunded.
+  await sleep(1000);
+  assert.equal((await withdrawal(ctx, user, a.id)).status, "PROCESSING");
+  assert.equal((await withdrawal(ctx, user, b.id)).status, "PROCESSING");
+  assert.deepEqual((await books(ctx, user, a.id)).byAccount, { [`user:${user.wallet}`]: -0.4e9, pending: 0.4e9 });
+  assert.ok(Math.abs((await balanceOf(ctx, user.wallet)) - 1.4) < EPS);
+
+  // One turns up on chain; the other's blockhash runs out without it.
+  rpc.land(a.signature);
+  assert.equal((await waitForStatus(ctx, user, a.id, "SENT")).signature, a.signature);
+  rpc.height += rpc.validFor + 1;
+  assert.equal((await waitForStatus(ctx, user, b.id, "FAILED")).error, "Transfer expired before landing");
+
+  assert.deepEqual((await books(ctx, user, a.id)).byAccount, { [`user:${user.wallet}`]: -0.4e9, pending: 0, payouts: 0.4e9 });
+  assert.deepEqual((await books(ctx, user, b.id)).byAccount, { [`user:${user.wallet}`]: 0, pending: 0 });
+  assert.ok(Math.abs((await balanceOf(ctx, user.wallet)) - 1.6) < EPS);
+  assert.equal(rpc.sent.length, 0);
+});
+
+test("a payout cut off before it was signed is FAILED and refunded after a restart", async (t) => {
+  const { ctx, rpc, user } = await setup(t);
+  rpc.hang.add("getLatestBlockhash");
+
+  const { id } = await withdraw(ctx, user, 0.5);
+  await waitForStatus(ctx, user, id, "PROCESSING");
+  assert.equal((await withdrawal(ctx, user, id)).signature, "");
+
+  await ctx.srv.stop({ signal: "SIGKILL", keepData: true });
+  rpc.hang.delete("getLatestBlockhash");
+  ctx.srv = await startServer(ctx.env, { dir: ctx.srv.dir });
+
+  const w = await waitForStatus(ctx, user, id, "FAILED");
+  assert.equal(w.error, "Payout interrupted before sending");
+  assert.equal(rpc.sent.length, 0);
+  assert.deepEqual((await books(ctx, user, id)).byAccount, { [`user:${user.wallet}`]: 0, pending: 0 });
+  assert.ok(Math.abs((await balanceOf(ctx, user.wallet)) - 2) < EPS);
+});
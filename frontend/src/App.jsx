@@ -1,6 +1,10 @@
 import { useEffect, useMemo, useRef, useState } from "react";
-import { usePrivy } from "@privy-io/react-auth";
-import { useExportWallet } from "@privy-io/react-auth/solana";
+import { useIdentityToken, usePrivy } from "@privy-io/react-auth";
+import {
+  useExportWallet,
+  useSignMessage,
+  useWallets,
+} from "@privy-io/react-auth/solana";
 
 const API_BASE =
   (import.meta?.env?.VITE_API_BASE || "http://localhost:5000").trim();
@@ -651,30 +655,121 @@ function Pager({ pages, pageIndex, setPageIndex }) {
   );
 }
 
-async function apiGet(path) {
-  const r = await fetch(`${API_BASE}${path}`);
-  return r.json();
+// Wallet-signature session: the backend issues a short-lived token after the
+// Privy embedded wallet signs a nonce message (see /api/auth/challenge).
+let authSigner = null; // async (address, messageBytes) => Uint8Array
+let authSession = null; // { wallet, token, exp }
+let authPending = null;
+// Privy access/identity token getter; verified by the backend's privyAuth middleware.
+let privyTokenGetter = null; // async () => string | null
+
+function setAuthSigner(fn) {
+  authSigner = fn;
+}
+function setPrivyTokenGetter(fn) {
+  privyTokenGetter = fn;
 }
-async function apiPost(path, body) {
+async function getPrivyToken() {
+  try {
+    return (await privyTokenGetter?.()) || "";
+  } catch {
+    return "";
+  }
+}
+function clearAuthSession() {
+  authSession = null;
+  authPending = null;
+}
+function bytesToBase64(bytes) {
+  let bin = "";
+  for (const b of bytes) bin += String.fromCharCode(b);
+  return btoa(bin);
+}
+
+async function rawPost(path, body, headers = {}, method = "POST") {
   const r = await fetch(`${API_BASE}${path}`, {
-    method: "POST",
-    headers: { "Content-Type": "application/json" },
+    method,
+    headers: { "Content-Type": "application/json", ...headers },
     body: JSON.stringify(body),
   });
   return r.json();
 }
-async function apiPostTry(paths, body) {
-  let last = null;
-  for (const p of paths) {
-    try {
-      const res = await apiPost(p, body);
-      last = res;
-      if (res?.ok) return res;
-    } catch (e) {
-      last = { ok: false, error: String(e?.message || e) };
-    }
+
+async function signIn(wallet) {
+  if (!authSigner) throw new Error("Wallet not ready");
+  const ch = await rawPost("/api/auth/challenge", { wallet });
+  if (!ch?.ok) throw new Error(ch?.error || "Auth challenge failed");
+
+  const sig = await authSigner(wallet, new TextEncoder().encode(ch.message));
+  const v = await rawPost("/api/auth/verify", {
+    wallet,
+    nonce: ch.nonce,
+    signature: bytesToBase64(sig),
+  });
+  if (!v?.ok) throw new Error(v?.error || "Auth failed");
+
+  authSession = { wallet, token: v.token, exp: Number(v.expiresAt || 0) };
+  return authSession.token;
+}
+
+async function getAuthToken(wallet) {
+  if (
+    authSession?.wallet === wallet &&
+    authSession.exp - Date.now() > 30 * 1000
+  ) {
+    return authSession.token;
   }
-  return last || { ok: false, error: "No endpoint responded" };
+  if (!authPending) {
+    authPending = signIn(wallet).finally(() => {
+      authPending = null;
+    });
+  }
+  return authPending;
+}
+
+async function apiGet(path) {
+  const token = await getPrivyToken();
+  const r = await fetch(`${API_BASE}${path}`, {
+    headers: token ? { Authorization: `Bearer ${token}` } : {},
+  });
+  return r.json();
+}
+// send(headers) -> json; retried with whichever auth the backend accepts.
+async function withAuth(wallet, send) {
+  const privyToken = await getPrivyToken();
+  if (privyToken) {
+    const res = await send({ Authorization: `Bearer ${privyToken}` });
+    if (!res?.authRequired) return res;
+  }
+
+  // Fallback: wallet-signature session (backend without Privy verification configured).
+  if (!wallet) return send({});
+
+  let token;
+  try {
+    token = await getAuthToken(wallet);
+  } catch (e) {
+    return { ok: false, error: String(e?.message || e) };
+  }
+
+  const res = await send({ Authorization: `Bearer ${token}` });
+  if (res?.authRequired) {
+    clearAuthSession();
+    token = await getAuthToken(wallet);
+    return send({ Authorization: `Bearer ${token}` });
+  }
+  return res;
+}
+function apiPost(path, body, method = "POST") {
+  const wallet = body?.wallet || body?.creatorWallet || "";
+  return withAuth(wallet, (headers) => rawPost(path, body, headers, method));
+}
+function apiPatch(path, body) {
+  return apiPost(path, body, "PATCH");
+}
+// GET for routes that only answer the signed-in wallet (e.g. one of its withdrawals).
+function apiGetAs(wallet, path) {
+  return withAuth(wallet, (headers) => fetch(`${API_BASE}${path}`, { headers }).then((r) => r.json()));
 }
 
 function isValidSymbol(s) {
@@ -690,6 +785,61 @@ function isValidStory(s) {
   const v = (s || "").trim();
   return v.length >= 20 && v.length <= 300;
 }
+const LINK_FIELDS = [
+  { key: "website", label: "Website", placeholder: "https://..." },
+  { key: "x", label: "X / Twitter", placeholder: "https://x.com/..." },
+  { key: "telegram", label: "Telegram", placeholder: "https://t.me/..." },
+];
+const LINK_HOSTS = { x: ["x.com", "twitter.com"], telegram: ["t.me", "telegram.me"] };
+function isValidLink(key, s) {
+  const v = (s || "").trim();
+  if (!v) return true;
+  try {
+    const u = new URL(v);
+    if (u.protocol !== "https:" && u.protocol !== "http:") return false;
+    const host = u.hostname.toLowerCase().replace(/^www\./, "");
+    return !LINK_HOSTS[key] || LINK_HOSTS[key].includes(host);
+  } catch {
+    return false;
+  }
+}
+function linkError(key, s) {
+  if (isValidLink(key, s)) return "";
+  return LINK_HOSTS[key] ? `Link ${LINK_HOSTS[key].join(" / ")} ka hona chahiye` : "Valid http(s) URL chahiye";
+}
+function fileToDataUrl(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(String(reader.result || ""));
+    reader.onerror = reject;
+    reader.readAsDataURL(file);
+  });
+}
+// Picked logo (data URL preview) -> raw upload -> "/api/asset/<hash>" for coin.logo.
+async function uploadLogo(dataUrl, wallet) {
+  const blob = await (await fetch(dataUrl)).blob();
+  return withAuth(wallet, async (headers) => {
+    const r = await fetch(`${API_BASE}/api/upload/logo`, {
+      method: "POST",
+      headers: { "Content-Type": blob.type || "application/octet-stream", ...headers },
+      body: blob,
+    });
+    return r.json();
+  });
+}
+// coin.logo is an asset path on the backend (thumbnails via ?size=64|256); old coins may
+// still carry an inline data URL.
+function logoSrc(logo, px) {
+  if (!logo || !logo.startsWith("/api/asset/")) return logo || "";
+  return `${API_BASE}${logo}${px ? `?size=${px}` : ""}`;
+}
+function logoFileError(file) {
+  const okType = ["image/png", "image/jpeg", "image/jpg", "image/webp"].includes(file.type);
+  if (!okType) return "PNG/JPG/WEBP only";
+  if (file.size > MAX_LOGO_BYTES) return "Logo 5MB se chota hona chahiye";
+  if (file.size < 10 * 1024) return "Logo bohat choti (min 10KB)";
+  return "";
+}
 function ensureCoinShape(c) {
   const live = c?.status === "LIVE";
   const baseMC = live ? Number(c?.mc || STARTING_MC_USD) : 0;
@@ -710,12 +860,21 @@ function ensureCoinShape(c) {
     volumeSol: Number(c?.volumeSol || 0),
     creatorRewardsSol: Number(c?.creatorRewardsSol || 0),
     totalSupply: Number(c?.totalSupply || 0),
+    links: { website: "", x: "", telegram: "", ...(c?.links || {}) },
   };
 }
 function fmtTime(t) {
   const d = new Date(t);
   return d.toLocaleString();
 }
+// Age of something from a duration in ms ("3h pehle").
+function fmtAgo(ms) {
+  const s = Math.max(0, Math.floor(Number(ms || 0) / 1000));
+  if (s < 60) return "abhi";
+  if (s < 3600) return `${Math.floor(s / 60)}m pehle`;
+  if (s < 86400) return `${Math.floor(s / 3600)}h pehle`;
+  return `${Math.floor(s / 86400)}d pehle`;
+}
 function shortWallet(w) {
   const s = String(w || "");
   if (s.length <= 10) return s;
@@ -741,8 +900,102 @@ function pctFromChart(chart) {
   return ((b - a) / a) * 100;
 }
 
+const WITHDRAW_OPEN = ["PENDING", "PROCESSING"];
+
+function WithdrawalList({ items, onCancel, cancelling }) {
+  if (!items.length) return null;
+  return (
+    <div style={{ marginTop: 10, display: "grid", gap: 8 }}>
+      {items.map((w) => (
+        <div
+          key={w.id}
+          style={{
+            padding: 10,
+            borderRadius: 14,
+            border: "1px solid var(--border)",
+            background: "rgba(255,255,255,.03)",
+            display: "flex",
+            justifyContent: "space-between",
+            alignItems: "center",
+            gap: 10,
+          }}
+        >
+          <div>
+            <div style={{ fontWeight: 950 }}>{Number(w.sol || 0).toFixed(4)} SOL</div>
+            <div style={{ marginTop: 4, color: "var(--muted)", fontSize: 12 }}>
+              → {shortWallet(w.to)} • {fmtTime(w.createdAt)}
+            </div>
+          </div>
+          <div style={{ display: "flex", gap: 8, alignItems: "center" }}>
+            <Pill tone="warn">{w.status}</Pill>
+            {w.status === "PENDING" ? (
+              <MiniBtn
+                tone="danger"
+                disabled={cancelling === w.id}
+                onClick={() => onCancel(w.id)}
+                style={{ padding: "8px 10px", borderRadius: 12 }}
+              >
+                {cancelling === w.id ? "…" : "Cancel"}
+              </MiniBtn>
+            ) : null}
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+const TRADES_PAGE = 30;
+
+// /api/coin/list queries behind the HOME / LATEST sections. "change" sorts by the last sparkline
+// move, biggest gain first, and minChange=15 leaves only the +15% moon shots.
+const MARKET_SECTIONS = {
+  movers: "sort=change&status=LIVE&limit=10",
+  moonshots: "sort=change&status=LIVE&minChange=15&limit=10",
+  topVolume: "sort=volume&status=LIVE&limit=20",
+};
+
+function TradeList({ items, symbol, me }) {
+  if (!items.length) {
+    return <div style={{ color: "var(--muted)", fontSize: 12 }}>Abhi tak koi trade nahi hua.</div>;
+  }
+  return (
+    <div style={{ display: "grid", gap: 8 }}>
+      {items.map((t) => (
+        <div
+          key={t.id}
+          style={{
+            padding: 10,
+            borderRadius: 14,
+            border: "1px solid var(--border)",
+            background: "rgba(255,255,255,.03)",
+            display: "flex",
+            justifyContent: "space-between",
+            alignItems: "center",
+            gap: 10,
+          }}
+        >
+          <div>
+            <div style={{ fontWeight: 950 }}>
+              {Number(t.sol || 0).toFixed(4)} SOL
+              <span style={{ color: "var(--muted)", fontWeight: 700 }}>
+                {" "}
+                • {Math.round(Number(t.tokens || 0)).toLocaleString()} {symbol}
+              </span>
+            </div>
+            <div style={{ marginTop: 4, color: "var(--muted)", fontSize: 12 }}>
+              {t.wallet === me ? "You" : shortWallet(t.wallet)} • {fmtTime(t.t)} • MC {fmtUsd(t.mc)}
+            </div>
+          </div>
+          <Pill tone={t.side === "BUY" ? "good" : "danger"}>{t.side}</Pill>
+        </div>
+      ))}
+    </div>
+  );
+}
+
 function CoinLogo({ c, size = 46 }) {
-  const src = c?.logo || "";
+  const src = logoSrc(c?.logo, size <= 32 ? 64 : 256);
   const has = !!src;
   return (
     <div
@@ -871,48 +1124,117 @@ function CoinMiniCard({ c, subtitle, tag, accent = "var(--primary)", onOpen }) {
   );
 }
 
-function PriceChart({ points, txMarkers, mode, onToggleMode }) {
+// Candle timeframes the chart offers (the backend also keeps 15m).
+const CHART_TFS = [
+  { tf: "1m", ms: 60 * 1000 },
+  { tf: "5m", ms: 5 * 60 * 1000 },
+  { tf: "1h", ms: 60 * 60 * 1000 },
+  { tf: "1d", ms: 24 * 60 * 60 * 1000 },
+];
+const CHART_SLOTS = 60; // buckets across the chart, ending at the newest candle
+
+function fmtCandleTime(t, tf) {
+  const d = new Date(t);
+  if (tf === "1d") return d.toLocaleDateString();
+  return d.toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" });
+}
+
+// Candles (or a close line) on a real time axis, volume bars underneath and my trades at
+// their timestamps. Without candles (draft / no trades yet) it falls back to the sparkline.
+function PriceChart({ points, candles, tf, onTfChange, view, onToggleView, txMarkers, mode, onToggleMode }) {
   const W = 1000;
   const H = 380;
   const PAD = 18;
+  const PRICE_BOTTOM = 290;
+  const VOL_TOP = 305;
+
+  const [hoverSlot, setHoverSlot] = useState(null);
+
+  const ms = (CHART_TFS.find((x) => x.tf === tf) || CHART_TFS[1]).ms;
+  const all = Array.isArray(candles) ? candles : [];
+  const end = all.length ? all[all.length - 1].t + ms : 0;
+  const start = end - CHART_SLOTS * ms;
+  const shown = all.filter((k) => k.t >= start);
+  const hasCandles = shown.length > 0;
 
   const safePoints =
     Array.isArray(points) && points.length ? points : [0, 0, 0, 0, 0];
-  const min = Math.min(...safePoints);
-  const max = Math.max(...safePoints);
+  const min = hasCandles ? Math.min(...shown.map((k) => k.l)) : Math.min(...safePoints);
+  const max = hasCandles ? Math.max(...shown.map((k) => k.h)) : Math.max(...safePoints);
   const span = Math.max(1, max - min);
+  const maxVol = Math.max(0, ...shown.map((k) => Number(k.v || 0)));
 
   const bg = mode === "dark" ? "#0B0F1D" : "#FFFFFF";
   const border = mode === "dark" ? "rgba(255,255,255,.10)" : "rgba(0,0,0,.10)";
   const text = mode === "dark" ? "rgba(255,255,255,.75)" : "rgba(0,0,0,.65)";
+  const ink = mode === "dark" ? "rgba(255,255,255,.35)" : "rgba(0,0,0,.30)";
+  const up = "#16C784";
+  const down = "#FF4D4D";
 
-  const xFor = (i) =>
-    PAD + (i * (W - PAD * 2)) / Math.max(1, safePoints.length - 1);
+  const slotW = (W - PAD * 2) / CHART_SLOTS;
+  const xForTime = (t) => PAD + ((t - start) / ms) * slotW;
   const yFor = (v) => {
     const t = (Number(v) - min) / span;
-    return PAD + (1 - t) * (H - PAD * 2);
+    return PAD + (1 - t) * (PRICE_BOTTOM - PAD);
   };
 
   let d = "";
-  safePoints.forEach((v, i) => {
-    const x = xFor(i);
-    const y = yFor(v);
-    d += i === 0 ? `M ${x} ${y}` : ` L ${x} ${y}`;
-  });
+  if (hasCandles) {
+    shown.forEach((k, i) => {
+      const x = xForTime(k.t) + slotW / 2;
+      d += i === 0 ? `M ${x} ${yFor(k.c)}` : ` L ${x} ${yFor(k.c)}`;
+    });
+  } else {
+    safePoints.forEach((v, i) => {
+      const x = PAD + (i * (W - PAD * 2)) / Math.max(1, safePoints.length - 1);
+      d += i === 0 ? `M ${x} ${yFor(v)}` : ` L ${x} ${yFor(v)}`;
+    });
+  }
 
-  const dots = Array.isArray(txMarkers) ? txMarkers.slice(0, 20) : [];
-  const dotItems = dots.map((t, idx) => {
-    const i = Math.max(0, safePoints.length - 1 - idx * 2);
-    const x = xFor(i);
-    const y = yFor(safePoints[i]);
-    const side = String(t.side || "").toUpperCase();
-    const fill = side === "SELL" ? "#FF4D4D" : "#16C784";
-    return { x, y, fill, id: t.id || `${idx}` };
-  });
+  const candleAt = (t) => shown.find((k) => k.t <= t && t < k.t + ms) || null;
+
+  const dots = hasCandles && Array.isArray(txMarkers) ? txMarkers.slice(0, 20) : [];
+  const dotItems = dots
+    .filter((t) => Number(t.t) >= start && Number(t.t) < end)
+    .map((t, idx) => {
+      const k = candleAt(Number(t.t));
+      const side = String(t.side || "").toUpperCase();
+      return {
+        x: xForTime(Number(t.t)),
+        y: yFor(k ? k.c : shown[shown.length - 1].c),
+        fill: side === "SELL" ? down : up,
+        id: t.id || `${idx}`,
+      };
+    });
 
-  const lastV = safePoints[safePoints.length - 1];
+  const hovered = hasCandles && hoverSlot != null ? candleAt(start + hoverSlot * ms) : null;
+  const lastV = hasCandles ? shown[shown.length - 1].c : safePoints[safePoints.length - 1];
   const label = Number(lastV || 0) ? fmtUsd(lastV) : "—";
 
+  function pointerAt(e, clientX) {
+    const svg = e.currentTarget;
+    const m = svg.getScreenCTM();
+    if (!m || !hasCandles) return;
+    const pt = svg.createSVGPoint();
+    pt.x = clientX;
+    pt.y = 0;
+    const x = pt.matrixTransform(m.inverse()).x;
+    setHoverSlot(Math.max(0, Math.min(CHART_SLOTS - 1, Math.floor((x - PAD) / slotW))));
+  }
+
+  const pillBtn = (active) => ({
+    padding: "8px 10px",
+    borderRadius: 999,
+    border: active ? "2px solid var(--primary)" : `1px solid ${border}`,
+    background: mode === "dark" ? "rgba(255,255,255,.06)" : "rgba(0,0,0,.04)",
+    color: mode === "dark" ? "rgba(255,255,255,.85)" : "rgba(0,0,0,.75)",
+    cursor: "pointer",
+    fontWeight: 900,
+    fontSize: 12,
+  });
+
+  const ticks = hasCandles ? [0, 1, 2, 3].map((i) => start + (i * CHART_SLOTS * ms) / 3) : [];
+
   return (
     <div
       style={{
@@ -929,6 +1251,7 @@ function PriceChart({ points, txMarkers, mode, onToggleMode }) {
           alignItems: "center",
           justifyContent: "space-between",
           gap: 10,
+          flexWrap: "wrap",
           borderBottom: `1px solid ${border}`,
         }}
       >
@@ -939,55 +1262,152 @@ function PriceChart({ points, txMarkers, mode, onToggleMode }) {
           </span>
         </div>
 
-        <button
-          onClick={onToggleMode}
-          style={{
-            padding: "8px 10px",
-            borderRadius: 999,
-            border: `1px solid ${border}`,
-            background:
-              mode === "dark"
-                ? "rgba(255,255,255,.06)"
-                : "rgba(0,0,0,.04)",
-            color:
-              mode === "dark"
-                ? "rgba(255,255,255,.85)"
-                : "rgba(0,0,0,.75)",
-            cursor: "pointer",
-            fontWeight: 900,
-            fontSize: 12,
-          }}
-          title="Toggle chart theme"
+        <div style={{ display: "flex", gap: 6, flexWrap: "wrap" }}>
+          {CHART_TFS.map((x) => (
+            <button key={x.tf} onClick={() => onTfChange(x.tf)} style={pillBtn(x.tf === tf)}>
+              {x.tf}
+            </button>
+          ))}
+          <button onClick={onToggleView} style={pillBtn(false)} title="Candles / line">
+            {view === "LINE" ? "Line" : "Candles"}
+          </button>
+          <button onClick={onToggleMode} style={pillBtn(false)} title="Toggle chart theme">
+            {mode === "dark" ? "Dark" : "Light"} ▾
+          </button>
+        </div>
+      </div>
+
+      <div style={{ position: "relative" }}>
+        {hovered ? (
+          <div
+            style={{
+              position: "absolute",
+              top: 8,
+              ...(hoverSlot < CHART_SLOTS / 2 ? { right: 8 } : { left: 8 }),
+              padding: "6px 8px",
+              borderRadius: 10,
+              border: `1px solid ${border}`,
+              background: bg,
+              color: text,
+              fontSize: 11,
+              fontWeight: 800,
+              lineHeight: 1.5,
+              pointerEvents: "none",
+            }}
+          >
+            <div>{fmtTime(hovered.t)}</div>
+            <div>
+              O {fmtUsd(hovered.o)} • H {fmtUsd(hovered.h)}
+            </div>
+            <div>
+              L {fmtUsd(hovered.l)} • C{" "}
+              <span style={{ color: hovered.c >= hovered.o ? up : down }}>{fmtUsd(hovered.c)}</span>
+            </div>
+            <div>
+              Vol {Number(hovered.v || 0).toFixed(4)} SOL • {hovered.n} trades
+            </div>
+          </div>
+        ) : null}
+
+        <svg
+          viewBox={`0 0 ${W} ${H}`}
+          width="100%"
+          height="340"
+          style={{ display: "block", touchAction: "pan-y" }}
+          onMouseMove={(e) => pointerAt(e, e.clientX)}
+          onMouseLeave={() => setHoverSlot(null)}
+          onTouchStart={(e) => pointerAt(e, e.touches[0].clientX)}
+          onTouchMove={(e) => pointerAt(e, e.touches[0].clientX)}
+          onTouchEnd={() => setHoverSlot(null)}
         >
-          {mode === "dark" ? "Dark" : "Light"} ▾
-        </button>
+          {shown.map((k) => {
+            const x = xForTime(k.t);
+            const h = maxVol > 0 ? (Number(k.v || 0) / maxVol) * (H - PAD - VOL_TOP) : 0;
+            return (
+              <rect
+                key={`v${k.t}`}
+                x={x + slotW * 0.2}
+                y={H - PAD - h}
+                width={slotW * 0.6}
+                height={h}
+                fill={k.c >= k.o ? up : down}
+                opacity="0.35"
+              />
+            );
+          })}
+
+          {view === "LINE" || !hasCandles ? (
+            <path
+              d={d}
+              fill="none"
+              stroke={ink}
+              strokeWidth="2"
+              strokeLinejoin="round"
+              strokeLinecap="round"
+            />
+          ) : (
+            shown.map((k) => {
+              const cx = xForTime(k.t) + slotW / 2;
+              const top = yFor(Math.max(k.o, k.c));
+              const fill = k.c >= k.o ? up : down;
+              return (
+                <g key={k.t}>
+                  <line x1={cx} x2={cx} y1={yFor(k.h)} y2={yFor(k.l)} stroke={fill} strokeWidth="2" />
+                  <rect
+                    x={cx - slotW * 0.3}
+                    y={top}
+                    width={slotW * 0.6}
+                    height={Math.max(2, yFor(Math.min(k.o, k.c)) - top)}
+                    fill={fill}
+                  />
+                </g>
+              );
+            })
+          )}
+
+          {dotItems.map((p) => (
+            <circle
+              key={p.id}
+              cx={p.x}
+              cy={p.y}
+              r="6"
+              fill={p.fill}
+              stroke={bg}
+              strokeWidth="2"
+              opacity="0.95"
+            />
+          ))}
+
+          {hoverSlot != null && hasCandles ? (
+            <g stroke={ink} strokeWidth="1" strokeDasharray="4 4">
+              <line
+                x1={PAD + (hoverSlot + 0.5) * slotW}
+                x2={PAD + (hoverSlot + 0.5) * slotW}
+                y1={PAD}
+                y2={H - PAD}
+              />
+              {hovered ? <line x1={PAD} x2={W - PAD} y1={yFor(hovered.c)} y2={yFor(hovered.c)} /> : null}
+            </g>
+          ) : null}
+        </svg>
       </div>
 
-      <svg
-        viewBox={`0 0 ${W} ${H}`}
-        width="100%"
-        height="340"
-        style={{ display: "block" }}
-      >
-        <path
-          d={d}
-          fill="none"
-          stroke={mode === "dark" ? "rgba(255,255,255,.35)" : "rgba(0,0,0,.30)"}
-          strokeWidth="2"
-          strokeLinejoin="round"
-          strokeLinecap="round"
-        />
-        {dotItems.map((p) => (
-          <circle
-            key={p.id}
-            cx={p.x}
-            cy={p.y}
-            r="6"
-            fill={p.fill}
-            opacity="0.95"
-          />
-        ))}
-      </svg>
+      {ticks.length ? (
+        <div
+          style={{
+            display: "flex",
+            justifyContent: "space-between",
+            padding: "0 10px 8px",
+            fontSize: 11,
+            color: text,
+            fontWeight: 800,
+          }}
+        >
+          {ticks.map((t) => (
+            <span key={t}>{fmtCandleTime(t, tf)}</span>
+          ))}
+        </div>
+      ) : null}
     </div>
   );
 }
@@ -1120,9 +1540,19 @@ function SectionHeader({ title, right }) {
 }
 
 export default function App() {
-  const { login, authenticated, user, ready, logout, connectOrCreateWallet } =
-    usePrivy();
+  const {
+    login,
+    authenticated,
+    user,
+    ready,
+    logout,
+    connectOrCreateWallet,
+    getAccessToken,
+  } = usePrivy();
+  const { identityToken } = useIdentityToken();
   const { exportWallet } = useExportWallet();
+  const { wallets: solWallets } = useWallets();
+  const { signMessage } = useSignMessage();
 
   const [toast, setToast] = useState("");
   const [theme, setTheme] = useState(localStorage.getItem(LS_THEME) || "neon");
@@ -1133,10 +1563,12 @@ export default function App() {
   const [balance, setBalance] = useState("—");
   const [loadingBal, setLoadingBal] = useState(false);
 
-  const [coins, setCoins] = useState([]);
-  const [loadingCoins, setLoadingCoins] = useState(false);
+  const [coinsById, setCoinsById] = useState({});
+  const [market, setMarket] = useState({ movers: [], moonshots: [], topVolume: [] });
+  const [loadingMarket, setLoadingMarket] = useState(false);
 
   const [searchQ, setSearchQ] = useState("");
+  const [searchResults, setSearchResults] = useState({ q: "", coins: [] });
 
   const [tokenName, setTokenName] = useState("");
   const [symbol, setSymbol] = useState("");
@@ -1150,15 +1582,39 @@ export default function App() {
   const [profile, setProfile] = useState(null);
   const [loadingProfile, setLoadingProfile] = useState(false);
 
+  const [coinDetail, setCoinDetail] = useState({ coinId: null, coin: null, stats: null, creator: null });
   const [chartMode, setChartMode] = useState("light");
+  const [chartTf, setChartTf] = useState("5m");
+  const [chartView, setChartView] = useState("CANDLES"); // CANDLES | LINE
+  const [coinCandles, setCoinCandles] = useState({ coinId: null, tf: "", items: [] });
+  const [coinTab, setCoinTab] = useState("CHART"); // CHART | TRADES
+  const [coinTrades, setCoinTrades] = useState({ coinId: null, items: [], nextCursor: null });
+  const [loadingTrades, setLoadingTrades] = useState(false);
   const [tradeOpen, setTradeOpen] = useState(false);
   const [tradeSide, setTradeSide] = useState("BUY");
   const [tradeSol, setTradeSol] = useState("0.05");
   const [tradeLoading, setTradeLoading] = useState(false);
 
+  const [editOpen, setEditOpen] = useState(false);
+  const [editSymbol, setEditSymbol] = useState("");
+  const [editStory, setEditStory] = useState("");
+  const [editLinks, setEditLinks] = useState({ website: "", x: "", telegram: "" });
+  const [editLogo, setEditLogo] = useState("");
+  const [editLogoError, setEditLogoError] = useState("");
+  const [editLoading, setEditLoading] = useState(false);
+
+  const [launchOpen, setLaunchOpen] = useState(false);
+  const [launchSol, setLaunchSol] = useState("0.05");
+  const [launchLoading, setLaunchLoading] = useState(false);
+
   const [dwOpen, setDwOpen] = useState(false);
   const [dwMode, setDwMode] = useState("DEPOSIT"); // DEPOSIT | WITHDRAW
   const [withdrawTo, setWithdrawTo] = useState("");
+  const [withdrawSol, setWithdrawSol] = useState("");
+  const [rewardWSol, setRewardWSol] = useState({ REF: "", CREATOR: "" });
+  const [withdrawals, setWithdrawals] = useState([]);
+  const [cancellingW, setCancellingW] = useState("");
+  const [depositInfo, setDepositInfo] = useState(null); // backend custody address (if watcher on)
 
   const [oneClickW, setOneClickW] = useState("");
 
@@ -1179,6 +1635,30 @@ export default function App() {
     return w?.address || null;
   }, [user]);
 
+  useEffect(() => {
+    setAuthSigner(async (address, message) => {
+      const wallet = solWallets.find((w) => w.address === address);
+      if (!wallet) throw new Error("Wallet not ready");
+      const { signature } = await signMessage({
+        message,
+        wallet,
+        options: { uiOptions: { showWalletUIs: false } },
+      });
+      return signature;
+    });
+  }, [solWallets, signMessage]);
+
+  useEffect(() => {
+    // Identity tokens carry linked wallets, so the backend can map them offline.
+    setPrivyTokenGetter(async () =>
+      authenticated ? identityToken || (await getAccessToken()) : null
+    );
+  }, [authenticated, identityToken, getAccessToken]);
+
+  useEffect(() => {
+    if (!authenticated) clearAuthSession();
+  }, [authenticated]);
+
   async function copyText(text) {
     try {
       await navigator.clipboard.writeText(text);
@@ -1194,7 +1674,16 @@ export default function App() {
     if (!solAddr) return showToast("Wallet not ready");
     setDwMode("DEPOSIT");
     setDwOpen(true);
-    await copyText(solAddr);
+
+    let info = null;
+    try {
+      const j = await apiGet("/api/deposit/info");
+      info = j?.ok && j.enabled && j.address ? j : null;
+    } catch {
+      info = null;
+    }
+    setDepositInfo(info);
+    await copyText(info ? info.address : solAddr);
   }
 
   async function openWithdraw() {
@@ -1251,73 +1740,153 @@ export default function App() {
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [authenticated, solAddr]);
 
-  async function loadCoins() {
-    setLoadingCoins(true);
+  // Coins the PROFILE screen names (holdings, transactions), fetched by id when missing.
+  async function loadCoinsByIds(ids) {
+    const missing = [...new Set(ids)].filter((id) => id && !coinsById[id]).slice(0, 200);
+    if (!missing.length) return;
     try {
-      const data = await apiGet("/api/coin/list");
-      if (data?.ok) setCoins((data.coins || []).map(ensureCoinShape));
-    } catch {}
-    setLoadingCoins(false);
+      const data = await apiGet(`/api/coin/list?ids=${missing.map(encodeURIComponent).join(",")}&limit=200&fields=logo`);
+      if (!data?.ok) return;
+      setCoinsById((prev) => {
+        const next = { ...prev };
+        for (const c of data.coins || []) next[c.id] = ensureCoinShape(c);
+        return next;
+      });
+    } catch {
+      // names show as "Unknown" until the next visit
+    }
+  }
+
+  // SEARCH runs on the server; a slower answer for an older query is dropped.
+  const searchSeq = useRef(0);
+  async function loadSearch(q) {
+    const seq = ++searchSeq.current;
+    try {
+      const data = await apiGet(`/api/coin/list?q=${encodeURIComponent(q)}&limit=25&fields=logo`);
+      if (seq === searchSeq.current && data?.ok) setSearchResults({ q, coins: (data.coins || []).map(ensureCoinShape) });
+    } catch {
+      if (seq === searchSeq.current) showToast("Search nahi hua");
+    }
+  }
+
+  // HOME / LATEST sections, one server-side query each (see MARKET_SECTIONS).
+  async function loadMarket() {
+    setLoadingMarket(true);
+    try {
+      const keys = Object.keys(MARKET_SECTIONS);
+      const pages = await Promise.all(
+        keys.map((k) => apiGet(`/api/coin/list?${MARKET_SECTIONS[k]}&fields=logo,chart`))
+      );
+      setMarket((prev) => {
+        const next = { ...prev };
+        keys.forEach((k, i) => {
+          if (pages[i]?.ok) next[k] = (pages[i].coins || []).map(ensureCoinShape);
+        });
+        return next;
+      });
+    } catch {
+      // keep the last sections; the next poll retries
+    }
+    setLoadingMarket(false);
   }
   useEffect(() => {
-    loadCoins();
+    loadMarket();
   }, []);
 
+  useEffect(() => {
+    const q = searchQ.trim();
+    if (screen !== "SEARCH" || !q) return;
+    const t = setTimeout(() => loadSearch(q), 250);
+    return () => clearTimeout(t);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [screen, searchQ]);
+
   useEffect(() => {
     if (!authenticated) return;
     if (!(screen === "HOME" || screen === "LATEST")) return;
-    const t = setInterval(() => loadCoins(), 5000);
+    const t = setInterval(() => loadMarket(), 5000);
     return () => clearInterval(t);
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [screen, authenticated]);
 
-  const coinsSorted = useMemo(() => {
-    const arr = [...coins];
-    arr.sort((a, b) => {
-      const al = a.status === "LIVE" ? 1 : 0;
-      const bl = b.status === "LIVE" ? 1 : 0;
-      if (al !== bl) return bl - al;
-      return new Date(b.createdAt).getTime() - new Date(a.createdAt).getTime();
-    });
-    return arr;
-  }, [coins]);
-
-  const selectedCoin = coins.find((c) => c.id === selectedCoinId) || null;
-
-  const movers = useMemo(() => {
-    const live = coinsSorted.filter((c) => c.status === "LIVE");
-    const scored = live.map((c) => ({ c, p: pctFromChart(c.chart) }));
-    scored.sort((a, b) => Math.abs(b.p) - Math.abs(a.p));
-    return scored.slice(0, 12).map((x) => x.c);
-  }, [coinsSorted]);
-
-  const topVolume = useMemo(() => {
-    const live = coinsSorted.filter((c) => c.status === "LIVE");
-    const arr = [...live].sort(
-      (a, b) => Number(b.volumeSol || 0) - Number(a.volumeSol || 0)
-    );
-    return arr.slice(0, 12);
-  }, [coinsSorted]);
-
-  const moonshots = useMemo(() => {
-    const live = coinsSorted.filter((c) => c.status === "LIVE");
-    const arr = live
-      .map((c) => ({ c, p: pctFromChart(c.chart) }))
-      .filter((x) => x.p >= 15)
-      .sort((a, b) => b.p - a.p)
-      .slice(0, 12)
-      .map((x) => x.c);
-    return arr.length ? arr : movers.slice(0, 12);
-  }, [coinsSorted, movers]);
-
-  const searchResults = useMemo(() => {
-    if (!searchQ.trim()) return [];
-    return coinsSorted
-      .filter((c) =>
-        `${c.name} ${c.symbol}`.toLowerCase().includes(searchQ.toLowerCase())
-      )
-      .slice(0, 25);
-  }, [searchQ, coinsSorted]);
+  // COIN screen data from /api/coin/:id (coin, 24h stats, creator), so it doesn't need the
+  // market list; polled while the screen is open.
+  async function loadCoinDetail(coinId, quiet = false) {
+    try {
+      const data = await apiGet(`/api/coin/${encodeURIComponent(coinId)}`);
+      if (data?.ok) {
+        setCoinDetail({ coinId, coin: ensureCoinShape(data.coin), stats: data.stats, creator: data.creator });
+      } else if (!quiet) {
+        showToast(data?.error || "Coin load nahi hua");
+      }
+    } catch {
+      if (!quiet) showToast("Coin load nahi hua");
+    }
+  }
+  useEffect(() => {
+    if (screen !== "COIN" || !selectedCoinId) return;
+    loadCoinDetail(selectedCoinId);
+    const t = setInterval(() => loadCoinDetail(selectedCoinId, true), 10000);
+    return () => clearInterval(t);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [screen, selectedCoinId]);
+
+  // A coin returned by a write: update the cached copy and the open COIN screen.
+  function mergeCoin(updated) {
+    setCoinsById((prev) => (prev[updated.id] ? { ...prev, [updated.id]: updated } : prev));
+    setCoinDetail((prev) => (prev.coinId === updated.id ? { ...prev, coin: updated } : prev));
+  }
+
+  // Candles for the COIN screen chart; polled while it's open (`quiet` skips the error toast).
+  async function loadCandles(coinId, tf, quiet = false) {
+    try {
+      const data = await apiGet(`/api/coin/${encodeURIComponent(coinId)}/candles?tf=${tf}`);
+      if (data?.ok) setCoinCandles({ coinId, tf, items: data.candles || [] });
+    } catch {
+      if (!quiet) showToast("Chart load nahi hua");
+    }
+  }
+  useEffect(() => {
+    if (screen !== "COIN" || coinTab !== "CHART" || !selectedCoinId) return;
+    loadCandles(selectedCoinId, chartTf);
+    const t = setInterval(() => loadCandles(selectedCoinId, chartTf, true), 10000);
+    return () => clearInterval(t);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [screen, coinTab, selectedCoinId, chartTf]);
+
+  // Trade feed for the COIN screen; `more` appends the next page.
+  async function loadTrades(coinId, more = false) {
+    const cursor = more ? coinTrades.nextCursor : null;
+    setLoadingTrades(true);
+    try {
+      const data = await apiGet(
+        `/api/coin/${encodeURIComponent(coinId)}/trades?limit=${TRADES_PAGE}${cursor ? `&cursor=${cursor}` : ""}`
+      );
+      if (data?.ok) {
+        setCoinTrades((prev) => ({
+          coinId,
+          items: more && prev.coinId === coinId ? [...prev.items, ...data.trades] : data.trades,
+          nextCursor: data.nextCursor,
+        }));
+      }
+    } catch {
+      showToast("Trades load nahi hue");
+    }
+    setLoadingTrades(false);
+  }
+  useEffect(() => {
+    if (screen !== "COIN" || coinTab !== "TRADES" || !selectedCoinId) return;
+    loadTrades(selectedCoinId);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [screen, coinTab, selectedCoinId]);
+
+  const selectedCoin =
+    (coinDetail.coinId === selectedCoinId && coinDetail.coin) ||
+    coinsById[selectedCoinId] ||
+    null;
+
+  const { movers, topVolume } = market;
+  const moonshots = market.moonshots.length ? market.moonshots : movers;
 
   const symbolUpper = (symbol || "").toUpperCase().replace(/\s+/g, "");
 
@@ -1336,24 +1905,12 @@ export default function App() {
   const storyErr = !story ? "" : storyOk ? "" : "Story 20–300 chars";
   const solErr = paidOk ? "" : "Paid create min 0.01 SOL. Free = 0";
 
-  function fileToDataUrl(file) {
-    return new Promise((resolve, reject) => {
-      const reader = new FileReader();
-      reader.onload = () => resolve(String(reader.result || ""));
-      reader.onerror = reject;
-      reader.readAsDataURL(file);
-    });
-  }
   async function onPickLogo(file) {
     setLogoError("");
     setLogoPreview("");
     if (!file) return;
-    const okType = ["image/png", "image/jpeg", "image/jpg", "image/webp"].includes(
-      file.type
-    );
-    if (!okType) return setLogoError("PNG/JPG/WEBP only");
-    if (file.size > MAX_LOGO_BYTES) return setLogoError("Logo 5MB se chota hona chahiye");
-    if (file.size < 10 * 1024) return setLogoError("Logo bohat choti (min 10KB)");
+    const err = logoFileError(file);
+    if (err) return setLogoError(err);
     try {
       setLogoPreview(await fileToDataUrl(file));
     } catch {
@@ -1361,6 +1918,58 @@ export default function App() {
     }
   }
 
+  function openEdit(c) {
+    setEditSymbol(c.symbol || "");
+    setEditStory(c.story || "");
+    setEditLinks({ website: "", x: "", telegram: "", ...(c.links || {}) });
+    setEditLogo("");
+    setEditLogoError("");
+    setEditOpen(true);
+  }
+
+  async function onPickEditLogo(file) {
+    setEditLogoError("");
+    setEditLogo("");
+    if (!file) return;
+    const err = logoFileError(file);
+    if (err) return setEditLogoError(err);
+    try {
+      setEditLogo(await fileToDataUrl(file));
+    } catch {
+      setEditLogoError("Logo read failed");
+    }
+  }
+
+  async function saveEdit(c) {
+    if (!solAddr) return showToast("Wallet not ready");
+    const body = { wallet: solAddr, story: editStory.trim(), links: editLinks };
+    if (c.status === "DRAFT") body.symbol = editSymbol.toUpperCase().replace(/\s+/g, "");
+
+    setEditLoading(true);
+    try {
+      if (editLogo) {
+        const up = await uploadLogo(editLogo, solAddr);
+        if (!up?.ok) {
+          showToast(up?.error || "Logo upload failed");
+          return setEditLoading(false);
+        }
+        body.logo = up.url;
+      }
+      const res = await apiPatch(`/api/coin/${encodeURIComponent(c.id)}`, body);
+      if (!res?.ok) {
+        showToast(res?.error || "Update failed");
+      } else {
+        const updated = ensureCoinShape(res.coin);
+        mergeCoin(updated);
+        setEditOpen(false);
+        showToast(res.changed?.length ? "Coin updated ✅" : "Kuch change nahi hua");
+      }
+    } catch {
+      showToast("Update failed");
+    }
+    setEditLoading(false);
+  }
+
   async function openPrivyBackup() {
     try {
       await connectOrCreateWallet?.();
@@ -1415,7 +2024,10 @@ export default function App() {
     setLoadingProfile(true);
     try {
       const j = await apiGet(`/api/profile/${solAddr}`);
-      if (j?.ok) setProfile(j.profile || null);
+      if (j?.ok) {
+        setProfile(j.profile || null);
+        setWithdrawals(Array.isArray(j.withdrawals) ? j.withdrawals : []);
+      }
     } catch {}
     setLoadingProfile(false);
   }
@@ -1436,21 +2048,49 @@ export default function App() {
     return [...arr].sort((a, b) => (b.t || 0) - (a.t || 0));
   }, [profile]);
 
+  useEffect(() => {
+    if (screen !== "PROFILE") return;
+    loadCoinsByIds([...myHoldingsList, ...myTxList.slice(0, 30)].map((x) => x.coinId));
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [screen, myHoldingsList, myTxList]);
+
   const myRewards = useMemo(
     () => profile?.rewards || { totalSol: 0, byCoin: {} },
     [profile]
   );
 
+  const appBalance = Number(profile?.balanceSol || 0).toFixed(4);
+
+  const [demoFaucet, setDemoFaucet] = useState(false);
+  const [faucetLoading, setFaucetLoading] = useState(false);
+  useEffect(() => {
+    apiGet("/")
+      .then((j) => setDemoFaucet(!!j?.demoFaucet))
+      .catch(() => {});
+  }, []);
+
+  async function claimFaucet() {
+    if (!solAddr) return showToast("Wallet not ready");
+    setFaucetLoading(true);
+    try {
+      const res = await apiPost("/api/faucet", { wallet: solAddr });
+      if (res?.ok) {
+        setProfile(res.profile || null);
+        showToast(`+${res.sol} demo SOL ✅`);
+      } else {
+        showToast(res?.error || "Faucet failed");
+      }
+    } catch {
+      showToast("Faucet failed");
+    }
+    setFaucetLoading(false);
+  }
+
   const myReferralRewardsSol = useMemo(() => {
     const d = Number(profile?.referralRewards?.totalSol || 0);
     return Number.isFinite(d) && d > 0 ? d : 0;
   }, [profile]);
 
-  const myCoins = useMemo(() => {
-    if (!solAddr) return [];
-    return coinsSorted.filter((c) => (c.creatorWallet || c.owner) === solAddr);
-  }, [coinsSorted, solAddr]);
-
   async function doTrade(coin, side, solAmount) {
     const s = Number(solAmount);
     if (!solAddr) return showToast("Wallet not ready");
@@ -1473,8 +2113,11 @@ export default function App() {
         }
       } else {
         const updated = ensureCoinShape(res.coin);
-        setCoins((prev) => prev.map((x) => (x.id === updated.id ? updated : x)));
+        mergeCoin(updated);
         await loadProfile();
+        loadCoinDetail(coin.id, true);
+        if (coinTab === "TRADES") loadTrades(coin.id);
+        else loadCandles(coin.id, chartTf, true);
         showToast(`${side} ${s} ✅`);
       }
     } catch {
@@ -1483,27 +2126,110 @@ export default function App() {
     setTradeLoading(false);
   }
 
-  async function oneClickWithdraw(kind) {
+  // DRAFT -> LIVE: creator pays the first buy from the in-app balance.
+  async function doLaunch(coin, solAmount) {
+    const s = Number(solAmount);
     if (!solAddr) return showToast("Wallet not ready");
-    setOneClickW(kind);
+    if (!Number.isFinite(s) || s < 0.01) return showToast("Launch min 0.01 SOL");
 
-    const body = { wallet: solAddr, to: solAddr, kind };
-    const res = await apiPostTry(
-      ["/api/withdraw", "/api/withdraw/creator", "/api/withdraw/referral"],
-      body
-    );
+    setLaunchLoading(true);
+    try {
+      const res = await apiPost(`/api/coin/${encodeURIComponent(coin.id)}/launch`, {
+        wallet: solAddr,
+        sol: s,
+      });
 
-    if (res?.ok) {
-      showToast("Withdraw ✅ (sent to main wallet)");
-      await loadProfile();
-      await refreshBalance();
-    } else {
-      showToast(res?.error || "Withdraw failed");
+      if (!res?.ok) {
+        if (res?.maxSol != null) {
+          showToast(`${res?.error || "Launch blocked"} (max ${res.maxSol} SOL)`);
+        } else {
+          showToast(res?.error || "Launch failed");
+        }
+      } else {
+        const updated = ensureCoinShape(res.coin);
+        mergeCoin(updated);
+        await loadProfile();
+        loadCoinDetail(coin.id, true);
+        loadCandles(coin.id, chartTf, true);
+        setLaunchOpen(false);
+        showToast(`${coin.symbol} LIVE ✅`);
+      }
+    } catch {
+      showToast("Launch failed");
+    }
+    setLaunchLoading(false);
+  }
+
+  // Poll a queued withdrawal until it leaves PENDING/PROCESSING (or we give up).
+  async function watchWithdrawal(id) {
+    for (let i = 0; i < 60; i++) {
+      await new Promise((r) => setTimeout(r, 3000));
+      let j = null;
+      try {
+        j = await apiGetAs(solAddr, `/api/withdraw/${encodeURIComponent(id)}`);
+      } catch {
+        continue;
+      }
+      const w = j?.withdrawal;
+      if (!w) return;
+      if (!WITHDRAW_OPEN.includes(w.status)) {
+        if (w.status === "SENT") showToast(`Withdraw sent ✅ ${shortWallet(w.signature)}`);
+        else if (w.status === "FAILED") showToast(w.error || "Withdraw failed");
+        await loadProfile();
+        await refreshBalance();
+        return;
+      }
     }
+  }
+
+  async function requestWithdraw(kind, to, solText) {
+    const sol = Number(solText || 0);
+    if (solText && (!Number.isFinite(sol) || sol <= 0)) {
+      showToast("Amount invalid");
+      return null;
+    }
+
+    const body = { wallet: solAddr, to, kind };
+    if (sol > 0) body.sol = sol;
+    const res = await apiPost("/api/withdraw", body);
 
+    if (!res?.ok) {
+      showToast(
+        res?.maxSol != null
+          ? `${res?.error || "Withdraw failed"} (max ${Number(res.maxSol).toFixed(4)} SOL)`
+          : res?.error || "Withdraw failed"
+      );
+      return null;
+    }
+
+    showToast("Withdraw queued ⏳");
+    await loadProfile();
+    watchWithdrawal(res.id);
+    return res;
+  }
+
+  async function oneClickWithdraw(kind) {
+    if (!solAddr) return showToast("Wallet not ready");
+    setOneClickW(kind);
+    const res = await requestWithdraw(kind, solAddr, rewardWSol[kind]);
+    if (res) setRewardWSol((m) => ({ ...m, [kind]: "" }));
     setOneClickW("");
   }
 
+  async function cancelWithdraw(id) {
+    setCancellingW(id);
+    try {
+      const res = await apiPost(`/api/withdraw/${encodeURIComponent(id)}/cancel`, { wallet: solAddr });
+      showToast(res?.ok ? "Withdraw cancelled" : res?.error || "Cancel failed");
+      await loadProfile();
+    } catch {
+      showToast("Cancel failed");
+    }
+    setCancellingW("");
+  }
+
+  const openWithdrawals = withdrawals.filter((w) => WITHDRAW_OPEN.includes(w.status));
+
   let content = null;
 
   if (!ready) {
@@ -1527,8 +2253,8 @@ export default function App() {
           <Title
             sub="Discovery auto-refresh every 5 seconds"
             right={
-              <MiniBtn onClick={loadCoins} disabled={loadingCoins}>
-                {loadingCoins ? "…" : "Reload"}
+              <MiniBtn onClick={loadMarket} disabled={loadingMarket}>
+                {loadingMarket ? "…" : "Reload"}
               </MiniBtn>
             }
           >
@@ -1536,7 +2262,8 @@ export default function App() {
           </Title>
 
           <div style={{ display: "flex", gap: 10, flexWrap: "wrap", marginBottom: 12 }}>
-            <Pill>Balance: {balance} SOL</Pill>
+            <Pill>On-chain: {balance} SOL</Pill>
+            <Pill tone="good">In-app: {appBalance} SOL</Pill>
             <Pill tone="warn">Deposit in Profile</Pill>
           </div>
 
@@ -1655,6 +2382,8 @@ export default function App() {
     }
 
     if (screen === "SEARCH") {
+      const q = searchQ.trim();
+      const results = searchResults.q === q ? searchResults.coins : null; // null = still searching
       content = (
         <ScreenShell>
           <Title sub="Search + top volume">Search</Title>
@@ -1669,11 +2398,11 @@ export default function App() {
 
           <Card>
             <SectionHeader
-              title={searchQ.trim() ? `Results (${searchResults.length})` : "Top volume"}
+              title={!q ? "Top volume" : results ? `Results (${results.length})` : "Searching…"}
               right={<Pill tone="good">Live</Pill>}
             />
             <div className="miniScroll" style={{ maxHeight: 360, paddingRight: 6, display: "grid", gap: 10 }}>
-              {(searchQ.trim() ? searchResults : topVolume.slice(0, 20)).map((c) => (
+              {(q ? results || [] : topVolume.slice(0, 20)).map((c) => (
                 <CoinRow
                   key={c.id}
                   c={c}
@@ -1683,7 +2412,7 @@ export default function App() {
                   }}
                 />
               ))}
-              {searchQ.trim() && searchResults.length === 0 ? (
+              {results && results.length === 0 ? (
                 <div style={{ color: "var(--muted)", fontSize: 12 }}>No results</div>
               ) : null}
             </div>
@@ -1698,8 +2427,8 @@ export default function App() {
           <Title
             sub="Discovery screen"
             right={
-              <MiniBtn onClick={loadCoins} disabled={loadingCoins}>
-                {loadingCoins ? "…" : "Reload"}
+              <MiniBtn onClick={loadMarket} disabled={loadingMarket}>
+                {loadingMarket ? "…" : "Reload"}
               </MiniBtn>
             }
           >
@@ -1774,13 +2503,23 @@ export default function App() {
       if (!selectedCoin) {
         content = (
           <ScreenShell>
-            <Title sub="Pick from Market">No coin selected</Title>
+            <Title sub="Pick from Market">{selectedCoinId ? "Coin load ho raha hai…" : "No coin selected"}</Title>
             <GhostButton onClick={() => setScreen("HOME")}>Go to Market</GhostButton>
           </ScreenShell>
         );
       } else {
         const c = selectedCoin;
+        const stats = coinDetail.coinId === c.id ? coinDetail.stats : null;
+        const creator = coinDetail.coinId === c.id ? coinDetail.creator : null;
         const isLiveNow = c.status === "LIVE";
+        const isMine = !!solAddr && (c.creatorWallet || c.owner) === solAddr;
+        const isMyDraft = !isLiveNow && isMine;
+        const coinLinks = LINK_FIELDS.filter((f) => c.links?.[f.key]);
+
+        const editSymOk = !isLiveNow ? isValidSymbol(editSymbol.toUpperCase()) : true;
+        const editStoryOk = isValidStory(editStory);
+        const editLinksOk = LINK_FIELDS.every((f) => isValidLink(f.key, editLinks[f.key]));
+        const canSaveEdit = editSymOk && editStoryOk && editLinksOk && !editLogoError && !editLoading;
         const txMarkers = myTxList.filter((t) => t.coinId === c.id).slice(0, 20);
 
         const myHoldingForCoin =
@@ -1801,6 +2540,7 @@ export default function App() {
               right={
                 <div style={{ display: "flex", gap: 10, alignItems: "center" }}>
                   <MiniBtn onClick={() => setScreen("HOME")}>Back</MiniBtn>
+                  {isMine ? <MiniBtn onClick={() => openEdit(c)}>Edit</MiniBtn> : null}
                   <MiniBtn onClick={() => copyText(c.id)} tone="warn">
                     Copy ID
                   </MiniBtn>
@@ -1823,18 +2563,151 @@ export default function App() {
               </div>
             </div>
 
+            {stats ? (
+              <div style={{ display: "flex", gap: 10, flexWrap: "wrap", marginBottom: 10 }}>
+                <Pill tone={stats.change24hPct >= 0 ? "good" : "danger"}>
+                  24h: {stats.change24hPct >= 0 ? "↑" : "↓"} {Math.abs(stats.change24hPct).toFixed(1)}%
+                </Pill>
+                <Pill>24h VOL: {Number(stats.volume24hSol || 0).toFixed(2)} SOL</Pill>
+                <Pill>24h traders: {stats.traders24h}</Pill>
+                <Pill>Trades: {stats.tradeCount}</Pill>
+                <Pill>Holders: {stats.holders}</Pill>
+                {stats.athAt ? <Pill>ATH: {fmtAgo(stats.now - stats.athAt)}</Pill> : null}
+                <Pill>
+                  Last trade: {stats.lastTradeAt ? fmtAgo(stats.now - stats.lastTradeAt) : "abhi tak nahi"}
+                </Pill>
+              </div>
+            ) : null}
+
             <div style={{ display: "flex", gap: 10, flexWrap: "wrap", marginBottom: 10 }}>
               <Pill>Supply: {Number(totalSupply || 0).toFixed(2)}</Pill>
               <Pill tone="warn">Your: {Number(myHoldingForCoin || 0).toFixed(2)}</Pill>
               <Pill tone={myPct >= 20 ? "danger" : "good"}>Share: {myPct.toFixed(2)}%</Pill>
             </div>
 
-            <PriceChart
-              points={c.chart}
-              txMarkers={txMarkers}
-              mode={chartMode}
-              onToggleMode={() => setChartMode((m) => (m === "dark" ? "light" : "dark"))}
+            {creator?.wallet ? (
+              <Card style={{ marginBottom: 10 }}>
+                <div
+                  style={{
+                    display: "flex",
+                    justifyContent: "space-between",
+                    alignItems: "center",
+                    gap: 10,
+                    flexWrap: "wrap",
+                  }}
+                >
+                  <div>
+                    <div style={{ fontWeight: 950 }}>
+                      Creator: {shortWallet(creator.wallet)}
+                      {creator.wallet === solAddr ? " (aap)" : ""}
+                    </div>
+                    <div style={{ color: "var(--muted)", fontSize: 12 }}>
+                      {creator.coinsCreated} coins banaye • {creator.liveCoins} LIVE
+                    </div>
+                  </div>
+                  <div style={{ display: "flex", gap: 10, flexWrap: "wrap" }}>
+                    <Pill tone={creator.pct >= 20 ? "danger" : "good"}>Holds: {creator.pct.toFixed(2)}%</Pill>
+                    <Pill>Rewards: {Number(creator.rewardsSol || 0).toFixed(4)} SOL</Pill>
+                  </div>
+                </div>
+              </Card>
+            ) : null}
+
+            {c.mintAddress ? (
+              <div style={{ display: "flex", gap: 10, flexWrap: "wrap", alignItems: "center", marginBottom: 10 }}>
+                <Pill tone="good">SPL mint: {shortWallet(c.mintAddress)}</Pill>
+                <MiniBtn onClick={() => copyText(c.mintAddress)} style={{ padding: "8px 10px", borderRadius: 12 }}>
+                  Copy mint
+                </MiniBtn>
+              </div>
+            ) : c.mintStatus === "MINTING" ? (
+              <div style={{ marginBottom: 10 }}>
+                <Pill tone="warn">Minting SPL token…</Pill>
+              </div>
+            ) : c.mintStatus === "FAILED" ? (
+              <div style={{ marginBottom: 10 }}>
+                <Pill tone="danger">SPL mint failed</Pill>
+              </div>
+            ) : null}
+
+            {coinLinks.length ? (
+              <div style={{ display: "flex", gap: 10, flexWrap: "wrap", marginBottom: 10 }}>
+                {coinLinks.map((f) => (
+                  <a
+                    key={f.key}
+                    href={c.links[f.key]}
+                    target="_blank"
+                    rel="noopener noreferrer nofollow"
+                    style={{ textDecoration: "none" }}
+                  >
+                    <Pill>{f.label} ↗</Pill>
+                  </a>
+                ))}
+              </div>
+            ) : null}
+
+            {isMyDraft ? (
+              <Card style={{ marginBottom: 10 }}>
+                <div style={{ fontWeight: 950, marginBottom: 6 }}>Draft hai — launch karo</div>
+                <div style={{ color: "var(--muted)", fontSize: 12, marginBottom: 10 }}>
+                  Launch = first buy. Coin LIVE ho jayega aur trading start.
+                </div>
+                <MiniBtn
+                  onClick={() => {
+                    setLaunchSol("0.05");
+                    setLaunchOpen(true);
+                  }}
+                  tone="good"
+                >
+                  Launch
+                </MiniBtn>
+              </Card>
+            ) : null}
+
+            <Tabs
+              value={coinTab}
+              onChange={setCoinTab}
+              items={[
+                { value: "CHART", label: "Chart" },
+                { value: "TRADES", label: "Trades" },
+              ]}
             />
+            <div style={{ height: 10 }} />
+
+            {coinTab === "TRADES" ? (
+              <Card>
+                <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginBottom: 10 }}>
+                  <div style={{ fontWeight: 950 }}>Recent trades</div>
+                  <MiniBtn disabled={loadingTrades} onClick={() => loadTrades(c.id)}>
+                    {loadingTrades ? "…" : "Refresh"}
+                  </MiniBtn>
+                </div>
+                <TradeList
+                  items={coinTrades.coinId === c.id ? coinTrades.items : []}
+                  symbol={c.symbol}
+                  me={solAddr}
+                />
+                {coinTrades.coinId === c.id && coinTrades.nextCursor ? (
+                  <div style={{ marginTop: 10 }}>
+                    <GhostButton disabled={loadingTrades} onClick={() => loadTrades(c.id, true)}>
+                      {loadingTrades ? "Loading…" : "Aur purane trades"}
+                    </GhostButton>
+                  </div>
+                ) : null}
+              </Card>
+            ) : (
+              <PriceChart
+                points={c.chart}
+                candles={coinCandles.coinId === c.id && coinCandles.tf === chartTf ? coinCandles.items : []}
+                tf={chartTf}
+                onTfChange={setChartTf}
+                view={chartView}
+                onToggleView={() => setChartView((v) => (v === "LINE" ? "CANDLES" : "LINE"))}
+                txMarkers={txMarkers}
+                mode={chartMode}
+                onToggleMode={() => setChartMode((m) => (m === "dark" ? "light" : "dark"))}
+              />
+            )}
 
             <div style={{ height: 12 }} />
 
@@ -1864,7 +2737,7 @@ export default function App() {
                 </MiniBtn>
 
                 <Pill>On-chain SOL: {balance} SOL</Pill>
-<Pill>Demo Mode: Trades are simulated (no SOL spent)</Pill>
+                <Pill tone="good">In-app: {appBalance} SOL</Pill>
 
                 <Pill>Your tokens: {Number(myHoldingForCoin).toFixed(2)}</Pill>
               </div>
@@ -1893,7 +2766,83 @@ export default function App() {
                 type="number"
               />
               <div style={{ color: "var(--muted)", fontSize: 12 }}>
-                Real on-chain later. Abhi backend demo tracking.
+                Trades use your in-app balance ({appBalance} SOL). Sells credit it back minus the fee.
+              </div>
+            </Modal>
+
+            <Modal
+              open={editOpen}
+              title={`Edit ${c.symbol}`}
+              onClose={() => (editLoading ? null : setEditOpen(false))}
+              onConfirm={() => (canSaveEdit ? saveEdit(c) : null)}
+              confirmText={editLoading ? "..." : "Save"}
+              confirmTone="primary"
+            >
+              {isLiveNow ? (
+                <div style={{ marginBottom: 12 }}>
+                  <Pill>Symbol: {c.symbol} (locked after launch)</Pill>
+                </div>
+              ) : (
+                <Input
+                  label="Symbol"
+                  hint="A-Z/0-9"
+                  value={editSymbol.toUpperCase().replace(/\s+/g, "")}
+                  onChange={setEditSymbol}
+                  maxLength={10}
+                  error={editSymOk ? "" : "Symbol 2–10 (A-Z/0-9)"}
+                />
+              )}
+
+              <Textarea
+                label="Your coin story"
+                value={editStory}
+                onChange={setEditStory}
+                maxLength={300}
+                error={editStoryOk ? "" : "Story 20–300 chars"}
+              />
+
+              {LINK_FIELDS.map((f) => (
+                <Input
+                  key={f.key}
+                  label={f.label}
+                  hint="optional"
+                  value={editLinks[f.key] || ""}
+                  onChange={(v) => setEditLinks((l) => ({ ...l, [f.key]: v }))}
+                  placeholder={f.placeholder}
+                  maxLength={200}
+                  error={linkError(f.key, editLinks[f.key])}
+                />
+              ))}
+
+              <div style={{ color: "var(--muted)", fontSize: 12, marginBottom: 6 }}>New logo (optional, ≤ 5MB)</div>
+              <input
+                type="file"
+                accept="image/png,image/jpeg,image/jpg,image/webp"
+                onChange={(e) => onPickEditLogo(e.target.files?.[0])}
+                style={{ width: "100%", color: "var(--muted)" }}
+              />
+              <div style={{ marginTop: 6, color: editLogoError ? "var(--danger)" : "var(--muted)", fontSize: 12 }}>
+                {editLogoError ? editLogoError : editLogo ? "Selected ✅" : "Current logo rahega"}
+              </div>
+            </Modal>
+
+            <Modal
+              open={launchOpen}
+              title={`Launch ${c.symbol}`}
+              onClose={() => (launchLoading ? null : setLaunchOpen(false))}
+              onConfirm={() => (launchLoading ? null : doLaunch(c, launchSol))}
+              confirmText={launchLoading ? "..." : "Go LIVE"}
+              confirmTone="primary"
+            >
+              <Input
+                label="First buy (SOL)"
+                value={launchSol}
+                onChange={setLaunchSol}
+                placeholder="min 0.01"
+                type="number"
+              />
+              <div style={{ color: "var(--muted)", fontSize: 12 }}>
+                Paid from your in-app balance ({appBalance} SOL). Create fee applies.
               </div>
             </Modal>
 
@@ -1916,6 +2865,7 @@ export default function App() {
           <div style={{ display: "flex", gap: 10, flexWrap: "wrap", marginBottom: 12 }}>
             <Pill>Status: {isFree ? "DRAFT" : "LIVE"}</Pill>
             <Pill>Your Bal: {balance} SOL</Pill>
+            <Pill tone="good">In-app: {appBalance} SOL</Pill>
             <Pill>On live MC: ${STARTING_MC_USD.toLocaleString()}</Pill>
           </div>
 
@@ -1957,11 +2907,14 @@ export default function App() {
               setConfirmOpen(false);
               if (!solAddr) return showToast("Wallet not ready");
 
+              const up = await uploadLogo(logoPreview, solAddr).catch(() => null);
+              if (!up?.ok) return showToast(up?.error || "Logo upload failed");
+
               const payload = {
                 name: tokenName.trim(),
                 symbol: symbolUpper.trim(),
                 story: story.trim(),
-                logo: logoPreview,
+                logo: up.url,
                 initialSol: Number(initialSol || 0),
                 creatorWallet: solAddr,
               };
@@ -1970,7 +2923,7 @@ export default function App() {
               if (!res?.ok) return showToast(res?.error || "Create failed");
 
               const created = ensureCoinShape(res.coin);
-              setCoins((p) => [created, ...p]);
+              setCoinsById((p) => ({ ...p, [created.id]: created }));
 
               setTokenName("");
               setSymbol("");
@@ -2006,7 +2959,7 @@ export default function App() {
     if (screen === "PROFILE") {
       const holdingsEnriched = myHoldingsList
         .map((h) => {
-          const coin = coinsSorted.find((c) => c.id === h.coinId);
+          const coin = coinsById[h.coinId];
           const supply = Number(coin?.totalSupply || 0);
           const amt = Number(h.amount || 0);
           const pct = supply > 0 ? (amt / supply) * 100 : 0;
@@ -2032,6 +2985,9 @@ export default function App() {
               <div style={{ textAlign: "right" }}>
                 <div style={{ color: "var(--muted)", fontSize: 12 }}>Balance</div>
                 <div style={{ fontWeight: 950 }}>{balance} SOL</div>
+                <div style={{ marginTop: 4, color: "var(--muted)", fontSize: 12 }}>
+                  In-app: {appBalance} SOL
+                </div>
               </div>
             </div>
 
@@ -2046,6 +3002,11 @@ export default function App() {
             <div style={{ display: "flex", gap: 10, flexWrap: "wrap" }}>
               <MiniBtn tone="good" disabled={!solAddr} onClick={openDeposit}>💳 Deposit</MiniBtn>
               <MiniBtn tone="warn" disabled={!solAddr} onClick={openWithdraw}>⬇ Withdraw</MiniBtn>
+              {demoFaucet ? (
+                <MiniBtn disabled={!solAddr || faucetLoading} onClick={claimFaucet}>
+                  {faucetLoading ? "…" : "🚰 Demo SOL"}
+                </MiniBtn>
+              ) : null}
             </div>
 
             <div style={{ height: 12 }} />
@@ -2119,13 +3080,26 @@ export default function App() {
             </div>
 
             <div style={{ height: 10 }} />
+            <Input
+              label="Amount (SOL)"
+              hint="blank = all"
+              value={rewardWSol.REF}
+              onChange={(v) => setRewardWSol((m) => ({ ...m, REF: v }))}
+              placeholder="e.g. 0.05"
+              type="number"
+            />
             <MiniBtn
               tone="good"
               disabled={oneClickW !== "" || Number(myReferralRewardsSol || 0) <= 0}
               onClick={() => oneClickWithdraw("REF")}
             >
-              {oneClickW === "REF" ? "Withdrawing…" : "Withdraw (one click → main wallet)"}
+              {oneClickW === "REF" ? "Requesting…" : "Withdraw (→ main wallet)"}
             </MiniBtn>
+            <WithdrawalList
+              items={openWithdrawals.filter((w) => w.kind === "REF")}
+              onCancel={cancelWithdraw}
+              cancelling={cancellingW}
+            />
           </Card>
 
           <div style={{ height: 12 }} />
@@ -2138,13 +3112,26 @@ export default function App() {
             </div>
 
             <div style={{ height: 10 }} />
+            <Input
+              label="Amount (SOL)"
+              hint="blank = all"
+              value={rewardWSol.CREATOR}
+              onChange={(v) => setRewardWSol((m) => ({ ...m, CREATOR: v }))}
+              placeholder="e.g. 0.05"
+              type="number"
+            />
             <MiniBtn
               tone="good"
               disabled={oneClickW !== "" || Number(myRewards.totalSol || 0) <= 0}
               onClick={() => oneClickWithdraw("CREATOR")}
             >
-              {oneClickW === "CREATOR" ? "Withdrawing…" : "Withdraw (one click → main wallet)"}
+              {oneClickW === "CREATOR" ? "Requesting…" : "Withdraw (→ main wallet)"}
             </MiniBtn>
+            <WithdrawalList
+              items={openWithdrawals.filter((w) => w.kind === "CREATOR")}
+              onCancel={cancelWithdraw}
+              cancelling={cancellingW}
+            />
           </Card>
 
           <div style={{ height: 12 }} />
@@ -2218,7 +3205,7 @@ export default function App() {
                 <div style={{ color: "var(--muted)", fontSize: 12 }}>No transactions yet.</div>
               ) : (
                 myTxList.slice(0, 30).map((t) => {
-                  const coin = coinsSorted.find((c) => c.id === t.coinId);
+                  const coin = coinsById[t.coinId];
                   const side = String(t.side || "").toUpperCase();
                   return (
                     <div
@@ -2325,24 +3312,16 @@ export default function App() {
         onConfirm={async () => {
           if (dwMode === "DEPOSIT") {
             if (!solAddr) return;
-            await copyText(solAddr);
+            await copyText(depositInfo ? depositInfo.address : solAddr);
             return;
           }
           const to = String(withdrawTo || "").trim();
           if (to.length < 20) return showToast("Paste valid address");
 
-          const res = await apiPostTry(
-            ["/api/withdraw", "/api/withdraw/manual", "/api/transfer", "/api/payout"],
-            { wallet: solAddr, to, kind: "MANUAL" }
-          );
-
-          if (res?.ok) {
-            showToast("Withdraw confirmed ✅");
+          const res = await requestWithdraw("MANUAL", to, withdrawSol);
+          if (res) {
+            setWithdrawSol("");
             setDwOpen(false);
-            await loadProfile();
-            await refreshBalance();
-          } else {
-            showToast(res?.error || "Withdraw failed");
           }
         }}
         confirmText={dwMode === "DEPOSIT" ? "Copy address" : "Confirm"}
@@ -2374,12 +3353,25 @@ export default function App() {
                   wordBreak: "break-all",
                 }}
               >
-                {solAddr || "—"}
+                {depositInfo ? depositInfo.address : solAddr || "—"}
               </div>
 
-              <div style={{ marginTop: 10, color: "var(--muted)", fontSize: 12, lineHeight: 1.5 }}>
-                Is address par SOL send karo. (Auto-copy ho chuka hai.)
-              </div>
+              {depositInfo ? (
+                <>
+                  <div style={{ marginTop: 10, display: "flex", gap: 10, flexWrap: "wrap", alignItems: "center" }}>
+                    <Pill>Memo: {depositInfo.memoPrefix}{shortWallet(solAddr)}</Pill>
+                    <MiniBtn onClick={() => copyText(`${depositInfo.memoPrefix}${solAddr}`)}>Copy memo</MiniBtn>
+                  </div>
+                  <div style={{ marginTop: 10, color: "var(--muted)", fontSize: 12, lineHeight: 1.5 }}>
+                    Apne wallet se is address par SOL send karo (min {depositInfo.minSol} SOL).
+                    Dusre wallet se bhejo to memo zaroor lagao. In-app balance auto credit hoga.
+                  </div>
+                </>
+              ) : (
+                <div style={{ marginTop: 10, color: "var(--muted)", fontSize: 12, lineHeight: 1.5 }}>
+                  Is address par SOL send karo. (Auto-copy ho chuka hai.)
+                </div>
+              )}
             </>
           ) : (
             <>
@@ -2389,9 +3381,24 @@ export default function App() {
                 onChange={setWithdrawTo}
                 placeholder="Paste Solana address…"
               />
+              <Input
+                label="Amount (SOL)"
+                hint="blank = all"
+                value={withdrawSol}
+                onChange={setWithdrawSol}
+                placeholder="e.g. 0.5"
+                type="number"
+              />
               <div style={{ marginTop: 6, color: "var(--muted)", fontSize: 12, lineHeight: 1.5 }}>
-                Manual withdraw: destination paste karo. (On-chain later)
+                Manual withdraw: in-app balance ({appBalance} SOL) is address par on-chain bheja jayega.
+                Request pehle PENDING rehti hai — tab tak cancel kar sakte ho.
+                {demoFaucet ? " Demo faucet ON hai, isliye manual withdraw abhi band hai." : ""}
               </div>
+              <WithdrawalList
+                items={openWithdrawals.filter((w) => w.kind === "MANUAL")}
+                onCancel={cancelWithdraw}
+                cancelling={cancellingW}
+              />
             </>
           )}
         </Card>